@@ -0,0 +1,281 @@
+/**
+ * ページ走査のベンチマーク
+ * 大量のアカウントIDを含む表を生成し、コンテンツスクリプトの処理時間を計測する
+ * 1. 初期表示: ページ全体の走査にかかった時間
+ * 2. 追加表示: CloudWatchやCost Explorerの再描画を想定し、行を一定間隔で追加したときの処理時間
+ * 3. 待機: DOMが変化しない間に処理が発生しないこと（定期的な再走査がないこと）
+ */
+
+(function () {
+  'use strict';
+
+  const params = new URLSearchParams(window.location.search);
+
+  // 初期表示の行数
+  const ROWS = Number(params.get('rows')) || 5000;
+
+  // 行を追加する回数と1回に追加する行数
+  const BURSTS = Number(params.get('bursts')) || 20;
+  const BURST_ROWS = Number(params.get('burstRows')) || 200;
+
+  // 行を追加する間隔（ミリ秒）
+  const BURST_INTERVAL_MS = 250;
+
+  // 処理が発生しないことを確認する待機時間（ミリ秒）
+  const IDLE_CHECK_MS = 5000;
+
+  // 各フェーズの完了を待つ最大時間（ミリ秒）
+  const PHASE_TIMEOUT_MS = 30000;
+
+  // エイリアスを登録するアカウント数
+  const ALIAS_COUNT = 200;
+
+  // ナビゲーションに表示するアカウントID（home.html参照）
+  const NAV_ACCOUNT_ID = '123456789012';
+
+  const accountIds = Array.from({ length: ALIAS_COUNT }, (_, index) =>
+    String(100000000000 + index * 7919)
+  );
+
+  const aliases = { [NAV_ACCOUNT_ID]: createEntry('benchmark-nav') };
+  accountIds.forEach((accountId, index) => {
+    aliases[accountId] = createEntry(`account-${index}`);
+  });
+
+  // バックグラウンドの代わりに応答するchrome APIのスタブ
+  const responses = {
+    getAliases: aliases,
+    getSettings: {
+      titleEnabled: true,
+      titleTemplate: '[{alias}] {region} – {original}',
+      displayFormat: 'append',
+      displayTemplate: '{formattedId} ({alias})',
+      // ローカルのファイルとして開くため、URLの正規表現でページ全体を適用範囲にする
+      scopeRules: [{ type: 'regex', pattern: '/console/home', mode: 'on' }],
+    },
+  };
+  window.chrome = {
+    runtime: {
+      sendMessage: async (message) => ({
+        success: true,
+        data: message.action in responses ? responses[message.action] : null,
+      }),
+      onMessage: { addListener() {} },
+    },
+    storage: { onChanged: { addListener() {} } },
+  };
+
+  const rows = document.getElementById('benchmark-rows');
+  const results = document.getElementById('benchmark-results');
+  let rowCount = 0;
+
+  // AliasManager.applyAliasesToNodeの呼び出し回数と処理時間
+  const stats = { calls: 0, totalMs: 0, maxMs: 0 };
+
+  // 50ms以上メインスレッドを占有したタスク
+  const longTasks = [];
+
+  /**
+   * 有効なエイリアスと同じ形式のエントリを作成
+   */
+  function createEntry(alias) {
+    return {
+      alias,
+      description: '',
+      tags: [],
+      owner: '',
+      color: null,
+      environment: null,
+      layer: 'personal',
+      locked: false,
+      overrides: null,
+    };
+  }
+
+  /**
+   * アカウントIDを含む表の行を作成（半数はハイフン区切りで表示）
+   */
+  function createRow(index) {
+    const accountId = accountIds[index % accountIds.length];
+    const displayAccountId =
+      index % 2 === 0
+        ? accountId
+        : `${accountId.slice(0, 4)}-${accountId.slice(4, 8)}-${accountId.slice(
+            8
+          )}`;
+
+    const row = document.createElement('tr');
+    [
+      `i-${index.toString(16).padStart(17, '0')}`,
+      `アカウント ${displayAccountId}`,
+      `${(index * 1.37).toFixed(2)} USD`,
+      'ap-northeast-1',
+    ].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  /**
+   * 表に行を追加
+   */
+  function appendRows(count) {
+    const fragment = document.createDocumentFragment();
+    for (let i = 0; i < count; i++) {
+      fragment.appendChild(createRow(rowCount++));
+    }
+    rows.appendChild(fragment);
+  }
+
+  /**
+   * 挿入された注釈の数を取得
+   */
+  function countAnnotations() {
+    return document.querySelectorAll('.aws-custom-alias').length;
+  }
+
+  /**
+   * 条件を満たすまで待機
+   * @returns {Promise<boolean>} 時間内に条件を満たした場合true
+   */
+  function waitFor(predicate, timeoutMs = PHASE_TIMEOUT_MS) {
+    const startedAt = performance.now();
+    return new Promise((resolve) => {
+      const check = () => {
+        if (predicate()) {
+          resolve(true);
+        } else if (performance.now() - startedAt > timeoutMs) {
+          resolve(false);
+        } else {
+          setTimeout(check, 50);
+        }
+      };
+      check();
+    });
+  }
+
+  /**
+   * 指定時間待機
+   */
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 計測値を取得してリセット
+   */
+  function takeStats() {
+    const snapshot = {
+      calls: stats.calls,
+      totalMs: Math.round(stats.totalMs),
+      maxMs: Math.round(stats.maxMs * 10) / 10,
+      longTasks: longTasks.length,
+    };
+    stats.calls = 0;
+    stats.totalMs = 0;
+    stats.maxMs = 0;
+    longTasks.length = 0;
+    return snapshot;
+  }
+
+  /**
+   * AliasManager.applyAliasesToNodeの処理時間を計測するようにする
+   */
+  function instrument() {
+    const original = AliasManager.applyAliasesToNode;
+    AliasManager.applyAliasesToNode = function () {
+      const startedAt = performance.now();
+      try {
+        return original.apply(this, arguments);
+      } finally {
+        const elapsed = performance.now() - startedAt;
+        stats.calls++;
+        stats.totalMs += elapsed;
+        stats.maxMs = Math.max(stats.maxMs, elapsed);
+      }
+    };
+
+    if (
+      window.PerformanceObserver &&
+      PerformanceObserver.supportedEntryTypes.includes('longtask')
+    ) {
+      new PerformanceObserver((list) => {
+        longTasks.push(...list.getEntries());
+      }).observe({ type: 'longtask', buffered: true });
+    }
+  }
+
+  /**
+   * 計測結果を表示
+   */
+  function report(phases) {
+    const lines = [
+      `rows=${ROWS} bursts=${BURSTS} burstRows=${BURST_ROWS} aliases=${ALIAS_COUNT}`,
+      '',
+    ];
+    phases.forEach(({ name, completed, elapsedMs, ...snapshot }) => {
+      lines.push(
+        `${name}: ${completed ? 'OK' : 'TIMEOUT'} ${Math.round(elapsedMs)}ms`,
+        `  処理 ${snapshot.calls}回 / 合計 ${snapshot.totalMs}ms / 最大 ${snapshot.maxMs}ms / long task ${snapshot.longTasks}件`
+      );
+    });
+    results.textContent = lines.join('\n');
+    console.table(phases);
+  }
+
+  /**
+   * ベンチマークを実行
+   */
+  async function run() {
+    const phases = [];
+    // ナビゲーションの1件を含む
+    const expected = () => rowCount + 1;
+
+    // 1. 初期表示
+    let startedAt = performance.now();
+    let completed = await waitFor(() => countAnnotations() >= expected());
+    phases.push({
+      name: 'initial',
+      completed,
+      elapsedMs: performance.now() - startedAt,
+      ...takeStats(),
+    });
+
+    // 2. 追加表示
+    startedAt = performance.now();
+    for (let i = 0; i < BURSTS; i++) {
+      appendRows(BURST_ROWS);
+      await sleep(BURST_INTERVAL_MS);
+    }
+    completed = await waitFor(() => countAnnotations() >= expected());
+    phases.push({
+      name: 'bursts',
+      completed,
+      elapsedMs: performance.now() - startedAt,
+      ...takeStats(),
+    });
+
+    // 3. 待機（DOMの変化がない間は処理回数が0であること）
+    startedAt = performance.now();
+    await sleep(IDLE_CHECK_MS);
+    const idle = takeStats();
+    phases.push({
+      name: 'idle',
+      completed: idle.calls === 0,
+      elapsedMs: performance.now() - startedAt,
+      ...idle,
+    });
+
+    report(phases);
+  }
+
+  appendRows(ROWS);
+
+  // コンテンツスクリプトの初期化（DOMContentLoaded）より先に計測を開始する
+  document.addEventListener('DOMContentLoaded', () => {
+    instrument();
+    run();
+  });
+})();
@@ -3,6 +3,39 @@
  * バックグラウンドで動作するサービスワーカー
  */
 
+// エイリアスデータの読み書き・スキーマ移行はStorageManagerに集約
+importScripts(
+  '../utils/storage.js',
+  '../utils/alias.js',
+  '../utils/formats.js',
+  '../utils/sources.js',
+  '../utils/sync.js',
+  '../utils/logger.js',
+  '../utils/settings.js',
+  '../utils/tabs.js'
+);
+
+// エイリアス表示に影響するストレージキー（変更時にタブへ通知）
+const EFFECTIVE_ALIAS_KEYS = [
+  'aws_account_aliases',
+  'aws_alias_sources',
+  'aws_alias_source_cache',
+];
+
+// 選択テキストのアカウントIDに対するコンテキストメニューのID
+const SELECTION_MENU_IDS = {
+  add: 'aws-alias-selection-add',
+  copy: 'aws-alias-selection-copy',
+  remove: 'aws-alias-selection-remove',
+};
+
+// エイリアス未設定のアカウントのバッジの色
+const DEFAULT_BADGE_COLOR = '#545b64';
+
+// タブごとに表示中のアカウントID（URLまたはコンテンツスクリプトの検出結果）
+// サービスワーカーの再起動で失われるが、次のページ遷移で再取得される
+const tabAccounts = new Map();
+
 // 拡張機能のインストール・更新時の処理
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
@@ -12,8 +45,51 @@ chrome.runtime.onInstalled.addListener((details) => {
     // アップデート時の処理
     handleExtensionUpdate(details.previousVersion);
   }
+
+  // 共有ソースの定期取得を登録して即時に取得
+  SourceManager.scheduleRefresh();
+  SourceManager.refreshAll();
+});
+
+// ブラウザ起動時にも共有ソースの定期取得を登録し、他の端末の変更を取り込む
+chrome.runtime.onStartup.addListener(() => {
+  SourceManager.scheduleRefresh();
+  SourceManager.refreshAll();
+  SyncManager.syncIfEnabled();
+});
+
+// 個人のエイリアスの変更を同期データへ、他の端末からの同期データの変更をローカルへ反映
+StorageManager.watchChanges(() => {
+  SyncManager.syncIfEnabled();
+});
+
+// 共有ソースの定期取得
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SourceManager.REFRESH_ALARM) {
+    SourceManager.refreshAll();
+  }
 });
 
+/**
+ * 管理者ポリシー・共有ソース・個人のエイリアスを統合した有効なエイリアスを取得
+ * 優先度: ポリシーの既定値 < チーム < 個人 < ポリシーでロックされたエントリ
+ * @returns {Promise<Object>} アカウントIDをキー、レイヤー情報付きレコードを値とするオブジェクト
+ */
+async function getEffectiveAliases() {
+  const [policyLayers, teamLayers, personalAliases] = await Promise.all([
+    StorageManager.getPolicyLayers(),
+    SourceManager.getLayers(),
+    StorageManager.getAllAliases(),
+  ]);
+
+  return StorageManager.mergeLayers([
+    policyLayers.baseline,
+    ...teamLayers,
+    { layer: 'personal', aliases: personalAliases },
+    policyLayers.locked,
+  ]);
+}
+
 /**
  * 拡張機能の初期化処理
  */
@@ -28,12 +104,16 @@ async function initializeExtension() {
       // 必要に応じてデフォルトの設定を保存
       await chrome.storage.local.set({
         aws_account_aliases: {},
+        aws_account_aliases_schema_version: StorageManager.SCHEMA_VERSION,
         extension_settings: {
-          version: '1.0.0',
+          version: chrome.runtime.getManifest().version,
           initialized: true,
           installedAt: new Date().toISOString(),
         },
       });
+    } else {
+      // 再インストール等で旧形式のデータが残っている場合は移行
+      await StorageManager.migrate();
     }
   } catch (error) {
     console.error('Failed to initialize extension:', error);
@@ -45,15 +125,24 @@ async function initializeExtension() {
  */
 async function handleExtensionUpdate(previousVersion) {
   try {
-    // バージョン固有の移行処理があれば実行
-    // 例: v1.0.0からv1.1.0への移行
+    // エイリアスデータを現在のスキーマへ移行
+    const migration = await StorageManager.migrate();
+    if (migration.migrated) {
+      console.log(
+        `Migrated ${migration.count} aliases from schema v${migration.fromVersion} to v${migration.toVersion}`
+      );
+    }
+
+    // 移行後のデータで他の端末と同期
+    await SyncManager.syncIfEnabled();
 
     // 設定の更新
     await chrome.storage.local.set({
       extension_settings: {
-        version: '1.0.0',
+        version: chrome.runtime.getManifest().version,
         updatedAt: new Date().toISOString(),
         previousVersion: previousVersion,
+        schemaVersion: StorageManager.SCHEMA_VERSION,
       },
     });
   } catch (error) {
@@ -86,10 +175,58 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleExportAliases(request, sendResponse);
       return true;
 
+    case 'previewImport':
+      handlePreviewImport(request, sendResponse);
+      return true;
+
     case 'importAliases':
       handleImportAliases(request, sendResponse);
       return true;
 
+    case 'getSources':
+      handleGetSources(request, sendResponse);
+      return true;
+
+    case 'addSource':
+      handleAddSource(request, sendResponse);
+      return true;
+
+    case 'removeSource':
+      handleRemoveSource(request, sendResponse);
+      return true;
+
+    case 'refreshSources':
+      handleRefreshSources(request, sendResponse);
+      return true;
+
+    case 'getUsage':
+      handleGetUsage(request, sendResponse);
+      return true;
+
+    case 'recordUsage':
+      handleRecordUsage(request, sendResponse, sender);
+      return true;
+
+    case 'selectionChanged':
+      handleSelectionChanged(request, sendResponse);
+      return true;
+
+    case 'getSyncStatus':
+      handleGetSyncStatus(request, sendResponse);
+      return true;
+
+    case 'setSyncEnabled':
+      handleSetSyncEnabled(request, sendResponse);
+      return true;
+
+    case 'getSettings':
+      handleGetSettings(request, sendResponse);
+      return true;
+
+    case 'updateSettings':
+      handleUpdateSettings(request, sendResponse);
+      return true;
+
     default:
       console.warn('Unknown action:', request.action);
       sendResponse({ success: false, error: 'Unknown action' });
@@ -101,10 +238,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  */
 async function handleGetAliases(request, sendResponse) {
   try {
-    const result = await chrome.storage.local.get(['aws_account_aliases']);
+    const aliases = await getEffectiveAliases();
     sendResponse({
       success: true,
-      data: result.aws_account_aliases || {},
+      data: aliases,
     });
   } catch (error) {
     console.error('Failed to get aliases:', error);
@@ -120,25 +257,18 @@ async function handleGetAliases(request, sendResponse) {
  */
 async function handleSetAlias(request, sendResponse) {
   try {
+    // aliasにはエイリアス名（文字列）またはエイリアスレコードを指定できる
     const { accountId, alias } = request;
 
     if (!accountId || !alias) {
       throw new Error('Account ID and alias are required');
     }
 
-    // 既存のエイリアスを取得
-    const result = await chrome.storage.local.get(['aws_account_aliases']);
-    const aliases = result.aws_account_aliases || {};
-
-    // エイリアスを設定
-    aliases[accountId] = alias;
-
-    // 保存
-    await chrome.storage.local.set({ aws_account_aliases: aliases });
+    const record = await StorageManager.setAlias(accountId, alias);
 
     sendResponse({
       success: true,
-      data: { accountId, alias },
+      data: { accountId, alias: record },
     });
   } catch (error) {
     console.error('Failed to set alias:', error);
@@ -160,15 +290,7 @@ async function handleRemoveAlias(request, sendResponse) {
       throw new Error('Account ID is required');
     }
 
-    // 既存のエイリアスを取得
-    const result = await chrome.storage.local.get(['aws_account_aliases']);
-    const aliases = result.aws_account_aliases || {};
-
-    // エイリアスを削除
-    delete aliases[accountId];
-
-    // 保存
-    await chrome.storage.local.set({ aws_account_aliases: aliases });
+    await StorageManager.removeAlias(accountId);
 
     sendResponse({
       success: true,
@@ -188,7 +310,7 @@ async function handleRemoveAlias(request, sendResponse) {
  */
 async function handleClearAllAliases(request, sendResponse) {
   try {
-    await chrome.storage.local.set({ aws_account_aliases: {} });
+    await StorageManager.clearAllAliases();
 
     sendResponse({
       success: true,
@@ -208,18 +330,11 @@ async function handleClearAllAliases(request, sendResponse) {
  */
 async function handleExportAliases(request, sendResponse) {
   try {
-    const result = await chrome.storage.local.get(['aws_account_aliases']);
-    const aliases = result.aws_account_aliases || {};
-
-    const exportData = {
-      version: '1.0.0',
-      exportedAt: new Date().toISOString(),
-      aliases: aliases,
-    };
+    const data = await StorageManager.exportAliases(request.format);
 
     sendResponse({
       success: true,
-      data: JSON.stringify(exportData, null, 2),
+      data,
     });
   } catch (error) {
     console.error('Failed to export aliases:', error);
@@ -230,55 +345,216 @@ async function handleExportAliases(request, sendResponse) {
   }
 }
 
+/**
+ * インポート差分プレビューの処理（ストレージには書き込まない）
+ */
+async function handlePreviewImport(request, sendResponse) {
+  try {
+    const { data, mode, format } = request;
+
+    if (!data) {
+      throw new Error('Import data is required');
+    }
+
+    const diff = await StorageManager.previewImport(data, mode, format);
+
+    sendResponse({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    console.error('Failed to preview import:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * エイリアスインポートの処理
  */
 async function handleImportAliases(request, sendResponse) {
   try {
-    const { data } = request;
+    const { data, mode, format } = request;
 
     if (!data) {
       throw new Error('Import data is required');
     }
 
-    let importData;
-    try {
-      importData = JSON.parse(data);
-    } catch (parseError) {
-      throw new Error('Invalid JSON format');
+    // 形式ごとの解析と検証、スキーマ移行を行い、モードに従って保存
+    const result = await StorageManager.importAliases(data, mode, format);
+
+    sendResponse({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Failed to import aliases:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 共有ソース一覧取得の処理
+ */
+async function handleGetSources(request, sendResponse) {
+  try {
+    const sources = await SourceManager.getSourceStatuses();
+    sendResponse({
+      success: true,
+      data: sources,
+    });
+  } catch (error) {
+    console.error('Failed to get sources:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 共有ソース追加の処理
+ */
+async function handleAddSource(request, sendResponse) {
+  try {
+    const { name, url } = request;
+
+    if (!url) {
+      throw new Error('Source URL is required');
     }
 
-    // データ形式の検証
-    let aliases;
-    if (importData.aliases && typeof importData.aliases === 'object') {
-      // v1.0.0形式
-      aliases = importData.aliases;
-    } else if (typeof importData === 'object') {
-      // レガシー形式（直接エイリアスオブジェクト）
-      aliases = importData;
-    } else {
-      throw new Error('Invalid data format');
+    const source = await SourceManager.addSource({ name, url });
+
+    sendResponse({
+      success: true,
+      data: source,
+    });
+  } catch (error) {
+    console.error('Failed to add source:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 共有ソース削除の処理
+ */
+async function handleRemoveSource(request, sendResponse) {
+  try {
+    const { sourceId } = request;
+
+    if (!sourceId) {
+      throw new Error('Source ID is required');
     }
 
-    // エイリアスの検証
-    for (const [accountId, alias] of Object.entries(aliases)) {
-      if (!/^\d{12}$/.test(accountId)) {
-        throw new Error(`Invalid account ID: ${accountId}`);
-      }
-      if (typeof alias !== 'string' || !alias.trim()) {
-        throw new Error(`Invalid alias for account ${accountId}`);
-      }
+    await SourceManager.removeSource(sourceId);
+
+    sendResponse({
+      success: true,
+      data: { sourceId },
+    });
+  } catch (error) {
+    console.error('Failed to remove source:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 共有ソース再取得の処理
+ */
+async function handleRefreshSources(request, sendResponse) {
+  try {
+    await SourceManager.refreshAll();
+    const sources = await SourceManager.getSourceStatuses();
+
+    sendResponse({
+      success: true,
+      data: sources,
+    });
+  } catch (error) {
+    console.error('Failed to refresh sources:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * アカウントごとの最終利用日時取得の処理
+ */
+async function handleGetUsage(request, sendResponse) {
+  try {
+    const usage = await StorageManager.getUsage();
+
+    sendResponse({
+      success: true,
+      data: usage,
+    });
+  } catch (error) {
+    console.error('Failed to get usage:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * アカウント利用記録の処理
+ * コンテンツスクリプトが検出したアカウントでタブのバッジも更新する
+ */
+async function handleRecordUsage(request, sendResponse, sender) {
+  try {
+    const { accountId } = request;
+
+    if (!accountId) {
+      throw new Error('Account ID is required');
     }
 
-    // インポート実行
-    await chrome.storage.local.set({ aws_account_aliases: aliases });
+    if (sender.tab) {
+      tabAccounts.set(sender.tab.id, accountId);
+      updateTabBadge(sender.tab.id, accountId);
+    }
+
+    await StorageManager.recordUsage(accountId);
 
     sendResponse({
       success: true,
-      data: aliases,
+      data: { accountId },
     });
   } catch (error) {
-    console.error('Failed to import aliases:', error);
+    console.error('Failed to record usage:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 同期状況取得の処理
+ */
+async function handleGetSyncStatus(request, sendResponse) {
+  try {
+    const status = await SyncManager.getStatus();
+
+    sendResponse({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error('Failed to get sync status:', error);
     sendResponse({
       success: false,
       error: error.message,
@@ -286,51 +562,193 @@ async function handleImportAliases(request, sendResponse) {
   }
 }
 
+/**
+ * 同期の有効・無効切り替えの処理
+ */
+async function handleSetSyncEnabled(request, sendResponse) {
+  try {
+    const status = await SyncManager.setEnabled(request.enabled);
+
+    sendResponse({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error('Failed to update sync settings:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 表示設定取得の処理
+ */
+async function handleGetSettings(request, sendResponse) {
+  try {
+    const settings = await SettingsManager.getSettings();
+
+    sendResponse({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    console.error('Failed to get settings:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 表示設定更新の処理
+ */
+async function handleUpdateSettings(request, sendResponse) {
+  try {
+    const { settings } = request;
+
+    if (!settings || typeof settings !== 'object') {
+      throw new Error('Settings are required');
+    }
+
+    const updated = await SettingsManager.updateSettings(settings);
+
+    sendResponse({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Failed to update settings:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * タブのツールバーバッジとツールチップを表示中のアカウントに合わせて更新
+ * バッジには環境区分の短縮表記、環境区分がない場合は短縮したエイリアス名を表示する
+ * @param {number} tabId - タブID
+ * @param {string|null} accountId - タブで表示中のアカウントID
+ * @param {Object} aliases - 有効なエイリアス（省略時は取得する）
+ */
+async function updateTabBadge(tabId, accountId, aliases) {
+  const defaultTitle = chrome.runtime.getManifest().name;
+
+  try {
+    if (!accountId) {
+      await chrome.action.setBadgeText({ tabId, text: '' });
+      await chrome.action.setTitle({ tabId, title: defaultTitle });
+      return;
+    }
+
+    const entry = (aliases || (await getEffectiveAliases()))[accountId];
+    const displayAccountId = AliasManager.formatAccountId(accountId);
+
+    if (!entry) {
+      await chrome.action.setBadgeText({ tabId, text: '' });
+      await chrome.action.setTitle({
+        tabId,
+        title: `${defaultTitle}\n${displayAccountId}（エイリアス未登録）`,
+      });
+      return;
+    }
+
+    const environment = AliasManager.ENVIRONMENTS[entry.environment];
+    await chrome.action.setBadgeText({
+      tabId,
+      text: environment
+        ? environment.badge
+        : AliasManager.abbreviateAlias(entry.alias),
+    });
+    await chrome.action.setBadgeBackgroundColor({
+      tabId,
+      color: AliasManager.getEntryColor(entry) || DEFAULT_BADGE_COLOR,
+    });
+    if (chrome.action.setBadgeTextColor) {
+      await chrome.action.setBadgeTextColor({ tabId, color: '#ffffff' });
+    }
+    await chrome.action.setTitle({
+      tabId,
+      title: `${entry.alias}\n${displayAccountId}${
+        environment ? `（${environment.name}）` : ''
+      }`,
+    });
+  } catch (error) {
+    // 更新中にタブが閉じられた場合など
+    console.warn('Failed to update badge:', error);
+  }
+}
+
 /**
  * タブの更新を監視
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // AWSコンソールのタブが更新された場合
+  // URLが変わった場合はURLのアカウントIDでバッジを更新
+  // （マルチセッション無効時はコンテンツスクリプトの検出結果で上書きされる）
+  if (changeInfo.url) {
+    const accountId = AliasManager.extractAccountIdFromUrl(changeInfo.url);
+    if (accountId) {
+      tabAccounts.set(tabId, accountId);
+    } else {
+      tabAccounts.delete(tabId);
+    }
+    updateTabBadge(tabId, accountId);
+  }
+
+  // AWSコンソールのタブのURLが変わった・読み込みが完了した場合はコンテンツスクリプトに通知
+  // コンソールのページ遷移（history API）はコンテンツスクリプトの独立した実行環境からは検知できないため、
+  // コンテンツスクリプトはこの通知で遷移先のURLの適用範囲を再評価する
   if (
-    changeInfo.status === 'complete' &&
+    (changeInfo.url || changeInfo.status === 'complete') &&
     tab.url &&
-    tab.url.includes('console.aws.amazon.com')
+    TabClient.isConsoleUrl(tab.url)
   ) {
-    // 必要に応じてコンテンツスクリプトに通知
-    chrome.tabs
-      .sendMessage(tabId, {
-        action: 'tabUpdated',
-        url: tab.url,
-      })
-      .catch(() => {
-        // コンテンツスクリプトが未読み込みの場合のエラーを無視
-      });
+    TabClient.notify(tabId, 'tabUpdated', { url: tab.url }).catch((error) => {
+      // コンテンツスクリプトが未読み込みの場合のエラーを無視
+      if (!TabClient.isMissingReceiver(error)) {
+        console.warn('Failed to notify tab update:', error);
+      }
+    });
   }
 });
 
+// 閉じたタブのアカウントを破棄
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabAccounts.delete(tabId);
+});
+
 /**
  * ストレージ変更の監視
  */
-chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'local' && changes.aws_account_aliases) {
-    // 全てのAWSコンソールタブに変更を通知
-    chrome.tabs.query({ url: '*://*.console.aws.amazon.com/*' }, (tabs) => {
-      tabs.forEach((tab) => {
-        chrome.tabs
-          .sendMessage(tab.id, {
-            action: 'aliasesChanged',
-            aliases: changes.aws_account_aliases.newValue || {},
-          })
-          .catch(() => {
-            // コンテンツスクリプトが未読み込みの場合のエラーを無視
-          });
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  // 管理者ポリシーの変更はすべて表示に影響する
+  if (
+    areaName === 'managed' ||
+    (areaName === 'local' && EFFECTIVE_ALIAS_KEYS.some((key) => changes[key]))
+  ) {
+    try {
+      const aliases = await getEffectiveAliases();
+
+      // バッジを更新
+      tabAccounts.forEach((accountId, tabId) => {
+        updateTabBadge(tabId, accountId, aliases);
       });
-    });
+
+      // 全てのAWSコンソールタブに変更を通知（コンテンツスクリプトは通知されたエイリアスで表示を更新する）
+      await TabClient.broadcast('aliasesChanged', { aliases });
+    } catch (error) {
+      console.error('Failed to broadcast alias changes:', error);
+    }
   }
 });
 
 /**
  * コンテキストメニューの追加（必要に応じて）
+ * 選択テキストのメニューは、アカウントIDが選択されたときのみ表示する（updateSelectionMenus参照）
  */
 chrome.runtime.onInstalled.addListener(() => {
   chrome.contextMenus.create({
@@ -339,8 +757,74 @@ chrome.runtime.onInstalled.addListener(() => {
     contexts: ['page'],
     documentUrlPatterns: ['*://*.console.aws.amazon.com/*'],
   });
+
+  [
+    [SELECTION_MENU_IDS.add, 'エイリアスを追加…'],
+    [SELECTION_MENU_IDS.copy, 'エイリアスをコピー'],
+    [SELECTION_MENU_IDS.remove, 'エイリアスを削除'],
+  ].forEach(([id, title]) => {
+    chrome.contextMenus.create({
+      id,
+      title,
+      contexts: ['selection'],
+      documentUrlPatterns: TabClient.CONSOLE_URL_PATTERNS,
+      visible: false,
+    });
+  });
 });
 
+/**
+ * 選択テキストのアカウントIDに合わせてコンテキストメニューを更新
+ * 追加（変更）は常に、コピーはエイリアスがある場合、削除は個人のエイリアスの場合のみ表示する
+ * @param {string|null} accountId - 選択されたアカウントID
+ */
+async function updateSelectionMenus(accountId) {
+  const aliases = accountId ? await getEffectiveAliases() : {};
+  const entry = accountId ? aliases[accountId] : null;
+  const displayAccountId = accountId
+    ? AliasManager.formatAccountId(accountId)
+    : '';
+
+  // 更新の失敗は呼び出し元（handleSelectionChanged）でログに記録する
+  await Promise.all([
+    chrome.contextMenus.update(SELECTION_MENU_IDS.add, {
+      visible: !!accountId && !(entry && entry.locked),
+      title: entry
+        ? `${displayAccountId} のエイリアスを変更…`
+        : `${displayAccountId} のエイリアスを追加…`,
+    }),
+    chrome.contextMenus.update(SELECTION_MENU_IDS.copy, {
+      visible: !!entry,
+      title: entry
+        ? `エイリアス「${entry.alias}」をコピー`
+        : 'エイリアスをコピー',
+    }),
+    chrome.contextMenus.update(SELECTION_MENU_IDS.remove, {
+      visible: !!entry && entry.layer === 'personal',
+    }),
+  ]);
+}
+
+/**
+ * 選択テキスト変更の処理
+ */
+async function handleSelectionChanged(request, sendResponse) {
+  try {
+    await updateSelectionMenus(request.accountId || null);
+
+    sendResponse({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Failed to update selection menus:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * コンテキストメニューのクリック処理
  */
@@ -348,5 +832,22 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'aws-alias-settings') {
     // ポップアップを開く（拡張機能のアイコンをクリックしたのと同じ動作）
     chrome.action.openPopup();
+    return;
+  }
+
+  // 選択テキストのメニューは、選択されたフレームのコンテンツスクリプトで入力欄などを表示する
+  const command = Object.keys(SELECTION_MENU_IDS).find(
+    (key) => SELECTION_MENU_IDS[key] === info.menuItemId
+  );
+  const accountId = AliasManager.extractAccountIdFromText(info.selectionText);
+  if (command && accountId && tab) {
+    TabClient.notify(
+      tab.id,
+      'selectionCommand',
+      { command, accountId },
+      { frameId: info.frameId }
+    ).catch((error) => {
+      console.warn('Failed to send selection command:', error);
+    });
   }
 });
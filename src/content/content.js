@@ -9,12 +9,150 @@
   // エイリアスマップのキャッシュ
   let aliasMap = {};
 
-  // デバウンス用のタイマー
-  let debounceTimer = null;
+  // 処理待ちのノード（DOMの変更箇所をアイドル時にまとめて処理する）
+  const pendingNodes = new Set();
+
+  // 処理待ちノードのアイドルコールバックのID
+  let idleCallbackId = null;
+
+  // アイドル時間がなくても処理を開始するまでの最大待ち時間（ミリ秒）
+  const IDLE_TIMEOUT_MS = 500;
+
+  // 診断表示の枠の位置をスクロール・リサイズ時に更新する最小間隔（ミリ秒）
+  const DIAGNOSTICS_REPOSITION_INTERVAL_MS = 100;
+
+  // ナビゲーション・セッション情報の要素のセレクタ
+  // ページ全体が適用対象外のページでも、これらの要素内にはエイリアスを表示する
+  const NAVIGATION_SELECTOR = [
+    '[data-testid="awsc-nav-account-menu-button"]',
+    '[data-testid="account-menu-button"]',
+    '.nav-menu-account-name',
+    '.awsui-context-top-navigation',
+    '#consoleNavHeader',
+    '.awsc-nav-header',
+    '[aria-label*="Account"]',
+    '[role="banner"]', // ヘッダー全体
+    // 現在のセッション関連
+    '.current-session',
+    '.session-info',
+    '.session-panel',
+    '.account-session',
+    '[data-testid*="session"]',
+    '[data-testid*="account-info"]',
+    '[class*="session"]',
+    '[class*="account-id"]',
+    '[id*="session"]',
+    // 汎用的なアカウント情報セレクタ
+    '*[class*="account"] *',
+    '*[id*="account"] *',
+    // AWSUIコンポーネント
+    '.awsui-util-container',
+    '.awsui-util-content',
+    '[data-awsui-util-type]',
+    // マルチセッション関連
+    '.multi-session',
+    '.session-switcher',
+    '.account-switcher',
+    '.session-menu-content',
+    '[role="menu"]',
+    // セッション選択画面特有のセレクタ
+    '.session-option',
+    '.session-item',
+    '.account-info',
+    '.account-card',
+    '.session-card',
+    '[data-testid*="session-option"]',
+    '[class*="session-list"]',
+    '[class*="account-list"]',
+    '.account-container',
+    '.session-container',
+    '[role="option"]',
+    '[role="listitem"]',
+    '.account-entry',
+    '.session-entry',
+    '[data-account-id]',
+    '[aria-describedby*="account"]',
+  ].join(',');
 
   // MutationObserverのインスタンス
   let observer = null;
 
+  // MutationObserverの設定（文書とシャドウルートで共通）
+  const OBSERVER_CONFIG = {
+    childList: true,
+    subtree: true,
+    characterData: true,
+  };
+
+  // 監視中のopenなシャドウルート
+  const shadowRoots = new Set();
+
+  // シャドウルートの作成を通知するイベント名（shadow.jsと共通）
+  const SHADOW_ROOT_EVENT = 'aws-custom-alias-shadow-root';
+
+  // シャドウルートにはcontent.cssが適用されないため、注釈の最低限のスタイルを追加する
+  const SHADOW_ROOT_STYLE = `
+    .aws-custom-alias {
+      font-weight: 600;
+      font-size: 0.9em;
+      letter-spacing: 0.5px;
+    }
+    .aws-custom-alias::before {
+      content: attr(data-alias-label);
+      white-space: pre-wrap;
+    }
+    .aws-custom-alias-id {
+      font-size: 0 !important;
+    }
+    .aws-custom-alias-badge::before {
+      display: inline-block;
+      padding: 0 6px;
+      border-radius: 8px;
+      background: var(--aws-custom-alias-badge-color, #545b64);
+      color: #ffffff;
+    }
+  `;
+
+  // 環境バナーの要素ID
+  const ENV_BANNER_ID = 'aws-custom-alias-env-banner';
+
+  // 選択中のテキストに含まれるアカウントID（コンテキストメニューの切り替え用）
+  let selectedAccountId = null;
+
+  // 表示設定のキャッシュ
+  let settings = null;
+
+  // 現在のページのエイリアスの適用範囲（AliasManager.SCOPE_MODES参照）
+  let scopeMode = AliasManager.DEFAULT_SCOPE_MODE;
+
+  // コンパイル済みの除外ルール（表示設定の読み込み・変更時にのみコンパイルする）
+  let exclusions = AliasManager.getDefaultExclusions();
+
+  // コンソールが設定した元のタブタイトルと、拡張機能が設定したタブタイトル
+  let originalTitle = null;
+  let appliedTitle = null;
+
+  // タブタイトルの変更を監視するMutationObserverのインスタンス
+  let titleObserver = null;
+
+  // エイリアスの表示を一時停止しているかどうか（ポップアップから切り替え）
+  let paused = false;
+
+  // 最後に処理したトップフレームのURL（ページ遷移の重複した通知を無視する）
+  let pageUrl = null;
+
+  // 診断表示の描画待ちのアニメーションフレームのID
+  let diagnosticsFrameId = null;
+
+  // 診断表示の位置を更新するためのスクロール・リサイズの監視中かどうか
+  let diagnosticsListening = false;
+
+  // 診断表示の枠の位置の更新待ちのアニメーションフレームのID
+  let diagnosticsRepositionFrameId = null;
+
+  // 診断表示の枠の位置を最後に更新した時刻（アニメーションフレームのタイムスタンプ）
+  let diagnosticsRepositionedAt = 0;
+
   /**
    * ページタイプを検出してbodyにマーカーを付与
    */
@@ -28,9 +166,7 @@
       currentHost.includes('signin.aws.amazon.com')
     ) {
       document.body.setAttribute('data-page', 'sessions-selector');
-      console.log(
-        '🎯 Detected sessions/selector page - marked for black text styling'
-      );
+      Logger.debug('Marked sessions selector page');
     }
   }
 
@@ -42,22 +178,67 @@
       // ページタイプの検出とマーキング
       detectAndMarkPageType();
 
-      // ストレージからエイリアスを読み込み
-      aliasMap = await StorageManager.getAllAliases();
+      // バックグラウンドからエイリアスと表示設定を読み込み
+      [aliasMap, settings] = await Promise.all([
+        AliasClient.getAliases(),
+        AliasClient.getSettings(),
+      ]);
+      Logger.setLevel(settings.logLevel);
+      Logger.info('Initialized', {
+        aliasCount: Object.keys(aliasMap).length,
+        url: window.location.href,
+      });
 
-      // 初回のエイリアス適用（ナビゲーション＋パスチェック）
+      // 初回のエイリアス適用（ナビゲーション＋適用範囲のルール・除外ルール）
+      pageUrl = getTopLocation().href;
+      updateExclusions();
+      updateScopeMode();
       applyAliases();
 
+      // 環境カラーとバナーを適用
+      applyEnvironmentIndicator();
+
+      // タブタイトルを適用し、コンソールによる書き換えを監視
+      applyTabTitle();
+      startTitleObserver();
+
       // DOM監視を開始
       startDOMObserver();
 
-      // ストレージの変更を監視
-      StorageManager.watchChanges((newAliases) => {
-        console.log('Aliases updated from storage');
-        aliasMap = newAliases;
-        // ページ全体を再処理
-        clearAllAliases();
-        applyAliases();
+      // 診断モードの場合は検出結果を表示
+      applyDiagnostics();
+
+      // エイリアスの変更はバックグラウンドからの通知（aliasesChanged）で反映する
+
+      // 表示設定の変更を監視
+      AliasClient.watchSettings((newSettings) => {
+        const displayChanged =
+          newSettings.displayFormat !== settings.displayFormat ||
+          newSettings.displayTemplate !== settings.displayTemplate;
+        const scopeChanged =
+          JSON.stringify(newSettings.scopeRules) !==
+          JSON.stringify(settings.scopeRules);
+        const exclusionsChanged =
+          JSON.stringify(newSettings.excludeRules) !==
+          JSON.stringify(settings.excludeRules);
+        settings = newSettings;
+        Logger.setLevel(settings.logLevel);
+        Logger.info('Settings updated', settings);
+        // 表示形式・除外ルールが変わった場合は注釈を作り直す
+        if (exclusionsChanged) {
+          updateExclusions();
+        }
+        if (displayChanged || exclusionsChanged) {
+          clearAllAliases();
+        }
+        if (scopeChanged) {
+          updateScopeMode();
+        }
+        if (displayChanged || scopeChanged || exclusionsChanged) {
+          applyAliases();
+        }
+        applyTabTitle();
+        applyDiagnostics();
       });
 
       // URLからアカウントIDを抽出して自動検出
@@ -66,286 +247,527 @@
       // ページ遷移を監視
       watchPageTransitions();
     } catch (error) {
-      console.error('Failed to initialize:', error);
+      Logger.error('Failed to initialize', { error });
     }
   }
 
   /**
-   * 現在のURLがエイリアス適用対象かどうかを判定
+   * 変更されたエイリアスでページ全体を再処理（バックグラウンドからの通知）
+   * @param {Object} newAliases - 有効なすべてのエイリアス
    */
-  function shouldApplyAliases() {
-    const currentPath = window.location.pathname;
-    const currentHost = window.location.hostname;
+  function handleAliasesChanged(newAliases) {
+    Logger.info('Aliases updated', {
+      aliasCount: Object.keys(newAliases).length,
+    });
+    aliasMap = newAliases;
+    clearAllAliases();
+    applyAliases();
+    applyEnvironmentIndicator();
+    applyTabTitle();
+    scheduleDiagnostics();
+  }
 
-    // console/home パスまたはsessions/selectorパスを許可
-    const allowedPaths = [
-      '/console/home',
-      '/console/', // リダイレクト時の一時的なパス
-      '/sessions/selector', // AWSマルチセッション選択画面
-    ];
+  /**
+   * トップフレームのURLを取得
+   * 別オリジンのiframeなどトップフレームを参照できない場合は自身のURLを使用する
+   * @returns {Location} トップフレームのlocation
+   */
+  function getTopLocation() {
+    try {
+      // 参照できない場合はプロパティの読み取りで例外になる
+      window.top.location.pathname;
+      return window.top.location;
+    } catch (error) {
+      return window.location;
+    }
+  }
 
-    const isAllowedPath = allowedPaths.some((path) =>
-      currentPath.includes(path)
+  /**
+   * 組み込みの除外セレクタとユーザー定義の除外ルールをコンパイル
+   * 不正なルールは無視し、内容をログと診断表示のパネルに報告する
+   */
+  function updateExclusions() {
+    exclusions = AliasManager.compileExclusions(settings.excludeRules);
+    exclusions.errors.forEach(({ rule, message }) => {
+      Logger.warn('Invalid exclusion rule was skipped', { rule, message });
+    });
+  }
+
+  /**
+   * 現在のURLに適用範囲のルールを適用し、範囲外になった注釈をクリア
+   * 初回表示・ページ遷移・ルールの変更時に呼び出す
+   */
+  function updateScopeMode() {
+    // iframeではトップフレームのURLで判定し、フレーム間で適用範囲を揃える
+    scopeMode = AliasManager.resolveScopeMode(
+      settings.scopeRules,
+      getTopLocation()
     );
 
-    // signin.aws.amazon.comドメインの場合は特別扱い
-    const isSigninDomain = currentHost.includes('signin.aws.amazon.com');
+    if (scopeMode === 'off') {
+      clearAllAliases();
+    } else if (scopeMode === 'nav') {
+      // ナビゲーション以外のエイリアスをクリア
+      clearPageContentAliases();
+    }
+  }
+
+  /**
+   * 要素がナビゲーション・セッション情報内にあるかどうかを判定
+   * @param {Element} element - 判定対象の要素
+   * @returns {boolean} ナビゲーション内の場合true
+   */
+  function isInNavigation(element) {
+    return !!AliasManager.closestComposed(element, NAVIGATION_SELECTOR);
+  }
 
-    return isAllowedPath || isSigninDomain;
+  /**
+   * 要素がエイリアスの適用範囲内にあるかどうかを判定
+   * ページ全体は適用範囲がonの場合、ナビゲーションはnavの場合も適用（offの場合はどちらも適用しない）
+   * @param {Element} element - 判定対象の要素
+   * @returns {boolean} 適用範囲内の場合true
+   */
+  function isInScope(element) {
+    return (
+      scopeMode === 'on' || (scopeMode === 'nav' && isInNavigation(element))
+    );
   }
 
   /**
-   * ナビゲーションバーのみにエイリアスを適用
+   * ページ全体にエイリアスを適用
+   * 初回表示・エイリアス変更・ページ遷移時のみ呼び出し、以降はDOMの変更箇所のみを処理する
    */
-  function applyAliasesToNavigation() {
-    if (Object.keys(aliasMap).length === 0) {
+  function applyAliases() {
+    pendingNodes.clear();
+    scheduleProcessing(document.body);
+  }
+
+  /**
+   * ノードをアイドル時の処理待ちに追加
+   * @param {Node} node - 処理対象のノード（要素またはテキストノード）
+   */
+  function scheduleProcessing(node) {
+    if (Object.keys(aliasMap).length === 0 || scopeMode === 'off' || paused) {
+      // エイリアスを適用しない場合も、診断表示には検出したアカウントIDを反映する
+      scheduleDiagnostics();
+      return;
+    }
+
+    // ページ全体が処理待ちの場合は個別のノードを追加しない
+    if (pendingNodes.has(document.body)) {
       return;
     }
 
-    // AWSナビゲーションバーの主要セレクタ
-    const navigationSelectors = [
-      '[data-testid="awsc-nav-account-menu-button"]',
-      '[data-testid="account-menu-button"]',
-      '.nav-menu-account-name',
-      '.awsui-context-top-navigation',
-      '#consoleNavHeader',
-      '.awsc-nav-header',
-      '[aria-label*="Account"]',
-      '[role="banner"]', // ヘッダー全体
-      // 現在のセッション関連
-      '.current-session',
-      '.session-info',
-      '.session-panel',
-      '.account-session',
-      '[data-testid*="session"]',
-      '[data-testid*="account-info"]',
-      '[class*="session"]',
-      '[class*="account-id"]',
-      // AWSUIコンポーネント
-      '.awsui-util-container',
-      '.awsui-util-content',
-      '[data-awsui-util-type]',
-      // マルチセッション関連
-      '.multi-session',
-      '.session-switcher',
-      '.account-switcher',
-      // セッション選択画面特有のセレクタ
-      '.session-option',
-      '.session-item',
-      '.account-info',
-      '.account-card',
-      '.session-card',
-      '[data-testid*="session-option"]',
-      '[class*="session-list"]',
-      '[class*="account-list"]',
-    ];
-
-    let processedCount = 0;
-
-    navigationSelectors.forEach((selector) => {
+    pendingNodes.add(node);
+    if (idleCallbackId === null) {
+      idleCallbackId = requestIdleCallback(processPendingNodes, {
+        timeout: IDLE_TIMEOUT_MS,
+      });
+    }
+  }
+
+  /**
+   * 処理待ちのノードにエイリアスを適用
+   * アイドル時間を使い切った場合は残りを次のアイドル時間に持ち越す
+   * @param {IdleDeadline} deadline - アイドル時間の情報
+   */
+  function processPendingNodes(deadline) {
+    idleCallbackId = null;
+
+    let processed = 0;
+    for (const node of pendingNodes) {
+      // 1件は必ず処理し、以降はアイドル時間が残っている間のみ処理する
+      if (processed > 0 && deadline.timeRemaining() <= 0) {
+        break;
+      }
+
+      pendingNodes.delete(node);
+      processed++;
+
+      // 処理待ちの間にページから削除されたノードは処理しない
+      if (!node.isConnected) {
+        continue;
+      }
+
       try {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach((element) => {
-          if (element.dataset.aliasApplied !== 'true') {
-            const text = element.textContent || '';
-            if (AliasManager.ACCOUNT_ID_PATTERN.test(text)) {
-              AliasManager.applyAliasToElement(element, aliasMap);
-              processedCount++;
-            }
-          }
+        AliasManager.applyAliasesToNode(node, aliasMap, {
+          isInScope,
+          onShadowRoot: observeShadowRoot,
+          display: {
+            format: settings.displayFormat,
+            template: settings.displayTemplate,
+          },
+          exclusions,
         });
       } catch (error) {
-        console.warn(
-          '⚠️ Error processing navigation selector:',
-          selector,
-          error
-        );
+        Logger.error('Failed to process node', { error, node });
       }
+    }
+    Logger.debug('Processed pending nodes', {
+      processed,
+      remaining: pendingNodes.size,
     });
 
-    // 特別に「現在のセッション」セクションを詳細処理
-    // これは右上のセッション情報パネル用
-    const sessionPanelSelectors = [
-      // より具体的なセッションパネルのセレクタ
-      '[data-testid*="session-panel"]',
-      '[id*="session"]',
-      '[class*="session-panel"]',
-      // 汎用的なアカウント情報セレクタ
-      '*[class*="account"] *',
-      '*[id*="account"] *',
-      // セッション選択画面用の追加セレクタ
-      '.account-container',
-      '.session-container',
-      '[role="option"]',
-      '[role="listitem"]',
-      '.account-entry',
-      '.session-entry',
-      '[data-account-id]',
-      '[aria-label*="Account"]',
-      '[aria-describedby*="account"]',
-    ];
-
-    sessionPanelSelectors.forEach((selector) => {
-      try {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach((element) => {
-          if (element.dataset.aliasApplied !== 'true') {
-            const text = element.textContent || '';
-            // 登録済みアカウントIDまたは正規表現パターンでマッチするかチェック
-            const hasRegisteredAccountId = Object.keys(aliasMap).some(
-              (accountId) => {
-                const formattedId = AliasManager.formatAccountId(accountId);
-                return text.includes(accountId) || text.includes(formattedId);
-              }
-            );
-
-            if (
-              hasRegisteredAccountId ||
-              AliasManager.ACCOUNT_ID_PATTERN.test(text)
-            ) {
-              AliasManager.applyAliasToElement(element, aliasMap);
-              processedCount++;
-            }
-          }
-        });
-      } catch (error) {
-        console.warn(
-          '⚠️ Error processing session panel selector:',
-          selector,
-          error
-        );
+    // 注釈の挿入による自身のDOM変更は処理不要のため破棄
+    discardOwnMutations();
+
+    if (pendingNodes.size > 0) {
+      idleCallbackId = requestIdleCallback(processPendingNodes, {
+        timeout: IDLE_TIMEOUT_MS,
+      });
+    }
+
+    // ナビゲーションから遅れてアカウントが検出された場合もタイトルに反映
+    applyTabTitle();
+    scheduleDiagnostics();
+  }
+
+  /**
+   * 診断モードの設定に応じて診断表示を開始・終了
+   * 表示中はスクロール・リサイズのたびに枠の位置を更新する（DIAGNOSTICS_REPOSITION_INTERVAL_MSごとに最大1回）
+   */
+  function applyDiagnostics() {
+    const enabled = !!settings && settings.debugMode;
+    if (enabled !== diagnosticsListening) {
+      const method = enabled ? 'addEventListener' : 'removeEventListener';
+      // ページ内のスクロール領域のスクロールも捕捉する
+      document[method]('scroll', scheduleDiagnosticsReposition, {
+        capture: true,
+        passive: true,
+      });
+      window[method]('resize', scheduleDiagnosticsReposition, {
+        passive: true,
+      });
+      diagnosticsListening = enabled;
+    }
+
+    if (enabled) {
+      scheduleDiagnostics();
+    } else {
+      if (diagnosticsFrameId !== null) {
+        cancelAnimationFrame(diagnosticsFrameId);
+        diagnosticsFrameId = null;
       }
+      if (diagnosticsRepositionFrameId !== null) {
+        cancelAnimationFrame(diagnosticsRepositionFrameId);
+        diagnosticsRepositionFrameId = null;
+      }
+      AliasDiagnostics.hide();
+    }
+  }
+
+  /**
+   * 診断表示の更新を次のアニメーションフレームに予約（複数回の要求は1回にまとめる）
+   */
+  function scheduleDiagnostics() {
+    if (!settings || !settings.debugMode || diagnosticsFrameId !== null) {
+      return;
+    }
+    diagnosticsFrameId = requestAnimationFrame(renderDiagnostics);
+  }
+
+  /**
+   * 診断表示の枠の位置の更新を予約（スクロール・リサイズ時）
+   * 前回の更新からDIAGNOSTICS_REPOSITION_INTERVAL_MSが経過した後のアニメーションフレームで、
+   * 描画済みの検出結果の枠のみを更新する（ページの再走査はDOM変更時のscheduleDiagnosticsで行う）
+   */
+  function scheduleDiagnosticsReposition() {
+    if (
+      !settings ||
+      !settings.debugMode ||
+      diagnosticsRepositionFrameId !== null
+    ) {
+      return;
+    }
+    diagnosticsRepositionFrameId = requestAnimationFrame(repositionDiagnostics);
+  }
+
+  /**
+   * 診断表示の枠の位置を更新（最小間隔に満たない場合は次のフレームに持ち越す）
+   * @param {number} timestamp - アニメーションフレームのタイムスタンプ
+   */
+  function repositionDiagnostics(timestamp) {
+    if (
+      timestamp - diagnosticsRepositionedAt <
+      DIAGNOSTICS_REPOSITION_INTERVAL_MS
+    ) {
+      diagnosticsRepositionFrameId = requestAnimationFrame(
+        repositionDiagnostics
+      );
+      return;
+    }
+    diagnosticsRepositionFrameId = null;
+    diagnosticsRepositionedAt = timestamp;
+
+    try {
+      AliasDiagnostics.reposition();
+    } catch (error) {
+      Logger.error('Failed to reposition diagnostics', { error });
+    }
+  }
+
+  /**
+   * ページ上のアカウントIDを検出して状態を判定（AliasDiagnostics.collect参照）
+   * 一時停止中はすべてのアカウントIDを適用範囲外として扱う
+   * @returns {Array<Object>} 検出結果
+   */
+  function collectDiagnostics() {
+    return AliasDiagnostics.collect(getAnnotationRoots(), {
+      aliasMap,
+      exclusions,
+      isInScope: paused ? () => false : isInScope,
+      outOfScopeReason: paused
+        ? '一時停止中'
+        : `適用範囲外（${getScopeLabel()}）`,
     });
   }
 
   /**
-   * エイリアスを適用
+   * 現在のページの適用範囲の表示名を取得
+   * @returns {string} 適用範囲の表示名（一時停止中の場合はその旨を付加）
    */
-  function applyAliases() {
-    if (Object.keys(aliasMap).length === 0) {
+  function getScopeLabel() {
+    const label = AliasManager.SCOPE_MODES[scopeMode];
+    return paused ? `${label}（一時停止中）` : label;
+  }
+
+  /**
+   * ページ上のアカウントIDを検出し、診断表示を描画
+   * 集計パネルはトップフレームのみに表示する（iframeは枠のみ）
+   */
+  function renderDiagnostics() {
+    diagnosticsFrameId = null;
+
+    try {
+      const detections = collectDiagnostics();
+      const summary =
+        window.top === window
+          ? {
+              scope: getScopeLabel(),
+              aliasCount: Object.keys(aliasMap).length,
+              invalidRules: exclusions.errors,
+              logLevel: Logger.level,
+            }
+          : null;
+      AliasDiagnostics.render(detections, summary);
+      Logger.debug('Rendered diagnostics', { detections: detections.length });
+    } catch (error) {
+      Logger.error('Failed to render diagnostics', { error });
+    }
+  }
+
+  /**
+   * 現在のアカウントの環境カラーをナビゲーションに適用し、環境バナーを表示
+   * ナビゲーションの着色はCSS変数経由で行う（content.css参照）
+   */
+  function applyEnvironmentIndicator() {
+    // バナーはトップフレームのみに表示
+    if (window.top !== window) {
       return;
     }
 
-    // デバウンス処理
-    if (debounceTimer) {
-      clearTimeout(debounceTimer);
+    const root = document.documentElement;
+    const accountId = AliasManager.extractAccountIdFromUrl(
+      window.location.href
+    );
+    const entry = accountId ? aliasMap[accountId] : null;
+    const color = AliasManager.getEntryColor(entry);
+    let banner = document.getElementById(ENV_BANNER_ID);
+
+    if (!color) {
+      root.removeAttribute('data-aws-alias-env');
+      root.style.removeProperty('--aws-alias-env-color');
+      if (banner) {
+        banner.remove();
+      }
+      return;
     }
 
-    debounceTimer = setTimeout(() => {
-      // 常にナビゲーションバーには適用
-      applyAliasesToNavigation();
+    const environment = AliasManager.ENVIRONMENTS[entry.environment];
+    root.setAttribute('data-aws-alias-env', entry.environment || 'custom');
+    root.style.setProperty('--aws-alias-env-color', color);
+
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = ENV_BANNER_ID;
+      banner.setAttribute('aria-hidden', 'true');
+      document.body.appendChild(banner);
+    }
 
-      // console/homeページの場合はページ全体にも適用
-      if (shouldApplyAliases()) {
-        AliasManager.applyAliasesToPage(aliasMap);
-      } else {
+    const label = environment
+      ? `${environment.label} · ${entry.alias}`
+      : entry.alias;
+    banner.textContent = `${label} (${AliasManager.formatAccountId(
+      accountId
+    )})`;
+  }
+
+  /**
+   * 表示中のアカウントのエイリアスとリージョンをタブタイトルに適用
+   * コンソールがタイトルを書き換えた場合は新しいタイトルを元のタイトルとして再適用する
+   */
+  function applyTabTitle() {
+    // タブタイトルはトップフレームのみが設定する
+    if (window.top !== window || !settings) {
+      return;
+    }
+
+    const currentTitle = AliasManager.normalizeTitle(document.title);
+    if (currentTitle !== appliedTitle) {
+      originalTitle = currentTitle;
+    }
+
+    const account = getCurrentAccount();
+    const entry = account ? aliasMap[account.accountId] : null;
+    let title = originalTitle;
+
+    if (settings.titleEnabled && entry) {
+      const environment = AliasManager.ENVIRONMENTS[entry.environment];
+      title = AliasManager.formatTitle(settings.titleTemplate, {
+        alias: entry.alias,
+        accountId: AliasManager.formatAccountId(account.accountId),
+        environment: environment ? environment.label : '',
+        region: AliasManager.extractRegionFromUrl(window.location.href),
+        original: originalTitle,
+      });
+    }
+
+    // 設定後のdocument.titleと比較できるよう、取得値と同じ形式で記録する
+    appliedTitle = AliasManager.normalizeTitle(title);
+    if (currentTitle !== appliedTitle) {
+      document.title = appliedTitle;
+    }
+  }
+
+  /**
+   * タブタイトルの変更を監視
+   * SPAのページ遷移でコンソールがタイトルを再設定した場合に再適用する
+   */
+  function startTitleObserver() {
+    if (window.top !== window || !document.head) {
+      return;
+    }
+
+    if (titleObserver) {
+      titleObserver.disconnect();
+    }
+
+    // title要素の差し替えとテキストの変更の両方を監視
+    // 自身の書き換えはapplyTabTitleでappliedTitleと一致するため再適用されない
+    titleObserver = new MutationObserver(() => {
+      if (AliasManager.normalizeTitle(document.title) !== appliedTitle) {
+        applyTabTitle();
       }
-    }, 100);
+    });
+    titleObserver.observe(document.head, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
   }
 
   /**
    * すべてのエイリアスをクリア
    */
   function clearAllAliases() {
-    AliasManager.clearAliasesFromElement(document.body);
+    getAnnotationRoots().forEach((root) => {
+      AliasManager.clearAliasesFromElement(root);
+    });
+    discardOwnMutations();
   }
 
   /**
    * ナビゲーション以外のページコンテンツのエイリアスをクリア
    */
   function clearPageContentAliases() {
-    const navigationSelectors = [
-      '[data-testid="awsc-nav-account-menu-button"]',
-      '[data-testid="account-menu-button"]',
-      '.nav-menu-account-name',
-      '.awsui-context-top-navigation',
-      '#consoleNavHeader',
-      '.awsc-nav-header',
-      '[role="banner"]',
-      // 現在のセッション関連
-      '.current-session',
-      '.session-info',
-      '.session-panel',
-      '.account-session',
-      '[data-testid*="session"]',
-      '[data-testid*="account-info"]',
-      '[class*="session"]',
-      '[class*="account-id"]',
-      // AWSUIコンポーネント
-      '.awsui-util-container',
-      '.awsui-util-content',
-      '[data-awsui-util-type]',
-      // マルチセッション関連
-      '.multi-session',
-      '.session-switcher',
-      '.account-switcher',
-      // セッション選択画面特有のセレクタ
-      '.session-option',
-      '.session-item',
-      '.account-info',
-      '.account-card',
-      '.session-card',
-      '[data-testid*="session-option"]',
-      '[class*="session-list"]',
-      '[class*="account-list"]',
-      '.account-container',
-      '.session-container',
-      '[role="option"]',
-      '[role="listitem"]',
-      '.account-entry',
-      '.session-entry',
-      '[data-account-id]',
-      '[aria-label*="Account"]',
-      '[aria-describedby*="account"]',
-    ];
-
-    // ナビゲーション要素以外のエイリアスをクリア
-    const allAliasElements = document.querySelectorAll('.aws-custom-alias');
-    allAliasElements.forEach((aliasElement) => {
-      // ナビゲーション要素の子要素かどうかをチェック
-      const isInNavigation = navigationSelectors.some((selector) => {
-        const navElements = document.querySelectorAll(selector);
-        return Array.from(navElements).some((navElement) =>
-          navElement.contains(aliasElement)
-        );
-      });
-
-      // ナビゲーション内でなければ削除
-      if (!isInNavigation) {
-        const parent = aliasElement.parentNode;
-        if (parent) {
-          let prevNode = aliasElement.previousSibling;
-          if (prevNode && prevNode.nodeType === Node.TEXT_NODE) {
-            prevNode.textContent = prevNode.textContent.replace(
-              / \([^)]+\)$/,
-              ''
-            );
+    getAnnotationRoots().forEach((root) => {
+      // 分割したテキストノードを戻すため後ろから順に削除
+      const annotations = root.querySelectorAll(
+        `.${AliasManager.ANNOTATION_CLASS}`
+      );
+      Array.from(annotations)
+        .reverse()
+        .forEach((annotation) => {
+          if (!isInNavigation(annotation)) {
+            AliasManager.removeAliasAnnotation(annotation);
           }
-          aliasElement.remove();
-        }
+        });
+    });
+    discardOwnMutations();
+  }
+
+  /**
+   * 注釈を挿入している可能性があるルート（文書と監視中のシャドウルート）を取得
+   * 文書から削除されたシャドウルートは監視対象から外す
+   * @returns {Array<Element|ShadowRoot>} ルートの一覧
+   */
+  function getAnnotationRoots() {
+    shadowRoots.forEach((shadowRoot) => {
+      if (!shadowRoot.host.isConnected) {
+        shadowRoots.delete(shadowRoot);
       }
     });
+    return [document.body, ...shadowRoots];
+  }
+
+  /**
+   * openなシャドウルートの変更監視を開始し、注釈のスタイルを追加
+   * @param {ShadowRoot} shadowRoot - 対象のシャドウルート
+   */
+  function observeShadowRoot(shadowRoot) {
+    if (shadowRoots.has(shadowRoot)) {
+      return;
+    }
+    shadowRoots.add(shadowRoot);
 
-    // ナビゲーション以外の処理済みマークを削除
-    const processedElements = document.querySelectorAll(
-      '[data-alias-applied="true"]'
+    // シャドウルート内のホストの通知は境界を越えないため、シャドウルートごとに受け取る
+    shadowRoot.addEventListener(
+      SHADOW_ROOT_EVENT,
+      handleShadowRootAttached,
+      true
     );
-    processedElements.forEach((element) => {
-      const isInNavigation = navigationSelectors.some((selector) => {
-        const navElements = document.querySelectorAll(selector);
-        return Array.from(navElements).some(
-          (navElement) => navElement.contains(element) || navElement === element
-        );
-      });
 
-      if (!isInNavigation) {
-        delete element.dataset.aliasApplied;
-      }
-    });
+    if (observer) {
+      observer.observe(shadowRoot, OBSERVER_CONFIG);
+    }
+
+    try {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(SHADOW_ROOT_STYLE);
+      shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, sheet];
+    } catch (error) {
+      Logger.warn('Failed to add alias style to shadow root', { error });
+    }
+  }
+
+  /**
+   * ページのスクリプトがopenなシャドウルートを作成したときの処理（shadow.jsから通知）
+   * シャドウルートの中身は作成後に追加されるため、監視を開始してから処理待ちに追加する
+   */
+  function handleShadowRootAttached(event) {
+    // イベントはシャドウルートの境界を越えないため、targetはリスナーと同じツリー内のホスト
+    const host = event.target;
+    if (!host || !host.shadowRoot) {
+      return;
+    }
+
+    observeShadowRoot(host.shadowRoot);
+    scheduleProcessing(host.shadowRoot);
+  }
+
+  /**
+   * 注釈の挿入・削除による自身のDOM変更をMutationObserverの通知から破棄
+   * 同期処理の間にページのスクリプトは動作しないため、未通知の変更はすべて自身によるもの
+   */
+  function discardOwnMutations() {
+    if (observer) {
+      observer.takeRecords();
+    }
   }
 
   /**
    * DOM変更の監視を開始
+   * 追加されたノードとテキストが変更されたノードのみを処理待ちに追加する（定期的な再走査は行わない）
    */
   function startDOMObserver() {
     // 既存のオブザーバーがあれば停止
@@ -353,300 +775,339 @@
       observer.disconnect();
     }
 
-    // MutationObserverの設定
-    const observerConfig = {
-      childList: true,
-      subtree: true,
-      characterData: true,
-      characterDataOldValue: true,
-    };
-
     // オブザーバーのコールバック
     const observerCallback = (mutations) => {
-      let shouldApplyAliases = false;
-
       for (const mutation of mutations) {
-        // テキストの変更
+        // テキストの変更（注釈を付けたテキストが書き換えられた場合も含む）
         if (mutation.type === 'characterData') {
-          const text = mutation.target.nodeValue || '';
-          if (AliasManager.ACCOUNT_ID_PATTERN.test(text)) {
-            console.log(
-              '🔍 Text change detected with account ID:',
-              text.substring(0, 50)
-            );
-            shouldApplyAliases = true;
-            break;
+          const textNode = mutation.target;
+          if (
+            AliasManager.containsAccountId(textNode.nodeValue) ||
+            AliasManager.hasAnnotation(textNode)
+          ) {
+            scheduleProcessing(textNode);
           }
+          continue;
         }
 
-        // ノードの追加
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              const text = node.textContent || '';
-              if (AliasManager.ACCOUNT_ID_PATTERN.test(text)) {
-                console.log(
-                  '🔍 New element detected with account ID:',
-                  text.substring(0, 50)
-                );
-                shouldApplyAliases = true;
-                break;
-              }
-            }
+        // ノードの追加（要素の中身はアイドル時に走査する）
+        mutation.addedNodes.forEach((node) => {
+          if (
+            node.nodeType === Node.ELEMENT_NODE &&
+            !AliasManager.isAliasAnnotation(node)
+          ) {
+            scheduleProcessing(node);
+          } else if (
+            node.nodeType === Node.TEXT_NODE &&
+            AliasManager.containsAccountId(node.nodeValue)
+          ) {
+            scheduleProcessing(node);
           }
-        }
-      }
-
-      if (shouldApplyAliases) {
-        console.log('🚀 Triggering alias application due to DOM changes');
-        applyAliases();
+        });
       }
     };
 
     // オブザーバーを作成して開始
     observer = new MutationObserver(observerCallback);
-    observer.observe(document.body, observerConfig);
+    observer.observe(document.body, OBSERVER_CONFIG);
+
+    // 監視中だったシャドウルートも引き続き監視
+    shadowRoots.forEach((shadowRoot) => {
+      observer.observe(shadowRoot, OBSERVER_CONFIG);
+    });
   }
 
   /**
-   * 現在のアカウントを検出
+   * 現在表示しているアカウントを取得
+   * マルチセッションのURLを優先し、含まれない場合はナビゲーションのアカウントメニューから検出する
+   * @returns {Object|null} { accountId, source: 'url'|'navigation' } またはnull
    */
-  function detectCurrentAccount() {
-    const currentUrl = window.location.href;
-    const accountId = AliasManager.extractAccountIdFromUrl(currentUrl);
+  function getCurrentAccount() {
+    const urlAccountId = AliasManager.extractAccountIdFromUrl(
+      window.location.href
+    );
+    if (urlAccountId) {
+      return { accountId: urlAccountId, source: 'url' };
+    }
+
+    const navAccountId = AliasManager.extractAccountIdFromNavigation(document);
+    return navAccountId
+      ? { accountId: navAccountId, source: 'navigation' }
+      : null;
   }
 
   /**
-   * ページ遷移を監視
+   * 現在のアカウントを検出し、利用を記録（ポップアップの「最近使用した順」の並べ替えに使用）
    */
-  function watchPageTransitions() {
-    // pushState/replaceStateの監視
-    const originalPushState = history.pushState;
-    const originalReplaceState = history.replaceState;
+  function detectCurrentAccount() {
+    const account = getCurrentAccount();
 
-    history.pushState = function () {
-      originalPushState.apply(history, arguments);
-      handlePageTransition();
-    };
+    if (account && window.top === window) {
+      AliasClient.recordUsage(account.accountId).catch((error) => {
+        Logger.warn('Failed to record account usage', { error });
+      });
+    }
+  }
 
-    history.replaceState = function () {
-      originalReplaceState.apply(history, arguments);
-      handlePageTransition();
-    };
+  /**
+   * 選択中のテキストのアカウントIDをバックグラウンドに通知
+   * コンテキストメニューの表示・非表示の切り替えに使用する（変化があった場合のみ送信）
+   * selectionchangeはすべてのフレームで発生するため、フォーカスのないフレームの選択解除は通知しない
+   * （別のフレームでアカウントIDを選択したときに、元のフレームの選択解除でメニューが非表示にならないようにする）
+   */
+  function handleSelectionChange() {
+    const accountId = AliasManager.extractAccountIdFromText(
+      String(window.getSelection() || '')
+    );
+    if (!accountId && !document.hasFocus()) {
+      // 再びこのフレームで選択したときに通知されるよう、送信済みの状態のみ戻す
+      selectedAccountId = null;
+      return;
+    }
+    if (accountId === selectedAccountId) {
+      return;
+    }
 
-    // popstateイベントの監視
-    window.addEventListener('popstate', handlePageTransition);
+    selectedAccountId = accountId;
+    AliasClient.notifySelection(accountId).catch((error) => {
+      Logger.warn('Failed to update selection menu', { error });
+    });
   }
 
   /**
-   * ページ遷移時の処理
+   * 選択テキストのコンテキストメニューの操作を実行
+   * @param {string} command - 'add'、'copy' または 'remove'
+   * @param {string} accountId - 選択されたアカウントID（12桁）
    */
-  function handlePageTransition() {
-    // ページタイプの再検出とマーキング
-    detectAndMarkPageType();
-
-    // URLから現在のアカウントを再検出
-    detectCurrentAccount();
+  async function handleSelectionCommand(command, accountId) {
+    const entry = aliasMap[accountId];
+    const displayAccountId = AliasManager.formatAccountId(accountId);
 
-    // エイリアスを再適用（ナビゲーション + パスチェック）
-    setTimeout(() => {
-      // ページコンテンツのエイリアスをクリア（console/home以外の場合）
-      if (!shouldApplyAliases()) {
-        // ナビゲーション以外のエイリアスをクリア
-        clearPageContentAliases();
+    try {
+      if (command === 'add') {
+        const alias = await AliasOverlay.promptAlias({
+          title: `${displayAccountId} のエイリアス`,
+          value: entry ? entry.alias : '',
+        });
+        if (alias === null || (entry && alias === entry.alias)) {
+          return;
+        }
+        // 既存のエイリアスがある場合は環境区分などのメタデータを引き継ぐ
+        await AliasClient.setAlias(
+          accountId,
+          entry ? { ...entry, alias } : alias
+        );
+        AliasOverlay.showToast(`エイリアスを保存しました: ${alias}`);
+      } else if (command === 'copy' && entry) {
+        AliasOverlay.copyText(entry.alias);
+        AliasOverlay.showToast(`コピーしました: ${entry.alias}`);
+      } else if (command === 'remove' && entry) {
+        const confirmed = await AliasOverlay.confirm(
+          `${displayAccountId} のエイリアス「${entry.alias}」を削除しますか？`,
+          '削除'
+        );
+        if (!confirmed) {
+          return;
+        }
+        await AliasClient.removeAlias(accountId);
+        AliasOverlay.showToast('エイリアスを削除しました');
       }
+    } catch (error) {
+      Logger.error('Failed to run selection command', { error });
+      AliasOverlay.showToast(`操作に失敗しました: ${error.message}`, 'error');
+    }
+  }
 
-      // エイリアスを適用（ナビゲーションは常に、ページ全体は条件付き）
-      applyAliases();
-    }, 500);
+  /**
+   * エイリアスの表示状況を取得
+   * @returns {Object} { paused, scopeMode, annotationCount, debugMode }
+   */
+  function getStatus() {
+    const annotationCount = getAnnotationRoots().reduce(
+      (count, root) =>
+        count +
+        root.querySelectorAll(`.${AliasManager.ANNOTATION_CLASS}`).length,
+      0
+    );
+    return {
+      paused,
+      scopeMode,
+      annotationCount,
+      debugMode: settings.debugMode,
+    };
   }
 
   /**
-   * 特定の要素に対するエイリアス適用をフック
-   * AWSコンソールの動的更新に対応
+   * エイリアスの表示を一時停止・再開
+   * 一時停止中は表示中のエイリアスをクリアし、DOMの変更も処理しない
+   * @param {boolean} value - 一時停止する場合true
    */
-  function hookSpecificElements() {
-    // ナビゲーションバーのアカウントメニュー
-    const accountMenuSelector = '[data-testid="awsc-nav-account-menu-button"]';
-    const accountMenuObserver = new MutationObserver((mutations) => {
-      const accountMenu = document.querySelector(accountMenuSelector);
-      if (accountMenu) {
-        AliasManager.applyAliasToElement(accountMenu, aliasMap);
-      }
-    });
+  function setPaused(value) {
+    if (value === paused) {
+      return;
+    }
 
-    const accountMenu = document.querySelector(accountMenuSelector);
-    if (accountMenu) {
-      accountMenuObserver.observe(accountMenu.parentElement, {
-        childList: true,
-        subtree: true,
-      });
+    paused = value;
+    Logger.info(paused ? 'Paused' : 'Resumed');
+    if (paused) {
+      pendingNodes.clear();
+      clearAllAliases();
+    } else {
+      applyAliases();
     }
+    scheduleDiagnostics();
+  }
 
-    // セッションドロップダウン
-    document.addEventListener('click', (event) => {
-      // ドロップダウンが開かれた時の処理
-      setTimeout(() => {
-        const dropdownContent = document.querySelector(
-          '.session-menu-content, [role="menu"]'
-        );
-        if (dropdownContent) {
-          AliasManager.applyAliasToElement(dropdownContent, aliasMap);
-        }
-      }, 100);
-    });
+  /**
+   * ページ上のアカウントIDを強調表示
+   * @param {string} accountId - アカウントID（ハイフン区切りも可）
+   * @returns {number} 見つかった件数
+   */
+  function highlightAccount(accountId) {
+    const normalized = AliasManager.normalizeAccountId(String(accountId));
+    const detections = collectDiagnostics().filter(
+      (detection) => detection.accountId === normalized
+    );
+    AliasDiagnostics.highlight(detections);
+    return detections.length;
   }
 
   /**
-   * 詳細なデバッグ情報を出力
+   * ページ上のアカウントIDの検出状況を集計
+   * @returns {Object} { scope, paused, total, counts, reasons, invalidRules }
    */
-  function debugInfo() {
-    const currentUrl = window.location.href;
-    const detectedAccountId = AliasManager.extractAccountIdFromUrl(currentUrl);
+  function runDiagnostics() {
+    return {
+      scope: getScopeLabel(),
+      paused,
+      ...AliasDiagnostics.summarize(collectDiagnostics()),
+      invalidRules: exclusions.errors.map(({ message }) => message),
+    };
+  }
 
-    console.group('🔍 AWS Multi-Session Custom Alias - DETAILED DEBUG');
+  /**
+   * タブのURLの変更の通知を処理（バックグラウンドから）
+   * コンソールのページ遷移（history API）は独立した実行環境のコンテンツスクリプトから検知できないため、この通知で処理する
+   */
+  function handleTabUpdated() {
+    if (getTopLocation().href !== pageUrl) {
+      handlePageTransition();
+    }
+  }
 
-    // 基本情報
-    console.log('📍 Current URL:', currentUrl);
-    console.log(
-      '🏢 Detected Account ID from URL:',
-      detectedAccountId || 'None'
-    );
-    console.log('📝 All Loaded Aliases:', aliasMap);
-    console.log('🔧 Extension Status:', {
-      aliasCount: Object.keys(aliasMap).length,
-      observerActive: !!observer,
-      pageReadyState: document.readyState,
-    });
+  /**
+   * 応答を返すメッセージの処理（メッセージの一覧はTabClient参照）
+   * @param {Object} request - { action, ...引数 }
+   * @returns {*} レスポンスデータ
+   * @throws {Error} 不明なアクションの場合
+   */
+  function handleRequest(request) {
+    switch (request.action) {
+      case 'getCurrentAccount':
+        return getCurrentAccount();
 
-    // アカウントID検出テスト
-    console.group('🔍 Account ID Detection Test');
-    const testPatterns = [
-      '1111-1111-1111',
-      '111111111111',
-      'アカウント ID: 1111-1111-1111',
-      '1111-1111-1111',
-      '123456789012',
-    ];
-
-    testPatterns.forEach((pattern) => {
-      const matches = AliasManager.ACCOUNT_ID_PATTERN.test(pattern);
-      console.log(
-        `Pattern "${pattern}": ${matches ? '✅ MATCH' : '❌ NO MATCH'}`
-      );
-    });
-    console.groupEnd();
-
-    // ページ内のアカウントID検索
-    console.group('🔍 Account IDs Found on Page');
-    const allText = document.body.textContent || '';
-    const foundAccountIds = allText.match(AliasManager.ACCOUNT_ID_PATTERN);
-    if (foundAccountIds) {
-      console.log('Found Account IDs:', [...new Set(foundAccountIds)]);
-      foundAccountIds.forEach((id) => {
-        const normalized = AliasManager.normalizeAccountId(id);
-        const hasAlias = !!aliasMap[normalized];
-        console.log(
-          `  ${id} (normalized: ${normalized}) -> Alias: ${
-            hasAlias ? aliasMap[normalized] : 'NOT SET'
-          }`
-        );
-      });
-    } else {
-      console.log('❌ No Account IDs found on page');
-    }
-    console.groupEnd();
-
-    // DOM要素の詳細分析
-    console.group('🎯 DOM Elements Analysis');
-
-    // 特定のテキストを含む要素を検索
-    const elementsWithAccountId = [];
-    document.querySelectorAll('*').forEach((el) => {
-      const text = el.textContent || '';
-      if (text.includes('1111-1111-1111') || text.includes('111111111111')) {
-        elementsWithAccountId.push({
-          element: el,
-          tagName: el.tagName.toLowerCase(),
-          className: el.className,
-          id: el.id,
-          text: text.trim().substring(0, 100),
-          processed: el.dataset.aliasApplied === 'true',
-        });
-      }
-    });
+      case 'getStatus':
+        return getStatus();
 
-    console.log(
-      `Found ${elementsWithAccountId.length} elements containing account ID:`
-    );
-    elementsWithAccountId.forEach((item, index) => {
-      console.log(
-        `  ${index + 1}. <${item.tagName}${
-          item.className ? ' class="' + item.className + '"' : ''
-        }${item.id ? ' id="' + item.id + '"' : ''}>`
-      );
-      console.log(`     Text: "${item.text}..."`);
-      console.log(`     Processed: ${item.processed ? '✅ YES' : '❌ NO'}`);
-      console.log(`     Element:`, item.element);
-    });
-    console.groupEnd();
+      case 'applyAliases':
+        clearAllAliases();
+        applyAliases();
+        return getStatus();
 
-    console.groupEnd();
-  }
+      case 'clearAliases':
+        pendingNodes.clear();
+        clearAllAliases();
+        return getStatus();
 
-  // より詳細なアカウントID検索機能
-  function findAccountIdElements() {
-    console.group('🔍 SEARCHING FOR ACCOUNT ID ELEMENTS');
+      case 'setPaused':
+        setPaused(
+          typeof request.paused === 'boolean' ? request.paused : !paused
+        );
+        return getStatus();
 
-    const accountIdRegex = /(\d{4}-\d{4}-\d{4}|\d{12})/g;
-    const results = [];
+      case 'highlightAccount':
+        return { count: highlightAccount(request.accountId) };
 
-    // すべての要素をチェック
-    document.querySelectorAll('*').forEach((element) => {
-      const text = element.textContent || '';
-      const matches = text.match(accountIdRegex);
+      case 'runDiagnostics':
+        return runDiagnostics();
 
-      if (matches) {
-        // 直接の子のテキストノードのみをチェック
-        let hasDirectText = false;
-        for (let node of element.childNodes) {
-          if (
-            node.nodeType === Node.TEXT_NODE &&
-            accountIdRegex.test(node.textContent)
-          ) {
-            hasDirectText = true;
-            break;
-          }
+      default:
+        throw new Error(`Unknown action: ${request.action}`);
+    }
+  }
+
+  // バックグラウンド・ポップアップからのメッセージを処理
+  // すべてのフレームで操作を実行し、応答はトップフレームのみが返す
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    switch (request.action) {
+      // 通知（応答なし）
+      case 'aliasesChanged':
+        if (settings) {
+          handleAliasesChanged(request.aliases);
         }
+        return;
 
-        results.push({
-          element,
-          tagName: element.tagName.toLowerCase(),
-          className: element.className,
-          id: element.id,
-          matches: [...new Set(matches)],
-          directText: hasDirectText,
-          processed: element.dataset.aliasApplied === 'true',
-          excluded: AliasManager.isExcludedElement(element),
-        });
+      case 'tabUpdated':
+        if (settings) {
+          handleTabUpdated();
+        }
+        return;
+
+      case 'selectionCommand':
+        handleSelectionCommand(request.command, request.accountId);
+        return;
+    }
+
+    let response;
+    try {
+      if (!settings) {
+        throw new Error('Content script is not initialized');
       }
-    });
+      response = { success: true, data: handleRequest(request) };
+    } catch (error) {
+      Logger.warn('Failed to handle message', { error, request });
+      response = { success: false, error: error.message };
+    }
+    if (window.top === window) {
+      sendResponse(response);
+    }
+  });
 
-    console.log(`Found ${results.length} elements with account IDs:`);
-    results.forEach((item, index) => {
-      console.group(`Element ${index + 1}: <${item.tagName}>`);
-      console.log('Element:', item.element);
-      console.log('Class:', item.className || 'none');
-      console.log('ID:', item.id || 'none');
-      console.log('Account IDs:', item.matches);
-      console.log('Has direct text:', item.directText ? '✅' : '❌');
-      console.log('Already processed:', item.processed ? '✅' : '❌');
-      console.log('Excluded:', item.excluded ? '🚫 YES' : '✅ NO');
-      console.groupEnd();
-    });
+  document.addEventListener('selectionchange', handleSelectionChange);
+  document.addEventListener(SHADOW_ROOT_EVENT, handleShadowRootAttached, true);
 
-    console.groupEnd();
-    return results;
+  /**
+   * ページ遷移を監視
+   * コンソールのpushState/replaceStateはページの実行環境で呼ばれるため、独立した実行環境のコンテンツスクリプトでは
+   * historyを置き換えても検知できない。これらの遷移はバックグラウンドからのtabUpdatedの通知で処理する
+   */
+  function watchPageTransitions() {
+    // 戻る・進むによる遷移はpopstateイベントで検知できる
+    window.addEventListener('popstate', handlePageTransition);
+  }
+
+  /**
+   * ページ遷移時の処理
+   */
+  function handlePageTransition() {
+    // 同じURLへの遷移の重複した通知（popstateとtabUpdated）を無視するために記録
+    pageUrl = getTopLocation().href;
+
+    // ページタイプの再検出とマーキング
+    detectAndMarkPageType();
+
+    // URLから現在のアカウントを再検出
+    detectCurrentAccount();
+    applyEnvironmentIndicator();
+    applyTabTitle();
+
+    // 遷移先のURLに適用範囲のルールを適用し、範囲外のエイリアスをクリア
+    updateScopeMode();
+
+    // エイリアスを再適用（適用範囲に応じてナビゲーションのみ・ページ全体）
+    // 遷移後にコンソールが描画する要素はDOM監視で処理される
+    applyAliases();
+    scheduleDiagnostics();
   }
 
   // ページ読み込み完了を待って初期化
@@ -657,16 +1118,5 @@
     initialize();
   }
 
-  // 追加の初期化（AWSコンソールの遅延読み込みに対応）
-  setTimeout(() => {
-    hookSpecificElements();
-    applyAliases();
-  }, 2000);
-
-  // さらに積極的な定期実行（ナビゲーション＋パスチェック）
-  setInterval(() => {
-    if (Object.keys(aliasMap).length > 0) {
-      applyAliases();
-    }
-  }, 3000);
+  // AWSコンソールの遅延読み込みで追加される要素はDOM監視で処理する（定期的な再走査は行わない）
 })();
@@ -0,0 +1,462 @@
+/**
+ * AWS Multi-Session Custom Alias - Diagnostics Overlay
+ * 診断モードで、ページ上で検出したアカウントIDを状態ごとに色分けした枠で囲み、集計をパネルに表示する
+ * ポップアップから指定されたアカウントIDの強調表示にも使用する
+ * 枠とパネルはclosedなシャドウルートの中に描画し、ページのスタイルやDOM変更の監視（content.js）の影響を受けないようにする
+ */
+
+// 診断表示のホスト要素のID（AliasManager.EXCLUDE_SELECTORSにも登録）
+const DIAGNOSTICS_ID = 'aws-custom-alias-diagnostics';
+
+// 診断表示のスタイル（シャドウルートの中にのみ適用される）
+const DIAGNOSTICS_STYLE = `
+  .outline {
+    position: absolute;
+    box-sizing: border-box;
+    border: 2px solid var(--status-color);
+    border-radius: 2px;
+    pointer-events: none;
+  }
+
+  .highlight {
+    border-width: 3px;
+    box-shadow: 0 0 0 4px rgba(0, 115, 187, 0.3);
+  }
+
+  .reason {
+    position: absolute;
+    top: 100%;
+    left: -2px;
+    padding: 0 4px;
+    background: var(--status-color);
+    color: #ffffff;
+    font: 10px/1.5 sans-serif;
+    white-space: nowrap;
+  }
+
+  .panel {
+    position: fixed;
+    right: 12px;
+    bottom: 12px;
+    width: 280px;
+    max-height: 50vh;
+    overflow-y: auto;
+    padding: 10px 12px;
+    background: #232f3e;
+    color: #ffffff;
+    border-radius: 6px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+    font: 12px/1.5 sans-serif;
+    pointer-events: auto;
+  }
+
+  .panel h2 {
+    margin: 0 0 6px;
+    font-size: 13px;
+  }
+
+  .panel ul {
+    margin: 4px 0;
+    padding-left: 16px;
+  }
+
+  .swatch {
+    display: inline-block;
+    width: 8px;
+    height: 8px;
+    margin-right: 6px;
+    border-radius: 2px;
+    background: var(--status-color);
+  }
+
+  .error {
+    color: #ff9b8f;
+  }
+`;
+
+class AliasDiagnostics {
+  // 検出したアカウントIDの状態（枠の色と表示名）
+  static STATUSES = {
+    aliased: { name: 'エイリアスあり', color: '#1d8102' },
+    unaliased: { name: 'エイリアスなし', color: '#ff9900' },
+    excluded: { name: '除外', color: '#d13212' },
+  };
+
+  // 枠を描画するアカウントIDの最大件数（大量の表で描画が重くならないようにする）
+  static MAX_OUTLINES = 500;
+
+  // パネルに表示する除外の理由の最大件数
+  static MAX_REASONS = 5;
+
+  // 強調表示の枠の色と表示時間（ミリ秒）
+  static HIGHLIGHT_COLOR = '#0073bb';
+  static HIGHLIGHT_DURATION_MS = 3000;
+
+  // 診断表示のホスト要素とシャドウルート
+  static host = null;
+  static shadowRoot = null;
+
+  // 診断モードの枠・パネルを描画中かどうか（強調表示のみの場合false）
+  static rendered = false;
+
+  // 枠を描画した検出結果（スクロール・リサイズ時の位置の更新に使用）
+  static detections = [];
+
+  // 強調表示を消すタイマーのID
+  static highlightTimerId = null;
+
+  /**
+   * ページ上のアカウントIDを検出して状態を判定
+   * 除外ルールと適用範囲はエイリアスの適用（AliasManager.applyAliasesToNode）と同じ条件で判定する
+   * @param {Array<Element|ShadowRoot>} roots - 走査するルート（文書と監視中のシャドウルート）
+   * @param {Object} context - { aliasMap: エイリアスマップ, exclusions: コンパイル済みの除外ルール,
+   *                            isInScope: 親要素が適用範囲内の場合trueを返す関数, outOfScopeReason: 適用範囲外の理由 }
+   * @returns {Array<Object>} { accountId, status: STATUSESのキー, reason, textNode, start, end }
+   */
+  static collect(roots, { aliasMap, exclusions, isInScope, outOfScopeReason }) {
+    const detections = [];
+
+    roots.forEach((root) => {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let textNode;
+      while ((textNode = walker.nextNode())) {
+        const text = textNode.nodeValue;
+        if (!AliasManager.containsAccountId(text)) {
+          continue;
+        }
+
+        // シャドウルート直下のテキストはホスト要素で判定する
+        const parent =
+          textNode.parentElement ||
+          (textNode.parentNode instanceof ShadowRoot
+            ? textNode.parentNode.host
+            : null);
+        if (!parent) {
+          continue;
+        }
+
+        const reason =
+          AliasManager.getExclusionReason(parent, exclusions) ||
+          (isInScope(parent) ? null : outOfScopeReason);
+
+        // ACCOUNT_ID_PATTERNはgフラグ付きでlastIndexを持つため、新しいインスタンスで検索する
+        const pattern = new RegExp(AliasManager.ACCOUNT_ID_PATTERN.source, 'g');
+        for (const match of text.matchAll(pattern)) {
+          const accountId = AliasManager.normalizeAccountId(match[1]);
+          const status = reason
+            ? 'excluded'
+            : AliasManager.getAliasName(aliasMap[accountId])
+            ? 'aliased'
+            : 'unaliased';
+          detections.push({
+            accountId,
+            status,
+            reason,
+            textNode,
+            start: match.index,
+            end: match.index + match[1].length,
+          });
+        }
+      }
+    });
+
+    return detections;
+  }
+
+  /**
+   * 検出結果の枠と集計パネルを描画（前回の描画内容は置き換える）
+   * @param {Array<Object>} detections - collectの結果
+   * @param {Object|null} summary - パネルに表示する情報（nullの場合はパネルを表示しない）
+   */
+  static render(detections, summary) {
+    const shadowRoot = this.ensureShadowRoot();
+
+    this.detections = detections.slice(0, this.MAX_OUTLINES);
+    this.renderOutlines();
+
+    const panel = shadowRoot.getElementById('panel');
+    panel.hidden = !summary;
+    if (summary) {
+      panel.replaceChildren(...this.createPanelContent(detections, summary));
+    }
+    this.rendered = true;
+  }
+
+  /**
+   * 描画済みの検出結果の枠の位置を更新（スクロール・リサイズ時）
+   * ページの再走査と集計パネルの作り直しは行わない
+   */
+  static reposition() {
+    if (!this.rendered || !this.shadowRoot) {
+      return;
+    }
+    this.renderOutlines();
+  }
+
+  /**
+   * 描画対象の検出結果の枠を描画
+   * 描画後に削除・変更されたテキストの検出結果は、DOM変更による次回の描画まで枠を表示しない
+   */
+  static renderOutlines() {
+    const outlines = this.detections
+      .filter(
+        ({ textNode, end }) => textNode.isConnected && end <= textNode.length
+      )
+      .map((detection) => this.createOutline(detection))
+      .filter(Boolean);
+    this.shadowRoot.getElementById('outlines').replaceChildren(...outlines);
+  }
+
+  /**
+   * 診断表示を削除（強調表示中の場合は枠とパネルのみを削除）
+   */
+  static hide() {
+    this.rendered = false;
+    this.detections = [];
+    if (this.highlightTimerId !== null) {
+      this.shadowRoot.getElementById('outlines').replaceChildren();
+      this.shadowRoot.getElementById('panel').hidden = true;
+      return;
+    }
+
+    if (this.host) {
+      this.host.remove();
+    }
+    this.host = null;
+    this.shadowRoot = null;
+  }
+
+  /**
+   * アカウントIDを一定時間強調表示し、最初の位置までスクロール
+   * @param {Array<Object>} detections - 強調表示するcollectの結果
+   */
+  static highlight(detections) {
+    if (detections.length === 0) {
+      return;
+    }
+
+    const { textNode } = detections[0];
+    const target =
+      AliasManager.annotatedNodes.get(textNode) || textNode.parentElement;
+    if (target) {
+      target.scrollIntoView({ block: 'center' });
+    }
+
+    const outlines = detections
+      .slice(0, this.MAX_OUTLINES)
+      .map((detection) => this.createOutline(detection, this.HIGHLIGHT_COLOR))
+      .filter(Boolean);
+    outlines.forEach((outline) => outline.classList.add('highlight'));
+    this.ensureShadowRoot()
+      .getElementById('highlights')
+      .replaceChildren(...outlines);
+
+    clearTimeout(this.highlightTimerId);
+    this.highlightTimerId = setTimeout(() => {
+      this.highlightTimerId = null;
+      if (this.rendered) {
+        this.shadowRoot.getElementById('highlights').replaceChildren();
+      } else {
+        this.hide();
+      }
+    }, this.HIGHLIGHT_DURATION_MS);
+  }
+
+  /**
+   * 検出結果を集計
+   * @param {Array<Object>} detections - collectの結果
+   * @returns {Object} { total, counts: STATUSESのキーごとの件数, reasons: 除外の理由と件数（{ reason, count }、件数の多い順） }
+   */
+  static summarize(detections) {
+    const counts = {};
+    Object.keys(this.STATUSES).forEach((status) => {
+      counts[status] = 0;
+    });
+
+    const reasons = new Map();
+    detections.forEach(({ status, reason }) => {
+      counts[status]++;
+      if (reason) {
+        reasons.set(reason, (reasons.get(reason) || 0) + 1);
+      }
+    });
+
+    return {
+      total: detections.length,
+      counts,
+      reasons: [...reasons]
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count),
+    };
+  }
+
+  /**
+   * 診断表示のホスト要素とシャドウルートを作成（作成済みの場合は再利用）
+   * ホスト要素はbodyの外に追加し、content.jsのDOM監視の対象外にする
+   * @returns {ShadowRoot} 診断表示のシャドウルート
+   */
+  static ensureShadowRoot() {
+    if (this.host && this.host.isConnected) {
+      return this.shadowRoot;
+    }
+
+    const host = AliasOverlay.createElement('div', { id: DIAGNOSTICS_ID });
+    Object.assign(host.style, {
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      width: '0',
+      height: '0',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+    });
+
+    const shadowRoot = host.attachShadow({ mode: 'closed' });
+    shadowRoot.append(
+      AliasOverlay.createElement('style', { textContent: DIAGNOSTICS_STYLE }),
+      AliasOverlay.createElement('div', { id: 'outlines' }),
+      AliasOverlay.createElement('div', { id: 'highlights' }),
+      AliasOverlay.createElement('div', { id: 'panel', className: 'panel' })
+    );
+    document.documentElement.appendChild(host);
+
+    this.host = host;
+    this.shadowRoot = shadowRoot;
+    return shadowRoot;
+  }
+
+  /**
+   * アカウントIDの位置を取得
+   * 表示形式でアカウントIDを非表示にしている場合は、代わりに注釈の位置を使用する
+   * @param {Object} detection - collectの結果の1件
+   * @returns {DOMRect|null} ビューポート座標の位置（表示されていない場合null）
+   */
+  static getRect(detection) {
+    const range = document.createRange();
+    range.setStart(detection.textNode, detection.start);
+    range.setEnd(detection.textNode, detection.end);
+
+    let rect = range.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      const annotation = AliasManager.annotatedNodes.get(detection.textNode);
+      rect = annotation ? annotation.getBoundingClientRect() : rect;
+    }
+    return rect.width > 0 && rect.height > 0 ? rect : null;
+  }
+
+  /**
+   * アカウントIDを囲む枠を作成
+   * @param {Object} detection - collectの結果の1件
+   * @param {string} color - 枠の色（省略時は状態の色）
+   * @returns {HTMLElement|null} 枠の要素（表示されていない場合null）
+   */
+  static createOutline(
+    detection,
+    color = this.STATUSES[detection.status].color
+  ) {
+    const rect = this.getRect(detection);
+    if (!rect) {
+      return null;
+    }
+
+    const outline = AliasOverlay.createElement('div', {
+      className: 'outline',
+    });
+    outline.style.setProperty('--status-color', color);
+    Object.assign(outline.style, {
+      top: `${rect.top + window.scrollY - 2}px`,
+      left: `${rect.left + window.scrollX - 2}px`,
+      width: `${rect.width + 4}px`,
+      height: `${rect.height + 4}px`,
+    });
+
+    if (detection.reason) {
+      outline.appendChild(
+        AliasOverlay.createElement('span', {
+          className: 'reason',
+          textContent: detection.reason,
+        })
+      );
+    }
+    return outline;
+  }
+
+  /**
+   * 集計パネルの内容を作成
+   * @param {Array<Object>} detections - collectの結果
+   * @param {Object} summary - { scope: 適用範囲の表示名, aliasCount: 登録済みのエイリアス数,
+   *                            invalidRules: 不正な除外ルール（compileExclusionsのerrors）, logLevel: ログレベル }
+   * @returns {Array<HTMLElement>} パネルの子要素
+   */
+  static createPanelContent(detections, summary) {
+    const { createElement } = AliasOverlay;
+    const { counts, reasons } = this.summarize(detections);
+
+    const countItems = Object.entries(this.STATUSES).map(([key, status]) => {
+      const swatch = createElement('span', { className: 'swatch' });
+      swatch.style.setProperty('--status-color', status.color);
+      return createElement('li', {}, [
+        swatch,
+        `${status.name}: ${counts[key]}件`,
+      ]);
+    });
+
+    const content = [
+      createElement('h2', { textContent: 'エイリアス診断' }),
+      createElement('div', { textContent: `適用範囲: ${summary.scope}` }),
+      createElement('ul', {}, countItems),
+    ];
+
+    // 除外の理由を件数の多い順に表示
+    if (reasons.length > 0) {
+      content.push(
+        createElement('div', { textContent: '除外の理由:' }),
+        createElement(
+          'ul',
+          {},
+          reasons
+            .slice(0, this.MAX_REASONS)
+            .map(({ reason, count }) =>
+              createElement('li', { textContent: `${reason}（${count}件）` })
+            )
+        )
+      );
+    }
+
+    if (summary.invalidRules.length > 0) {
+      content.push(
+        createElement('div', {
+          className: 'error',
+          textContent: '無効な除外ルール（適用されていません）:',
+        }),
+        createElement(
+          'ul',
+          { className: 'error' },
+          summary.invalidRules.map(({ message }) =>
+            createElement('li', { textContent: message })
+          )
+        )
+      );
+    }
+
+    if (detections.length > this.MAX_OUTLINES) {
+      content.push(
+        createElement('div', {
+          textContent: `枠は先頭の${this.MAX_OUTLINES}件のみ表示しています`,
+        })
+      );
+    }
+
+    content.push(
+      createElement('div', {
+        textContent: `登録済みのエイリアス: ${summary.aliasCount}件 / ログレベル: ${summary.logLevel}`,
+      })
+    );
+    return content;
+  }
+}
+
+// グローバルスコープに公開
+if (typeof window !== 'undefined') {
+  window.AliasDiagnostics = AliasDiagnostics;
+}
@@ -0,0 +1,275 @@
+/**
+ * AWS Multi-Session Custom Alias - In-page Overlay
+ * コンテキストメニューから呼び出すページ内の入力欄・確認・通知の表示
+ * 要素はすべてcreateElementで組み立て、スタイルはcontent.cssで定義する
+ */
+
+// 入力欄・確認を表示するオーバーレイの要素ID
+const OVERLAY_ID = 'aws-custom-alias-overlay';
+
+// 操作結果の通知の要素ID
+const TOAST_ID = 'aws-custom-alias-toast';
+
+// クリップボードへのコピーに使用する一時的なテキストエリアの要素ID
+const CLIPBOARD_ID = 'aws-custom-alias-clipboard';
+
+class AliasOverlay {
+  // 通知を表示する時間（ミリ秒）
+  static TOAST_DURATION_MS = 2500;
+
+  // 通知を消すタイマー
+  static toastTimer = null;
+
+  /**
+   * 要素を作成
+   * @param {string} tagName - タグ名
+   * @param {Object} props - 設定するプロパティ
+   * @param {Array<Node|string>} children - 子要素
+   * @returns {HTMLElement} 作成した要素
+   */
+  static createElement(tagName, props = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, props);
+    element.append(...children);
+    return element;
+  }
+
+  /**
+   * 現在の選択範囲の位置を取得（選択範囲がない場合は画面中央付近）
+   * @returns {Object} { top, left }（ビューポート座標）
+   */
+  static getAnchorPosition() {
+    const selection = window.getSelection();
+    if (selection && selection.rangeCount > 0) {
+      const rect = selection.getRangeAt(0).getBoundingClientRect();
+      if (rect.width > 0 || rect.height > 0) {
+        return { top: rect.bottom + 6, left: rect.left };
+      }
+    }
+    return { top: window.innerHeight / 3, left: window.innerWidth / 2 - 140 };
+  }
+
+  /**
+   * オーバーレイを選択範囲の近くに表示
+   * 外側のクリックまたはEscで閉じる
+   * @param {HTMLElement} content - オーバーレイの内容
+   * @param {Function} onClose - 閉じたときに呼ばれるコールバック
+   * @returns {HTMLElement} オーバーレイ要素
+   */
+  static open(content, onClose) {
+    this.close();
+
+    const overlay = this.createElement('div', { id: OVERLAY_ID }, [content]);
+    overlay.setAttribute('role', 'dialog');
+
+    const { top, left } = this.getAnchorPosition();
+    overlay.style.top = `${Math.max(
+      8,
+      Math.min(top, window.innerHeight - 140)
+    )}px`;
+    overlay.style.left = `${Math.max(
+      8,
+      Math.min(left, window.innerWidth - 296)
+    )}px`;
+
+    const handleOutsideClick = (event) => {
+      if (!overlay.contains(event.target)) {
+        close();
+      }
+    };
+    const close = () => {
+      document.removeEventListener('mousedown', handleOutsideClick, true);
+      overlay.remove();
+      onClose();
+    };
+    overlay.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        close();
+      }
+      // コンソールのキーボードショートカットが反応しないようにする
+      event.stopPropagation();
+    });
+    document.addEventListener('mousedown', handleOutsideClick, true);
+
+    overlay.close = close;
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * 表示中のオーバーレイを閉じる
+   */
+  static close() {
+    const overlay = document.getElementById(OVERLAY_ID);
+    if (overlay && overlay.close) {
+      overlay.close();
+    }
+  }
+
+  /**
+   * エイリアス名の入力欄を表示
+   * @param {Object} options - { title, value, maxLength }
+   * @returns {Promise<string|null>} 入力されたエイリアス名（キャンセル時はnull）
+   */
+  static promptAlias({ title, value = '', maxLength = 50 }) {
+    return new Promise((resolve) => {
+      let result = null;
+
+      const input = this.createElement('input', {
+        type: 'text',
+        value,
+        maxLength,
+        placeholder: 'エイリアス名',
+        autocomplete: 'off',
+      });
+      const error = this.createElement('div', {
+        className: 'aws-custom-alias-overlay-error',
+      });
+      const cancel = this.createElement('button', {
+        type: 'button',
+        textContent: 'キャンセル',
+      });
+      const save = this.createElement('button', {
+        type: 'submit',
+        className: 'primary',
+        textContent: '保存',
+      });
+      const form = this.createElement('form', {}, [
+        this.createElement('label', { textContent: title }),
+        input,
+        error,
+        this.createElement(
+          'div',
+          { className: 'aws-custom-alias-overlay-actions' },
+          [cancel, save]
+        ),
+      ]);
+
+      const overlay = this.open(form, () => resolve(result));
+
+      cancel.addEventListener('click', () => overlay.close());
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const alias = input.value.trim();
+        if (!alias) {
+          error.textContent = 'エイリアス名を入力してください';
+          input.focus();
+          return;
+        }
+        result = alias;
+        overlay.close();
+      });
+
+      input.focus();
+      input.select();
+    });
+  }
+
+  /**
+   * 確認を表示
+   * @param {string} message - 確認メッセージ
+   * @param {string} confirmLabel - 実行ボタンの表示名
+   * @returns {Promise<boolean>} 実行する場合true
+   */
+  static confirm(message, confirmLabel) {
+    return new Promise((resolve) => {
+      let result = false;
+
+      const cancel = this.createElement('button', {
+        type: 'button',
+        textContent: 'キャンセル',
+      });
+      const ok = this.createElement('button', {
+        type: 'button',
+        className: 'danger',
+        textContent: confirmLabel,
+      });
+      const content = this.createElement('div', {}, [
+        this.createElement('p', { textContent: message }),
+        this.createElement(
+          'div',
+          { className: 'aws-custom-alias-overlay-actions' },
+          [cancel, ok]
+        ),
+      ]);
+
+      const overlay = this.open(content, () => resolve(result));
+
+      cancel.addEventListener('click', () => overlay.close());
+      ok.addEventListener('click', () => {
+        result = true;
+        overlay.close();
+      });
+      ok.focus();
+    });
+  }
+
+  /**
+   * 操作結果を画面右下に一定時間表示
+   * @param {string} message - 表示するメッセージ
+   * @param {string} type - 'success' または 'error'
+   */
+  static showToast(message, type = 'success') {
+    let toast = document.getElementById(TOAST_ID);
+    if (!toast) {
+      toast = this.createElement('div', { id: TOAST_ID });
+      toast.setAttribute('role', 'status');
+      document.body.appendChild(toast);
+    }
+
+    toast.textContent = message;
+    toast.className = type;
+
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => {
+      toast.remove();
+    }, this.TOAST_DURATION_MS);
+  }
+
+  /**
+   * テキストをクリップボードにコピー
+   * コンテキストメニューからのメッセージで実行するため、ページにユーザー操作がなくnavigator.clipboardは使用できない。
+   * clipboardWrite権限のもとで一時的なテキストエリアを選択してexecCommand('copy')でコピーする
+   * （ページの選択範囲とフォーカスはコピー後に元に戻す）
+   * @param {string} text - コピーするテキスト
+   * @throws {Error} コピーに失敗した場合
+   */
+  static copyText(text) {
+    const selection = window.getSelection();
+    const ranges = [];
+    for (let i = 0; i < selection.rangeCount; i++) {
+      ranges.push(selection.getRangeAt(i));
+    }
+    const activeElement = document.activeElement;
+
+    const textarea = this.createElement('textarea', {
+      id: CLIPBOARD_ID,
+      value: text,
+      readOnly: true,
+    });
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    let copied = false;
+    try {
+      copied = document.execCommand('copy');
+    } finally {
+      textarea.remove();
+      selection.removeAllRanges();
+      ranges.forEach((range) => selection.addRange(range));
+      if (activeElement && activeElement !== document.body) {
+        activeElement.focus({ preventScroll: true });
+      }
+    }
+
+    if (!copied) {
+      throw new Error('Failed to copy to clipboard');
+    }
+  }
+}
+
+// グローバルスコープに公開（content scriptから使用するため）
+if (typeof window !== 'undefined') {
+  window.AliasOverlay = AliasOverlay;
+}
@@ -0,0 +1,30 @@
+/**
+ * AWS Multi-Session Custom Alias - Shadow Root Hook
+ * ページのコンテキスト（MAIN world）で動作し、openなシャドウルートの作成をコンテンツスクリプトに通知する
+ * コンテンツスクリプト（ISOLATED world）からはページのattachShadowを置き換えられないため、
+ * ホスト要素でイベントを発生させて通知する（content.js参照）
+ * イベントはバブリングせずシャドウルートの境界も越えないため、ページのバブリング段階のリスナーには伝わらない
+ * （documentで発生させるとdetailのホスト要素は実行環境をまたいで渡せないため、ホスト要素で発生させる）
+ */
+
+(function () {
+  'use strict';
+
+  // シャドウルートの作成を通知するイベント名（content.jsと共通）
+  const SHADOW_ROOT_EVENT = 'aws-custom-alias-shadow-root';
+
+  const originalAttachShadow = Element.prototype.attachShadow;
+
+  Element.prototype.attachShadow = function (init) {
+    const shadowRoot = originalAttachShadow.call(this, init);
+
+    // closedなシャドウルートはコンテンツスクリプトから参照できないため通知しない
+    // ホストがまだ文書に追加されていない場合は、追加時のDOM監視で検出される
+    if (shadowRoot.mode === 'open') {
+      this.dispatchEvent(
+        new CustomEvent(SHADOW_ROOT_EVENT, { bubbles: false, composed: false })
+      );
+    }
+    return shadowRoot;
+  };
+})();
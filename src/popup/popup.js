@@ -11,10 +11,25 @@
     addAliasForm: document.getElementById('add-alias-form'),
     accountIdInput: document.getElementById('account-id'),
     aliasNameInput: document.getElementById('alias-name'),
+    aliasEnvironmentInput: document.getElementById('alias-environment'),
+    aliasColorInput: document.getElementById('alias-color'),
+    aliasDescriptionInput: document.getElementById('alias-description'),
+    aliasTagsInput: document.getElementById('alias-tags'),
+    aliasOwnerInput: document.getElementById('alias-owner'),
+    currentAccount: document.getElementById('current-account'),
+    currentAccountId: document.getElementById('current-account-id'),
+    currentAccountAlias: document.getElementById('current-account-alias'),
+    currentAccountEdit: document.getElementById('current-account-edit'),
+    currentAccountPause: document.getElementById('current-account-pause'),
     aliasList: document.getElementById('alias-list'),
     aliasCount: document.getElementById('alias-count'),
+    aliasSearchInput: document.getElementById('alias-search'),
+    aliasFilterSelect: document.getElementById('alias-filter'),
+    aliasSortSelect: document.getElementById('alias-sort'),
     emptyState: document.getElementById('empty-state'),
+    noResults: document.getElementById('no-results'),
     exportBtn: document.getElementById('export-btn'),
+    exportFormatSelect: document.getElementById('export-format'),
     importBtn: document.getElementById('import-btn'),
     clearAllBtn: document.getElementById('clear-all-btn'),
     importFileInput: document.getElementById('import-file-input'),
@@ -25,29 +40,116 @@
     confirmMessage: document.getElementById('confirm-message'),
     confirmOk: document.getElementById('confirm-ok'),
     confirmCancel: document.getElementById('confirm-cancel'),
+    importDialog: document.getElementById('import-dialog'),
+    importModeInputs: document.querySelectorAll('input[name="import-mode"]'),
+    importSummary: document.getElementById('import-summary'),
+    importDiff: document.getElementById('import-diff'),
+    importApply: document.getElementById('import-apply'),
+    importCancel: document.getElementById('import-cancel'),
+    sourceCount: document.getElementById('source-count'),
+    sourceList: document.getElementById('source-list'),
+    addSourceForm: document.getElementById('add-source-form'),
+    sourceNameInput: document.getElementById('source-name'),
+    sourceUrlInput: document.getElementById('source-url'),
+    refreshSourcesBtn: document.getElementById('refresh-sources-btn'),
+    syncEnabledInput: document.getElementById('sync-enabled'),
+    syncStatus: document.getElementById('sync-status'),
+    settingsForm: document.getElementById('settings-form'),
+    titleEnabledInput: document.getElementById('title-enabled'),
+    titleTemplateInput: document.getElementById('title-template'),
+    displayFormatInput: document.getElementById('display-format'),
+    displayTemplateGroup: document.getElementById('display-template-group'),
+    displayTemplateInput: document.getElementById('display-template'),
+    debugModeInput: document.getElementById('debug-mode'),
+    logLevelInput: document.getElementById('log-level'),
+    scopeRuleCount: document.getElementById('scope-rule-count'),
+    scopeRuleList: document.getElementById('scope-rule-list'),
+    addScopeRuleForm: document.getElementById('add-scope-rule-form'),
+    scopeRuleTypeInput: document.getElementById('scope-rule-type'),
+    scopeRulePatternInput: document.getElementById('scope-rule-pattern'),
+    scopeRuleModeInput: document.getElementById('scope-rule-mode'),
+    resetScopeRulesBtn: document.getElementById('reset-scope-rules-btn'),
+    excludeRuleCount: document.getElementById('exclude-rule-count'),
+    excludeRuleList: document.getElementById('exclude-rule-list'),
+    addExcludeRuleForm: document.getElementById('add-exclude-rule-form'),
+    excludeRuleTypeInput: document.getElementById('exclude-rule-type'),
+    excludeRulePatternInput: document.getElementById('exclude-rule-pattern'),
     helpDialog: document.getElementById('help-dialog'),
     helpClose: document.getElementById('help-close'),
   };
 
-  // 現在のエイリアスデータ
+  // 現在のエイリアスデータ（個人のエイリアスと共有ソースを統合済み）
   let currentAliases = {};
 
+  // 購読中の共有ソース
+  let currentSources = [];
+
+  // 表示設定（適用範囲のルールを含む）
+  let currentSettings = null;
+
+  // アカウントごとの最終利用日時（「最近使用した順」の並べ替えに使用）
+  let currentUsage = {};
+
+  // アクティブなタブで表示しているアカウントID
+  let activeTabAccountId = null;
+
+  // アクティブなタブのエイリアスの表示状況（コンテンツスクリプトが応答しない場合null）
+  let activeTabStatus = null;
+
+  // キーボード操作で選択中のアカウントID
+  let selectedAccountId = null;
+
+  // インライン編集中のアカウントIDと編集行（一覧を再描画しても入力内容を保持する）
+  let editingAccountId = null;
+  let editingRow = null;
+
   // 確認ダイアログのコールバック
   let confirmCallback = null;
 
+  // インポート確認ダイアログのコールバックと対象データ
+  let importCallback = null;
+  let pendingImportText = null;
+  let pendingImportFormat = null;
+
+  // インポート形式の表示名
+  const IMPORT_FORMAT_LABELS = {
+    json: 'JSON',
+    csv: 'CSV',
+    tsv: 'TSV',
+    'aws-config': 'AWS CLI設定ファイル',
+    organizations: 'AWS Organizations アカウント一覧',
+  };
+
+  // エクスポート形式ごとのファイル種別
+  const EXPORT_FILE_TYPES = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  };
+
   /**
    * 初期化処理
    */
   async function initialize() {
     try {
-      // エイリアスデータを読み込み
-      await loadAliases();
+      // エイリアスデータ・共有ソース・同期状況・表示設定を読み込み
+      await Promise.all([
+        loadAliases(),
+        loadSources(),
+        loadSyncStatus(),
+        loadUsage(),
+        loadSettings(),
+      ]);
 
       // イベントリスナーを設定
       setupEventListeners();
 
       // UIを更新
       updateUI();
+      renderSources();
+
+      // 表示中のタブのアカウントを取得（AWSコンソール以外のタブでは何もしない）
+      await loadActiveTabAccount();
 
       console.log('Popup initialized successfully');
     } catch (error) {
@@ -60,10 +162,176 @@
    * エイリアスデータを読み込み
    */
   async function loadAliases() {
-    currentAliases = await StorageManager.getAllAliases();
+    currentAliases = await AliasClient.getAliases();
     console.log('Loaded aliases:', Object.keys(currentAliases).length);
   }
 
+  /**
+   * 共有ソース一覧を読み込み
+   */
+  async function loadSources() {
+    currentSources = await AliasClient.getSources();
+  }
+
+  /**
+   * アカウントごとの最終利用日時を読み込み
+   */
+  async function loadUsage() {
+    currentUsage = await AliasClient.getUsage();
+  }
+
+  /**
+   * アクティブなタブのアカウントを取得して表示
+   * 未登録のアカウントはアカウントID欄に入力し、登録済みの場合は現在のエイリアスを表示する
+   */
+  async function loadActiveTabAccount() {
+    try {
+      const account = await AliasClient.getActiveTabAccount();
+      activeTabAccountId = account ? account.accountId : null;
+    } catch (error) {
+      console.warn('Failed to detect active tab account:', error);
+      activeTabAccountId = null;
+    }
+
+    try {
+      activeTabStatus = await sendToActiveTab('getStatus');
+    } catch (error) {
+      // AWSコンソール以外のタブなど、コンテンツスクリプトが読み込まれていない場合
+      activeTabStatus = null;
+    }
+
+    if (
+      activeTabAccountId &&
+      !currentAliases[activeTabAccountId] &&
+      !elements.accountIdInput.value
+    ) {
+      elements.accountIdInput.value = formatAccountId(activeTabAccountId);
+      elements.aliasNameInput.focus();
+    }
+    renderActiveTabAccount();
+  }
+
+  /**
+   * アクティブなタブのアカウントの表示を更新
+   */
+  function renderActiveTabAccount() {
+    const entry = activeTabAccountId && currentAliases[activeTabAccountId];
+
+    elements.currentAccount.hidden = !activeTabAccountId;
+    if (!activeTabAccountId) {
+      return;
+    }
+
+    elements.currentAccountId.textContent = formatAccountId(activeTabAccountId);
+    elements.currentAccountAlias.textContent = entry ? entry.alias : '未登録';
+    elements.currentAccountEdit.hidden = !entry;
+    elements.currentAccountEdit.disabled = !!(entry && entry.locked);
+    elements.currentAccountEdit.title =
+      entry && entry.locked ? '管理者ポリシーによりロックされています' : '';
+
+    elements.currentAccountPause.hidden = !activeTabStatus;
+    if (activeTabStatus) {
+      elements.currentAccountPause.textContent = activeTabStatus.paused
+        ? '▶ 再開'
+        : '⏸ 一時停止';
+      elements.currentAccountPause.title = activeTabStatus.paused
+        ? 'このタブのエイリアスの表示を再開'
+        : 'このタブのエイリアスの表示を一時停止';
+    }
+  }
+
+  /**
+   * アクティブなタブのコンテンツスクリプトにメッセージを送信（TabClient参照）
+   * @param {string} action - アクション名
+   * @param {Object} payload - アクションの引数
+   * @returns {Promise<*>} レスポンスデータ
+   * @throws {Error} アクティブなタブがない場合、またはコンテンツスクリプトが読み込まれていない場合
+   */
+  async function sendToActiveTab(action, payload = {}) {
+    const tab = await TabClient.getActiveTab();
+    if (!tab) {
+      throw new Error('No active tab');
+    }
+    return TabClient.send(tab.id, action, payload);
+  }
+
+  /**
+   * アクティブなタブのエイリアスの表示を一時停止・再開
+   */
+  async function handleToggleActiveTabPause() {
+    try {
+      activeTabStatus = await sendToActiveTab('setPaused', {
+        paused: !activeTabStatus.paused,
+      });
+      renderActiveTabAccount();
+      showMessage(
+        activeTabStatus.paused
+          ? 'このタブのエイリアスの表示を一時停止しました'
+          : 'このタブのエイリアスの表示を再開しました',
+        'success'
+      );
+    } catch (error) {
+      console.error('Failed to toggle pause:', error);
+      showMessage(
+        `一時停止の切り替えに失敗しました: ${error.message}`,
+        'error'
+      );
+    }
+  }
+
+  /**
+   * アクティブなタブのページ上でアカウントIDを強調表示
+   * @param {string} accountId - アカウントID
+   */
+  async function handleHighlightAlias(accountId) {
+    let count;
+    try {
+      ({ count } = await sendToActiveTab('highlightAccount', { accountId }));
+    } catch (error) {
+      console.warn('Failed to highlight account:', error);
+      showMessage(
+        'このタブでは強調表示できません（AWSコンソールのタブで使用してください）',
+        'error'
+      );
+      return;
+    }
+
+    const displayAccountId = formatAccountId(accountId);
+    if (count > 0) {
+      showMessage(
+        `${displayAccountId} を強調表示しました（${count}件）`,
+        'success'
+      );
+    } else {
+      showMessage(`${displayAccountId} はこのページに表示されていません`);
+    }
+  }
+
+  /**
+   * アクティブなタブのアカウントのエイリアスを編集
+   * 検索・絞り込みで非表示になっている場合は解除してから編集行を表示する
+   */
+  function handleEditActiveTabAccount() {
+    elements.aliasSearchInput.value = '';
+    elements.aliasFilterSelect.value = '';
+    handleEditAlias(activeTabAccountId);
+    editingRow.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * 端末間同期の状況を読み込んで表示
+   */
+  async function loadSyncStatus() {
+    renderSyncStatus(await AliasClient.getSyncStatus());
+  }
+
+  /**
+   * 表示設定を読み込んでフォームに表示
+   */
+  async function loadSettings() {
+    renderSettings(await AliasClient.getSettings());
+  }
+
   /**
    * イベントリスナーを設定
    */
@@ -74,11 +342,74 @@
     // アカウントID入力の検証
     elements.accountIdInput.addEventListener('input', validateAccountId);
 
+    // 環境区分・カラーの選択
+    elements.aliasEnvironmentInput.addEventListener(
+      'change',
+      handleEnvironmentChange
+    );
+    elements.aliasColorInput.addEventListener('input', () => {
+      elements.aliasColorInput.dataset.touched = 'true';
+    });
+
+    // アクティブなタブのアカウント
+    elements.currentAccountEdit.addEventListener(
+      'click',
+      handleEditActiveTabAccount
+    );
+    elements.currentAccountPause.addEventListener(
+      'click',
+      handleToggleActiveTabPause
+    );
+
+    // 検索・絞り込み・並べ替え
+    elements.aliasSearchInput.addEventListener('input', renderAliasList);
+    elements.aliasSearchInput.addEventListener('keydown', handleSearchKeydown);
+    elements.aliasFilterSelect.addEventListener('change', renderAliasList);
+    elements.aliasSortSelect.addEventListener('change', renderAliasList);
+
+    // 一覧のキーボード操作
+    elements.aliasList.addEventListener('keydown', handleListKeydown);
+
     // アクションボタン
     elements.exportBtn.addEventListener('click', handleExport);
     elements.importBtn.addEventListener('click', handleImport);
     elements.clearAllBtn.addEventListener('click', handleClearAll);
 
+    // 共有ソース
+    elements.addSourceForm.addEventListener('submit', handleAddSource);
+    elements.refreshSourcesBtn.addEventListener('click', handleRefreshSources);
+
+    // 端末間同期
+    elements.syncEnabledInput.addEventListener('change', handleSyncToggle);
+
+    // 表示設定
+    elements.settingsForm.addEventListener('submit', handleSaveSettings);
+    elements.displayFormatInput.addEventListener(
+      'change',
+      renderDisplayTemplateGroup
+    );
+
+    // 適用範囲
+    elements.addScopeRuleForm.addEventListener('submit', handleAddScopeRule);
+    elements.scopeRuleTypeInput.addEventListener(
+      'change',
+      renderScopeRulePlaceholder
+    );
+    elements.resetScopeRulesBtn.addEventListener(
+      'click',
+      handleResetScopeRules
+    );
+
+    // 除外ルール
+    elements.addExcludeRuleForm.addEventListener(
+      'submit',
+      handleAddExcludeRule
+    );
+    elements.excludeRuleTypeInput.addEventListener(
+      'change',
+      renderExcludeRulePlaceholder
+    );
+
     // ファイル選択
     elements.importFileInput.addEventListener('change', handleFileImport);
 
@@ -90,6 +421,18 @@
     elements.confirmOk.addEventListener('click', handleConfirmOk);
     elements.confirmCancel.addEventListener('click', hideConfirmDialog);
 
+    // インポート確認ダイアログ
+    elements.importModeInputs.forEach((input) => {
+      input.addEventListener('change', () => {
+        renderImportPreview().catch((error) => {
+          console.error('Failed to preview import:', error);
+          showMessage(`プレビューに失敗しました: ${error.message}`, 'error');
+        });
+      });
+    });
+    elements.importApply.addEventListener('click', handleImportApply);
+    elements.importCancel.addEventListener('click', hideImportDialog);
+
     // ダイアログの背景クリックで閉じる
     elements.confirmDialog.addEventListener('click', (e) => {
       if (e.target === elements.confirmDialog) {
@@ -97,6 +440,12 @@
       }
     });
 
+    elements.importDialog.addEventListener('click', (e) => {
+      if (e.target === elements.importDialog) {
+        hideImportDialog();
+      }
+    });
+
     elements.helpDialog.addEventListener('click', (e) => {
       if (e.target === elements.helpDialog) {
         hideHelp();
@@ -112,6 +461,12 @@
 
     const inputAccountId = elements.accountIdInput.value.trim();
     const aliasName = elements.aliasNameInput.value.trim();
+    const environment = elements.aliasEnvironmentInput.value || null;
+    // カラーは明示的に選択された場合のみ保存（未選択時は環境区分のカラーを使用）
+    const color =
+      elements.aliasColorInput.dataset.touched === 'true'
+        ? elements.aliasColorInput.value
+        : null;
 
     // バリデーション
     if (!validateAccountIdFormat(inputAccountId)) {
@@ -130,12 +485,20 @@
     // アカウントIDを12桁形式に正規化（ストレージ用）
     const normalizedAccountId = normalizeAccountId(inputAccountId);
 
+    if (currentAliases[normalizedAccountId]?.locked) {
+      showMessage(
+        `アカウント ${inputAccountId} のエイリアスは管理者ポリシーによりロックされています`,
+        'error'
+      );
+      return;
+    }
+
     try {
       // 既存のエイリアスがある場合は確認
       if (currentAliases[normalizedAccountId]) {
         const confirmed = await showConfirmDialog(
           'エイリアスの上書き',
-          `アカウント ${inputAccountId} のエイリアス「${currentAliases[normalizedAccountId]}」を「${aliasName}」に変更しますか？`
+          `アカウント ${inputAccountId} のエイリアス「${currentAliases[normalizedAccountId].alias}」を「${aliasName}」に変更しますか？`
         );
 
         if (!confirmed) {
@@ -144,17 +507,28 @@
       }
 
       // エイリアスを保存（12桁形式をキーとして使用）
-      await StorageManager.setAlias(normalizedAccountId, aliasName);
-      currentAliases[normalizedAccountId] = aliasName;
+      // 既存レコードのメタデータ（作成日時など）は引き継ぐ
+      const entry = {
+        ...currentAliases[normalizedAccountId],
+        alias: aliasName,
+        color,
+        environment,
+        description: elements.aliasDescriptionInput.value.trim(),
+        tags: elements.aliasTagsInput.value,
+        owner: elements.aliasOwnerInput.value.trim(),
+      };
+      await AliasClient.setAlias(normalizedAccountId, entry);
+      await loadAliases();
 
       // フォームをリセット
       elements.addAliasForm.reset();
+      delete elements.aliasColorInput.dataset.touched;
 
       // UIを更新
       updateUI();
 
       showMessage(
-        `エイリアスを追加しました: ${accountId} → ${aliasName}`,
+        `エイリアスを追加しました: ${inputAccountId} → ${aliasName}`,
         'success'
       );
     } catch (error) {
@@ -163,6 +537,21 @@
     }
   }
 
+  /**
+   * 環境区分の変更時にカラーをデフォルト値へ追従させる
+   */
+  function handleEnvironmentChange() {
+    if (elements.aliasColorInput.dataset.touched === 'true') {
+      return;
+    }
+
+    const environment =
+      AliasManager.ENVIRONMENTS[elements.aliasEnvironmentInput.value];
+    elements.aliasColorInput.value = environment
+      ? environment.color
+      : elements.aliasColorInput.defaultValue;
+  }
+
   /**
    * アカウントIDの検証（入力時の自動整形）
    */
@@ -232,11 +621,16 @@
    * エイリアス削除の処理
    */
   async function handleDeleteAlias(accountId) {
-    const aliasName = currentAliases[accountId];
+    const entry = currentAliases[accountId];
+    const fallback = entry.overrides
+      ? `\n削除後は${
+          entry.overrides.layer === 'policy' ? '管理者ポリシー' : 'チーム'
+        }のエイリアス「${entry.overrides.alias}」が表示されます。`
+      : '';
 
     const confirmed = await showConfirmDialog(
       'エイリアスの削除',
-      `アカウント ${accountId} のエイリアス「${aliasName}」を削除しますか？`
+      `アカウント ${accountId} のエイリアス「${entry.alias}」を削除しますか？${fallback}`
     );
 
     if (!confirmed) {
@@ -244,8 +638,9 @@
     }
 
     try {
-      await StorageManager.removeAlias(accountId);
-      delete currentAliases[accountId];
+      await AliasClient.removeAlias(accountId);
+      // 共有ソースやポリシーに同じアカウントがあればそのエイリアスに戻る
+      await loadAliases();
 
       updateUI();
       showMessage(`エイリアスを削除しました: ${accountId}`, 'success');
@@ -257,30 +652,205 @@
 
   /**
    * エイリアス編集の処理
+   * 一覧の項目をインライン編集行に切り替える（同時に編集できるのは1件のみ）
    */
-  async function handleEditAlias(accountId) {
-    const currentAlias = currentAliases[accountId];
-    const newAlias = prompt(
-      `アカウント ${accountId} の新しいエイリアス名を入力してください:`,
-      currentAlias
-    );
+  function handleEditAlias(accountId) {
+    editingAccountId = accountId;
+    editingRow = createEditRow(accountId, currentAliases[accountId]);
+    selectedAccountId = accountId;
+    renderAliasList();
+
+    const nameInput = editingRow.elements.aliasName;
+    nameInput.focus();
+    nameInput.select();
+  }
 
-    if (newAlias === null || newAlias === currentAlias) {
-      return;
+  /**
+   * インライン編集を終了して通常の表示に戻す
+   * @param {boolean} focus - 編集していた項目にフォーカスを戻す場合true
+   */
+  function closeEditRow(focus) {
+    editingAccountId = null;
+    editingRow = null;
+    renderAliasList();
+    updateSelection(focus);
+  }
+
+  /**
+   * 他のアカウントで同じエイリアス名が使われているか検索
+   * @returns {Array<string>} 同じエイリアス名のアカウントID
+   */
+  function findDuplicateAliases(accountId, aliasName) {
+    const name = aliasName.toLowerCase();
+    return Object.entries(currentAliases)
+      .filter(
+        ([otherId, entry]) =>
+          otherId !== accountId && entry.alias.toLowerCase() === name
+      )
+      .map(([otherId]) => otherId);
+  }
+
+  /**
+   * インライン編集行を作成
+   * 入力欄の文字数制限・プレースホルダーと環境区分の選択肢は追加フォームから引き継ぐ
+   */
+  function createEditRow(accountId, entry) {
+    const form = document
+      .getElementById('alias-edit-template')
+      .content.firstElementChild.cloneNode(true);
+    const { aliasName, environment, color, description, tags, owner } =
+      form.elements;
+    const warning = form.querySelector('.edit-warning');
+
+    [
+      [aliasName, elements.aliasNameInput],
+      [description, elements.aliasDescriptionInput],
+      [tags, elements.aliasTagsInput],
+      [owner, elements.aliasOwnerInput],
+    ].forEach(([input, source]) => {
+      input.placeholder = source.placeholder;
+      if (source.maxLength > 0) {
+        input.maxLength = source.maxLength;
+      }
+    });
+    [...elements.aliasEnvironmentInput.options].forEach((option) => {
+      environment.appendChild(option.cloneNode(true));
+    });
+
+    form.querySelector('.alias-account-id').textContent =
+      formatAccountId(accountId);
+    aliasName.value = entry.alias;
+    environment.value = entry.environment || '';
+    color.value =
+      AliasManager.getEntryColor(entry) || elements.aliasColorInput.value;
+    // カラーは明示的に設定されている場合のみ保存対象とする（追加フォームと同様）
+    if (entry.color) {
+      color.dataset.touched = 'true';
     }
+    description.value = entry.description;
+    tags.value = entry.tags.join(', ');
+    owner.value = entry.owner;
+
+    // 重複するエイリアス名を入力中に警告（保存は確認の上で可能）
+    const updateWarning = () => {
+      const duplicates = findDuplicateAliases(
+        accountId,
+        aliasName.value.trim()
+      );
+      warning.hidden = duplicates.length === 0;
+      warning.textContent = `⚠️ ${duplicates
+        .map(formatAccountId)
+        .join(', ')} でも同じエイリアス名が使われています`;
+    };
+    updateWarning();
+
+    aliasName.addEventListener('input', () => {
+      aliasName.classList.remove('invalid');
+      updateWarning();
+    });
+    environment.addEventListener('change', () => {
+      const env = AliasManager.ENVIRONMENTS[environment.value];
+      if (color.dataset.touched !== 'true' && env) {
+        color.value = env.color;
+      }
+    });
+    color.addEventListener('input', () => {
+      color.dataset.touched = 'true';
+    });
 
-    if (!newAlias.trim()) {
-      showMessage('エイリアス名を入力してください', 'error');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      saveEditRow(accountId, form);
+    });
+    form
+      .querySelector('.edit-cancel')
+      .addEventListener('click', () => closeEditRow(true));
+    form.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        closeEditRow(true);
+      }
+    });
+
+    return form;
+  }
+
+  /**
+   * インライン編集行の入力内容を検証して保存
+   */
+  async function saveEditRow(accountId, form) {
+    const currentEntry = currentAliases[accountId];
+    const { aliasName, environment, color, description, tags, owner } =
+      form.elements;
+    const error = form.querySelector('.edit-error');
+    const newAlias = aliasName.value.trim();
+    const maxLength = elements.aliasNameInput.maxLength;
+
+    const showError = (text) => {
+      error.textContent = text;
+      error.hidden = false;
+      aliasName.classList.add('invalid');
+      aliasName.focus();
+    };
+
+    if (!newAlias) {
+      showError('エイリアス名を入力してください');
+      return;
+    }
+    if (newAlias.length > maxLength) {
+      showError(`エイリアス名は${maxLength}文字以内で入力してください`);
       return;
     }
+    error.hidden = true;
+
+    const duplicates = findDuplicateAliases(accountId, newAlias);
+    if (duplicates.length > 0) {
+      const confirmed = await showConfirmDialog(
+        'エイリアス名の重複',
+        `「${newAlias}」は ${duplicates
+          .map(formatAccountId)
+          .join(', ')} でも使われています。このまま保存しますか？`
+      );
+      if (!confirmed) {
+        aliasName.focus();
+        return;
+      }
+    }
+
+    // 共有ソース・ポリシーのエイリアスは個人のエイリアスとして上書きすることを確認
+    if (currentEntry.layer !== 'personal') {
+      const confirmed = await showConfirmDialog(
+        'エイリアスの上書き',
+        `アカウント ${formatAccountId(accountId)} のエイリアス「${
+          currentEntry.alias
+        }」を「${newAlias}」に変更しますか？個人のエイリアスとして保存されます。`
+      );
+      if (!confirmed) {
+        aliasName.focus();
+        return;
+      }
+    }
 
     try {
-      await StorageManager.setAlias(accountId, newAlias.trim());
-      currentAliases[accountId] = newAlias.trim();
+      const entry = {
+        ...currentEntry,
+        alias: newAlias,
+        environment: environment.value || null,
+        color: color.dataset.touched === 'true' ? color.value : null,
+        description: description.value.trim(),
+        tags: tags.value,
+        owner: owner.value.trim(),
+      };
+      await AliasClient.setAlias(accountId, entry);
+      await loadAliases();
 
+      editingAccountId = null;
+      editingRow = null;
       updateUI();
+      updateSelection(true);
       showMessage(
-        `エイリアスを更新しました: ${accountId} → ${newAlias.trim()}`,
+        `エイリアスを更新しました: ${accountId} → ${newAlias}`,
         'success'
       );
     } catch (error) {
@@ -294,15 +864,19 @@
    */
   async function handleExport() {
     try {
-      const data = await StorageManager.exportAliases();
+      const format = elements.exportFormatSelect.value;
+      const fileType = EXPORT_FILE_TYPES[format];
+      const data = await AliasClient.exportAliases(format);
 
       // ファイルとしてダウンロード
-      const blob = new Blob([data], { type: 'application/json' });
+      const blob = new Blob([data], { type: fileType.mimeType });
       const url = URL.createObjectURL(blob);
 
       const a = document.createElement('a');
       a.href = url;
-      a.download = `aws-aliases-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = `aws-aliases-${new Date().toISOString().split('T')[0]}.${
+        fileType.extension
+      }`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -335,23 +909,22 @@
     try {
       const text = await readFile(file);
 
-      // 既存のデータがある場合は確認
-      if (Object.keys(currentAliases).length > 0) {
-        const confirmed = await showConfirmDialog(
-          'データのインポート',
-          '既存のエイリアス設定を上書きしますか？'
-        );
+      const format = AliasFormats.detectFormat(file.name, text);
 
-        if (!confirmed) {
-          return;
-        }
+      // 差分を確認してからインポート
+      const mode = await showImportDialog(text, format);
+      if (!mode) {
+        return;
       }
 
-      await StorageManager.importAliases(text);
+      const { diff } = await AliasClient.importAliases(text, mode, format);
       await loadAliases();
       updateUI();
 
-      showMessage('エイリアスデータをインポートしました', 'success');
+      showMessage(
+        `エイリアスデータをインポートしました（追加 ${diff.added.length}件・変更 ${diff.changed.length}件・削除 ${diff.removed.length}件）`,
+        'success'
+      );
     } catch (error) {
       console.error('Failed to import aliases:', error);
       showMessage(`インポートに失敗しました: ${error.message}`, 'error');
@@ -361,6 +934,171 @@
     }
   }
 
+  /**
+   * インポート確認ダイアログを表示
+   * @returns {Promise<string|null>} 選択されたインポートモード（キャンセル時はnull）
+   */
+  async function showImportDialog(text, format) {
+    pendingImportText = text;
+    pendingImportFormat = format;
+    elements.importModeInputs[0].checked = true;
+
+    // 不正なファイルの場合はダイアログを開かずにエラーとする
+    await renderImportPreview();
+    elements.importDialog.style.display = 'flex';
+
+    return new Promise((resolve) => {
+      importCallback = resolve;
+    });
+  }
+
+  /**
+   * 選択中のインポートモードを取得
+   */
+  function getSelectedImportMode() {
+    const checked = Array.from(elements.importModeInputs).find(
+      (input) => input.checked
+    );
+    return checked ? checked.value : 'merge-keep-existing';
+  }
+
+  /**
+   * インポート差分を取得してダイアログに表示
+   */
+  async function renderImportPreview() {
+    const diff = await AliasClient.previewImport(
+      pendingImportText,
+      getSelectedImportMode(),
+      pendingImportFormat
+    );
+    const changeCount =
+      diff.added.length + diff.changed.length + diff.removed.length;
+
+    const summary =
+      changeCount > 0
+        ? `追加 ${diff.added.length}件・変更 ${diff.changed.length}件・削除 ${diff.removed.length}件・変更なし ${diff.unchanged}件`
+        : '変更されるエイリアスはありません';
+    elements.importSummary.textContent = `[${IMPORT_FORMAT_LABELS[pendingImportFormat]}] ${summary}`;
+    elements.importApply.disabled = changeCount === 0;
+
+    elements.importDiff.innerHTML = '';
+    appendDiffGroup('added', '追加', diff.added, (item) => item.after.alias);
+    appendDiffGroup(
+      'changed',
+      '変更',
+      diff.changed,
+      (item) => `${item.before.alias} → ${item.after.alias}`
+    );
+    appendDiffGroup(
+      'removed',
+      '削除',
+      diff.removed,
+      (item) => item.before.alias
+    );
+    appendDiffGroup(
+      'kept',
+      'スキップ（既存を保持）',
+      diff.kept,
+      (item) => `${item.before.alias}（インポート: ${item.after.alias}）`
+    );
+    appendErrorGroup(diff.errors);
+  }
+
+  /**
+   * インポートでスキップされる行をダイアログに追加
+   */
+  function appendErrorGroup(errors) {
+    if (errors.length === 0) {
+      return;
+    }
+
+    const group = document.createElement('div');
+    group.className = 'import-diff-group errors';
+
+    const heading = document.createElement('h5');
+    heading.textContent = `エラー・スキップ (${errors.length})`;
+    group.appendChild(heading);
+
+    errors.forEach((error) => {
+      const row = document.createElement('div');
+      row.className = 'import-diff-row';
+
+      const value = document.createElement('span');
+      value.className = 'import-diff-value';
+      value.textContent = error.line
+        ? `${error.line}行目: ${error.message}`
+        : error.message;
+      value.title = value.textContent;
+
+      row.appendChild(value);
+      group.appendChild(row);
+    });
+
+    elements.importDiff.appendChild(group);
+  }
+
+  /**
+   * 差分の1グループ（追加・変更・削除など）をダイアログに追加
+   */
+  function appendDiffGroup(type, label, items, describe) {
+    if (items.length === 0) {
+      return;
+    }
+
+    const group = document.createElement('div');
+    group.className = `import-diff-group ${type}`;
+
+    const heading = document.createElement('h5');
+    heading.textContent = `${label} (${items.length})`;
+    group.appendChild(heading);
+
+    items.forEach((item) => {
+      const row = document.createElement('div');
+      row.className = 'import-diff-row';
+
+      const accountId = document.createElement('span');
+      accountId.className = 'alias-account-id';
+      accountId.textContent = formatAccountId(item.accountId);
+
+      const value = document.createElement('span');
+      value.className = 'import-diff-value';
+      value.textContent = describe(item);
+
+      row.appendChild(accountId);
+      row.appendChild(value);
+      group.appendChild(row);
+    });
+
+    elements.importDiff.appendChild(group);
+  }
+
+  /**
+   * インポート確認ダイアログの適用処理
+   */
+  function handleImportApply() {
+    const mode = getSelectedImportMode();
+    elements.importDialog.style.display = 'none';
+    if (importCallback) {
+      importCallback(mode);
+      importCallback = null;
+    }
+    pendingImportText = null;
+    pendingImportFormat = null;
+  }
+
+  /**
+   * インポート確認ダイアログを非表示
+   */
+  function hideImportDialog() {
+    elements.importDialog.style.display = 'none';
+    if (importCallback) {
+      importCallback(null);
+      importCallback = null;
+    }
+    pendingImportText = null;
+    pendingImportFormat = null;
+  }
+
   /**
    * ファイルを読み込む
    */
@@ -378,16 +1116,19 @@
    * すべてクリア処理
    */
   async function handleClearAll() {
-    if (Object.keys(currentAliases).length === 0) {
+    // 共有ソースのエイリアスは削除対象外
+    const personalCount = Object.values(currentAliases).filter(
+      (entry) => entry.layer === 'personal'
+    ).length;
+
+    if (personalCount === 0) {
       showMessage('削除するエイリアスがありません', 'info');
       return;
     }
 
     const confirmed = await showConfirmDialog(
       'すべてのエイリアスを削除',
-      `${
-        Object.keys(currentAliases).length
-      }件のエイリアスをすべて削除しますか？この操作は取り消せません。`
+      `${personalCount}件の個人エイリアスをすべて削除しますか？この操作は取り消せません。`
     );
 
     if (!confirmed) {
@@ -395,8 +1136,8 @@
     }
 
     try {
-      await StorageManager.clearAllAliases();
-      currentAliases = {};
+      await AliasClient.clearAllAliases();
+      await loadAliases();
 
       updateUI();
       showMessage('すべてのエイリアスを削除しました', 'success');
@@ -407,66 +1148,951 @@
   }
 
   /**
-   * UIを更新
+   * 共有ソース追加の処理
    */
-  function updateUI() {
-    const aliasEntries = Object.entries(currentAliases);
-    const count = aliasEntries.length;
+  async function handleAddSource(event) {
+    event.preventDefault();
 
-    // カウント表示を更新
-    elements.aliasCount.textContent = `${count}件`;
+    const name = elements.sourceNameInput.value.trim();
+    const url = elements.sourceUrlInput.value.trim();
 
-    // 空状態の表示切り替え
-    if (count === 0) {
-      elements.emptyState.style.display = 'block';
-      elements.aliasList.style.display = 'none';
-    } else {
-      elements.emptyState.style.display = 'none';
-      elements.aliasList.style.display = 'block';
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch (error) {
+      showMessage('URLの形式が正しくありません', 'error');
+      return;
     }
 
-    // エイリアス一覧を更新
-    elements.aliasList.innerHTML = '';
-
-    aliasEntries
-      .sort(([a], [b]) => a.localeCompare(b))
-      .forEach(([accountId, aliasName]) => {
-        const item = createAliasItem(accountId, aliasName);
-        elements.aliasList.appendChild(item);
+    try {
+      // ソースURLへのアクセス権限を要求（ユーザー操作の直後に呼ぶ必要がある）
+      const granted = await chrome.permissions.request({
+        origins: [`${origin}/*`],
       });
+      if (!granted) {
+        showMessage('ソースURLへのアクセスが許可されませんでした', 'error');
+        return;
+      }
 
-    // アクションボタンの状態を更新
-    elements.exportBtn.disabled = count === 0;
-    elements.clearAllBtn.disabled = count === 0;
-  }
+      await AliasClient.addSource(name, url);
+      await Promise.all([loadAliases(), loadSources()]);
 
-  /**
-   * エイリアス項目を作成
-   */
-  function createAliasItem(accountId, aliasName) {
+      elements.addSourceForm.reset();
+      updateUI();
+      renderSources();
+
+      const added = currentSources.find((source) => source.url === url);
+      if (added && added.error) {
+        showMessage(
+          `ソースを追加しましたが取得に失敗しました: ${added.error}`,
+          'error'
+        );
+      } else {
+        showMessage(`共有ソースを追加しました: ${url}`, 'success');
+      }
+    } catch (error) {
+      console.error('Failed to add source:', error);
+      showMessage(`ソースの追加に失敗しました: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 共有ソース削除の処理
+   */
+  async function handleRemoveSource(source) {
+    const confirmed = await showConfirmDialog(
+      '共有ソースの削除',
+      `共有ソース「${source.name}」の購読を解除しますか？このソースのエイリアスは表示されなくなります。`
+    );
+
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      await AliasClient.removeSource(source.id);
+      await Promise.all([loadAliases(), loadSources()]);
+
+      updateUI();
+      renderSources();
+      showMessage(`共有ソースを削除しました: ${source.name}`, 'success');
+    } catch (error) {
+      console.error('Failed to remove source:', error);
+      showMessage('ソースの削除に失敗しました', 'error');
+    }
+  }
+
+  /**
+   * 共有ソース再取得の処理
+   */
+  async function handleRefreshSources() {
+    elements.refreshSourcesBtn.disabled = true;
+
+    try {
+      currentSources = await AliasClient.refreshSources();
+      await loadAliases();
+
+      updateUI();
+      renderSources();
+
+      const failed = currentSources.filter((source) => source.error);
+      if (failed.length > 0) {
+        showMessage(
+          `${failed.length}件のソースの取得に失敗しました（前回取得したデータを使用します）`,
+          'error'
+        );
+      } else {
+        showMessage('共有ソースを再取得しました', 'success');
+      }
+    } catch (error) {
+      console.error('Failed to refresh sources:', error);
+      showMessage('ソースの再取得に失敗しました', 'error');
+    } finally {
+      elements.refreshSourcesBtn.disabled = false;
+    }
+  }
+
+  /**
+   * 共有ソース一覧を表示
+   */
+  function renderSources() {
+    elements.sourceCount.textContent = `${currentSources.length}件`;
+    elements.sourceList.innerHTML = '';
+
+    currentSources.forEach((source) => {
+      const item = document.createElement('div');
+      item.className = 'source-item';
+
+      const info = document.createElement('div');
+      info.className = 'source-info';
+
+      const name = document.createElement('div');
+      name.className = 'source-name';
+      name.textContent = `${source.name}（${source.count}件）`;
+
+      const url = document.createElement('div');
+      url.className = 'source-url';
+      url.textContent = source.url;
+      url.title = source.url;
+
+      const status = document.createElement('div');
+      status.className = source.error ? 'source-status error' : 'source-status';
+      status.textContent = source.error
+        ? `取得エラー: ${source.error}`
+        : source.fetchedAt
+        ? `最終取得: ${new Date(source.fetchedAt).toLocaleString()}`
+        : '未取得';
+
+      info.appendChild(name);
+      info.appendChild(url);
+      info.appendChild(status);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'alias-action-btn delete';
+      removeBtn.title = '購読を解除';
+      removeBtn.textContent = '🗑️';
+      removeBtn.addEventListener('click', () => handleRemoveSource(source));
+
+      item.appendChild(info);
+      item.appendChild(removeBtn);
+      elements.sourceList.appendChild(item);
+    });
+  }
+
+  /**
+   * 端末間同期の切り替え処理
+   */
+  async function handleSyncToggle() {
+    const enabled = elements.syncEnabledInput.checked;
+    elements.syncEnabledInput.disabled = true;
+
+    try {
+      const status = await AliasClient.setSyncEnabled(enabled);
+      await loadAliases();
+
+      updateUI();
+      renderSyncStatus(status);
+
+      if (status.error) {
+        showMessage('同期に失敗しました', 'error');
+      } else {
+        showMessage(
+          enabled ? '端末間同期を有効にしました' : '端末間同期を無効にしました',
+          'success'
+        );
+      }
+    } catch (error) {
+      console.error('Failed to update sync settings:', error);
+      elements.syncEnabledInput.checked = !enabled;
+      showMessage('同期設定の変更に失敗しました', 'error');
+    } finally {
+      elements.syncEnabledInput.disabled = false;
+    }
+  }
+
+  /**
+   * 表示設定の保存処理
+   */
+  async function handleSaveSettings(event) {
+    event.preventDefault();
+
+    try {
+      const changes = {
+        titleEnabled: elements.titleEnabledInput.checked,
+        titleTemplate: elements.titleTemplateInput.value.trim(),
+        displayFormat: elements.displayFormatInput.value,
+        debugMode: elements.debugModeInput.checked,
+        logLevel: elements.logLevelInput.value,
+      };
+      // テンプレートはカスタムの場合のみ更新する（前後の空白は区切りとして保持）
+      if (changes.displayFormat === 'custom') {
+        changes.displayTemplate = elements.displayTemplateInput.value;
+      }
+
+      const settings = await AliasClient.updateSettings(changes);
+      renderSettings(settings);
+      showMessage('表示設定を保存しました', 'success');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      showMessage(`表示設定の保存に失敗しました: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 表示設定をフォームに表示
+   */
+  function renderSettings(settings) {
+    currentSettings = settings;
+    elements.titleEnabledInput.checked = settings.titleEnabled;
+    elements.titleTemplateInput.value = settings.titleTemplate;
+    elements.displayFormatInput.value = settings.displayFormat;
+    elements.displayTemplateInput.value = settings.displayTemplate;
+    elements.debugModeInput.checked = settings.debugMode;
+    elements.logLevelInput.value = settings.logLevel;
+    renderDisplayTemplateGroup();
+    renderScopeRules();
+    renderExcludeRules();
+  }
+
+  /**
+   * 表示形式がカスタムの場合のみテンプレートの入力欄を表示
+   */
+  function renderDisplayTemplateGroup() {
+    elements.displayTemplateGroup.hidden =
+      elements.displayFormatInput.value !== 'custom';
+  }
+
+  /**
+   * 適用範囲のルールを保存して表示
+   * @param {Array<Object>} scopeRules - 保存するルールの一覧
+   * @param {string} message - 保存後に表示するメッセージ
+   * @returns {Promise<boolean>} 保存できた場合true
+   */
+  async function saveScopeRules(scopeRules, message) {
+    try {
+      renderSettings(await AliasClient.updateSettings({ scopeRules }));
+      showMessage(message, 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to save scope rules:', error);
+      showMessage(`適用範囲の保存に失敗しました: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * 適用範囲のルール追加処理（先頭に追加し、既存のルールより優先する）
+   */
+  async function handleAddScopeRule(event) {
+    event.preventDefault();
+
+    const rule = {
+      type: elements.scopeRuleTypeInput.value,
+      pattern: elements.scopeRulePatternInput.value.trim(),
+      mode: elements.scopeRuleModeInput.value,
+    };
+    const saved = await saveScopeRules(
+      [rule, ...currentSettings.scopeRules],
+      `適用範囲のルールを追加しました: ${rule.pattern}`
+    );
+    if (saved) {
+      elements.addScopeRuleForm.reset();
+      renderScopeRulePlaceholder();
+    }
+  }
+
+  /**
+   * 適用範囲のルール削除処理
+   * @param {number} index - 削除するルールの位置
+   */
+  async function handleRemoveScopeRule(index) {
+    const rule = currentSettings.scopeRules[index];
+    await saveScopeRules(
+      currentSettings.scopeRules.filter((_, i) => i !== index),
+      `適用範囲のルールを削除しました: ${rule.pattern}`
+    );
+  }
+
+  /**
+   * 適用範囲のルールを既定値に戻す処理
+   */
+  async function handleResetScopeRules() {
+    const confirmed = await showConfirmDialog(
+      '適用範囲を既定に戻す',
+      '追加・削除した適用範囲のルールを破棄し、既定のルールに戻しますか？'
+    );
+
+    if (!confirmed) {
+      return;
+    }
+
+    await saveScopeRules(
+      AliasManager.DEFAULT_SCOPE_RULES,
+      '適用範囲を既定のルールに戻しました'
+    );
+  }
+
+  /**
+   * 適用範囲のルールの一覧を表示
+   */
+  function renderScopeRules() {
+    const rules = currentSettings.scopeRules;
+    elements.scopeRuleCount.textContent = `${rules.length}件`;
+    elements.scopeRuleList.innerHTML = '';
+
+    rules.forEach((rule, index) => {
+      const item = document.createElement('div');
+      item.className = 'source-item';
+
+      const info = document.createElement('div');
+      info.className = 'source-info';
+
+      const pattern = document.createElement('div');
+      pattern.className = 'source-name';
+      pattern.textContent = rule.pattern;
+      pattern.title = rule.pattern;
+
+      const detail = document.createElement('div');
+      detail.className = 'source-status';
+      detail.textContent = `${AliasManager.SCOPE_RULE_TYPES[rule.type]} → ${
+        AliasManager.SCOPE_MODES[rule.mode]
+      }`;
+
+      info.appendChild(pattern);
+      info.appendChild(detail);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'alias-action-btn delete';
+      removeBtn.title = 'ルールを削除';
+      removeBtn.textContent = '🗑️';
+      removeBtn.addEventListener('click', () => handleRemoveScopeRule(index));
+
+      item.appendChild(info);
+      item.appendChild(removeBtn);
+      elements.scopeRuleList.appendChild(item);
+    });
+  }
+
+  /**
+   * 除外ルールを保存して表示
+   * @param {Array<Object>} excludeRules - 保存するルールの一覧
+   * @param {string} message - 保存後に表示するメッセージ
+   * @returns {Promise<boolean>} 保存できた場合true
+   */
+  async function saveExcludeRules(excludeRules, message) {
+    try {
+      renderSettings(await AliasClient.updateSettings({ excludeRules }));
+      showMessage(message, 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to save exclusion rules:', error);
+      showMessage(`除外ルールの保存に失敗しました: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * 除外ルール追加処理
+   * CSSセレクタの構文はバックグラウンドでは検証できないため、保存前にここで検証する
+   */
+  async function handleAddExcludeRule(event) {
+    event.preventDefault();
+
+    const rule = {
+      type: elements.excludeRuleTypeInput.value,
+      pattern: elements.excludeRulePatternInput.value.trim(),
+    };
+    try {
+      AliasManager.validateExcludeRule(rule);
+    } catch (error) {
+      showMessage(`除外ルールが正しくありません: ${error.message}`, 'error');
+      return;
+    }
+
+    const saved = await saveExcludeRules(
+      [...currentSettings.excludeRules, rule],
+      `除外ルールを追加しました: ${rule.pattern}`
+    );
+    if (saved) {
+      elements.addExcludeRuleForm.reset();
+      renderExcludeRulePlaceholder();
+    }
+  }
+
+  /**
+   * 除外ルール削除処理
+   * @param {number} index - 削除するルールの位置
+   */
+  async function handleRemoveExcludeRule(index) {
+    const rule = currentSettings.excludeRules[index];
+    await saveExcludeRules(
+      currentSettings.excludeRules.filter((_, i) => i !== index),
+      `除外ルールを削除しました: ${rule.pattern}`
+    );
+  }
+
+  /**
+   * 除外ルールの一覧を表示（不正なルールはエラーとして表示）
+   */
+  function renderExcludeRules() {
+    const rules = currentSettings.excludeRules;
+    const errors = AliasManager.compileExclusions(rules).errors.filter(
+      (error) => error.index !== null
+    );
+    elements.excludeRuleCount.textContent = `${rules.length}件`;
+    elements.excludeRuleList.innerHTML = '';
+
+    rules.forEach((rule, index) => {
+      const error = errors.find((candidate) => candidate.index === index);
+
+      const item = document.createElement('div');
+      item.className = 'source-item';
+
+      const info = document.createElement('div');
+      info.className = 'source-info';
+
+      const pattern = document.createElement('div');
+      pattern.className = 'source-name';
+      pattern.textContent = String(rule.pattern);
+      pattern.title = String(rule.pattern);
+
+      const detail = document.createElement('div');
+      detail.className = error ? 'source-status error' : 'source-status';
+      detail.textContent = error
+        ? `無効なルール（適用されません）: ${error.message}`
+        : AliasManager.EXCLUDE_RULE_TYPES[rule.type];
+
+      info.appendChild(pattern);
+      info.appendChild(detail);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'alias-action-btn delete';
+      removeBtn.title = 'ルールを削除';
+      removeBtn.textContent = '🗑️';
+      removeBtn.addEventListener('click', () => handleRemoveExcludeRule(index));
+
+      item.appendChild(info);
+      item.appendChild(removeBtn);
+      elements.excludeRuleList.appendChild(item);
+    });
+  }
+
+  /**
+   * 除外ルールの種類に応じてパターンの入力例を表示
+   */
+  function renderExcludeRulePlaceholder() {
+    elements.excludeRulePatternInput.placeholder = {
+      selector: '.policy-document',
+      text: '"Statement"\\s*:',
+    }[elements.excludeRuleTypeInput.value];
+  }
+
+  /**
+   * ルールの種類に応じてパターンの入力例を表示
+   */
+  function renderScopeRulePlaceholder() {
+    elements.scopeRulePatternInput.placeholder = {
+      path: '/organizations',
+      host: '*.signin.aws.amazon.com',
+      regex: '/iam/home#/roles/details/',
+    }[elements.scopeRuleTypeInput.value];
+  }
+
+  /**
+   * 端末間同期の状況を表示
+   */
+  function renderSyncStatus(status) {
+    elements.syncEnabledInput.checked = status.enabled;
+    elements.syncStatus.className = status.error
+      ? 'sync-status error'
+      : 'sync-status';
+
+    if (!status.enabled) {
+      elements.syncStatus.textContent = '';
+    } else if (status.error) {
+      elements.syncStatus.textContent = `同期エラー: ${status.error}`;
+    } else if (status.lastSyncedAt) {
+      const usage =
+        status.bytesInUse !== null
+          ? `（使用量 ${Math.ceil(status.bytesInUse / 1024)} / ${Math.floor(
+              status.quotaBytes / 1024
+            )} KB）`
+          : '';
+      elements.syncStatus.textContent = `最終同期: ${new Date(
+        status.lastSyncedAt
+      ).toLocaleString()}${usage}`;
+    } else {
+      elements.syncStatus.textContent = '未同期';
+    }
+  }
+
+  /**
+   * エイリアスの取得元レイヤーの表示名を取得
+   * 共有ソース・管理者ポリシーのいずれも使用していない場合は表示しない
+   */
+  function getLayerLabel(entry) {
+    const layered =
+      currentSources.length > 0 ||
+      Object.values(currentAliases).some((item) => item.layer !== 'personal');
+    if (!layered) {
+      return null;
+    }
+    if (entry.layer === 'policy') {
+      return entry.locked ? '管理者ポリシー（ロック）' : '管理者ポリシー';
+    }
+    if (entry.layer === 'team') {
+      return `チーム: ${entry.sourceName}`;
+    }
+    if (entry.overrides) {
+      return entry.overrides.layer === 'policy'
+        ? '個人（ポリシーの既定値を上書き）'
+        : '個人（チームを上書き）';
+    }
+    return '個人';
+  }
+
+  /**
+   * UIを更新
+   */
+  function updateUI() {
+    const aliasEntries = Object.entries(currentAliases);
+
+    // 絞り込みの選択肢とエイリアス一覧を更新
+    renderFilterOptions();
+    renderAliasList();
+    renderActiveTabAccount();
+
+    // アクションボタンの状態を更新（エクスポート・削除は個人のエイリアスのみ対象）
+    const personalCount = aliasEntries.filter(
+      ([, entry]) => entry.layer === 'personal'
+    ).length;
+    elements.exportBtn.disabled = personalCount === 0;
+    elements.clearAllBtn.disabled = personalCount === 0;
+  }
+
+  /**
+   * 絞り込みの選択肢（環境区分・タグ）を登録済みのエイリアスから作成
+   * 選択中の条件が残っている場合は維持する
+   */
+  function renderFilterOptions() {
+    const select = elements.aliasFilterSelect;
+    const selected = select.value;
+    const entries = Object.values(currentAliases);
+
+    const environments = Object.entries(AliasManager.ENVIRONMENTS).filter(
+      ([key]) => entries.some((entry) => entry.environment === key)
+    );
+    const tags = [...new Set(entries.flatMap((entry) => entry.tags))].sort();
+
+    select.innerHTML = '';
+    select.appendChild(new Option('すべて', ''));
+
+    const groups = [
+      ['環境区分', environments.map(([key, env]) => [`env:${key}`, env.name])],
+      ['タグ', tags.map((tag) => [`tag:${tag}`, `#${tag}`])],
+    ];
+    groups.forEach(([label, options]) => {
+      if (options.length === 0) {
+        return;
+      }
+      const group = document.createElement('optgroup');
+      group.label = label;
+      options.forEach(([value, text]) =>
+        group.appendChild(new Option(text, value))
+      );
+      select.appendChild(group);
+    });
+
+    select.value = [...select.options].some(
+      (option) => option.value === selected
+    )
+      ? selected
+      : '';
+  }
+
+  /**
+   * 文字列があいまい検索の条件に一致するか判定してスコアを計算
+   * 部分一致を最優先し、それ以外は検索語の文字が順番に含まれていれば一致とする
+   * @returns {number} 一致しない場合は-1、一致する場合は高いほど近い
+   */
+  function fuzzyScore(query, text) {
+    const index = text.indexOf(query);
+    if (index !== -1) {
+      return 1000 - index;
+    }
+
+    let score = 0;
+    let position = 0;
+    let streak = 0;
+    for (const char of query) {
+      const found = text.indexOf(char, position);
+      if (found === -1) {
+        return -1;
+      }
+      // 連続して一致する文字ほど高く評価する
+      streak = found === position ? streak + 1 : 0;
+      score += 1 + streak;
+      position = found + 1;
+    }
+    return score;
+  }
+
+  /**
+   * エイリアスが検索語に一致するか判定してスコアを計算
+   * アカウントIDは12桁・ハイフン区切りのどちらの形式でも部分一致で検索する
+   * （数字のみの文字の順序一致ではほとんどのIDが一致してしまうため）
+   * @returns {number} 一致しない場合は-1
+   */
+  function getMatchScore(accountId, entry, query) {
+    if (!query) {
+      return 0;
+    }
+
+    const digits = query.replace(/[-\s]/g, '');
+    const idScore =
+      /^\d+$/.test(digits) && accountId.includes(digits)
+        ? 1000 - accountId.indexOf(digits)
+        : -1;
+    const aliasScore = fuzzyScore(query, entry.alias.toLowerCase());
+
+    return Math.max(idScore, aliasScore);
+  }
+
+  /**
+   * 絞り込み条件に一致するか判定
+   */
+  function matchesFilter(entry, filter) {
+    if (!filter) {
+      return true;
+    }
+    const [type, value] = [filter.slice(0, 3), filter.slice(4)];
+    return type === 'env'
+      ? entry.environment === value
+      : entry.tags.includes(value);
+  }
+
+  /**
+   * 選択中の並べ替え順の比較関数を取得
+   */
+  function getSortComparator(sort) {
+    const byId = ([a], [b]) => a.localeCompare(b);
+    const byAlias = ([a, entryA], [b, entryB]) =>
+      entryA.alias.localeCompare(entryB.alias, 'ja') || byId([a], [b]);
+
+    if (sort === 'alias') {
+      return byAlias;
+    }
+    if (sort === 'last-used') {
+      // 未使用のアカウントはエイリアス順で末尾に並べる
+      return (a, b) =>
+        (currentUsage[b[0]] || '').localeCompare(currentUsage[a[0]] || '') ||
+        byAlias(a, b);
+    }
+    return byId;
+  }
+
+  /**
+   * 検索・絞り込み・並べ替えを適用した表示対象のエイリアスを取得
+   * 検索語がある場合は一致度の高い順に並べ、同じ一致度の中で選択中の並べ替えを適用する
+   * @returns {Array} [accountId, entry] の配列
+   */
+  function getVisibleEntries() {
+    const query = elements.aliasSearchInput.value.trim().toLowerCase();
+    const filter = elements.aliasFilterSelect.value;
+    const compare = getSortComparator(elements.aliasSortSelect.value);
+
+    return Object.entries(currentAliases)
+      .filter(([, entry]) => matchesFilter(entry, filter))
+      .map(([accountId, entry]) => ({
+        item: [accountId, entry],
+        score: getMatchScore(accountId, entry, query),
+      }))
+      .filter(({ score }) => score >= 0)
+      .sort((a, b) => b.score - a.score || compare(a.item, b.item))
+      .map(({ item }) => item);
+  }
+
+  /**
+   * エイリアス一覧を表示
+   */
+  function renderAliasList() {
+    const count = Object.keys(currentAliases).length;
+    const visibleEntries = getVisibleEntries();
+
+    // カウント表示を更新（絞り込み中は表示件数も表示）
+    elements.aliasCount.textContent =
+      visibleEntries.length === count
+        ? `${count}件`
+        : `${visibleEntries.length} / ${count}件`;
+
+    // 空状態・一致なしの表示切り替え
+    elements.emptyState.style.display = count === 0 ? 'block' : 'none';
+    elements.noResults.style.display =
+      count > 0 && visibleEntries.length === 0 ? 'block' : 'none';
+    elements.aliasList.style.display =
+      visibleEntries.length === 0 ? 'none' : 'flex';
+
+    // 再描画前に一覧内にフォーカスがあれば、再描画後も選択中の項目にフォーカスを戻す
+    const hadFocus = elements.aliasList.contains(document.activeElement);
+
+    if (
+      !visibleEntries.some(([accountId]) => accountId === selectedAccountId)
+    ) {
+      selectedAccountId = null;
+    }
+    if (!currentAliases[editingAccountId]) {
+      editingAccountId = null;
+      editingRow = null;
+    }
+
+    elements.aliasList.innerHTML = '';
+    visibleEntries.forEach(([accountId, entry]) => {
+      const item =
+        accountId === editingAccountId
+          ? editingRow
+          : createAliasItem(accountId, entry);
+      elements.aliasList.appendChild(item);
+    });
+
+    updateSelection(hadFocus);
+  }
+
+  /**
+   * 選択中の項目の表示を更新
+   * @param {boolean} focus - 選択中の項目にフォーカスを移す場合true
+   */
+  function updateSelection(focus) {
+    const items = [...elements.aliasList.querySelectorAll('.alias-item')];
+    items.forEach((item) => {
+      const selected = item.dataset.accountId === selectedAccountId;
+      item.classList.toggle('selected', selected);
+      item.tabIndex = selected ? 0 : -1;
+      if (selected && focus) {
+        item.focus();
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * 一覧の項目を選択してフォーカスを移す
+   * @param {number} index - 表示中の項目の位置
+   */
+  function selectItemAt(index) {
+    const items = elements.aliasList.querySelectorAll('.alias-item');
+    if (items.length === 0) {
+      return;
+    }
+    const clamped = Math.max(0, Math.min(index, items.length - 1));
+    selectedAccountId = items[clamped].dataset.accountId;
+    updateSelection(true);
+  }
+
+  /**
+   * 検索欄のキーボード操作
+   * ↓で一覧の先頭へ移動し、Enterで選択中（または唯一の結果）のエイリアスを編集する
+   */
+  function handleSearchKeydown(event) {
+    const items = elements.aliasList.querySelectorAll('.alias-item');
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      selectItemAt(0);
+    } else if (event.key === 'Enter' && items.length > 0) {
+      event.preventDefault();
+      editEntry(selectedAccountId || items[0].dataset.accountId);
+    }
+  }
+
+  /**
+   * 一覧のキーボード操作
+   * ↑↓/Home/Endで移動、Enterで編集、Deleteで削除、Escで検索欄に戻る
+   */
+  function handleListKeydown(event) {
+    const item = event.target.closest('.alias-item');
+    if (!item || event.target !== item) {
+      return;
+    }
+
+    const items = [...elements.aliasList.querySelectorAll('.alias-item')];
+    const index = items.indexOf(item);
+    const accountId = item.dataset.accountId;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        selectItemAt(index + 1);
+        break;
+      case 'ArrowUp':
+        if (index === 0) {
+          elements.aliasSearchInput.focus();
+        } else {
+          selectItemAt(index - 1);
+        }
+        break;
+      case 'Home':
+        selectItemAt(0);
+        break;
+      case 'End':
+        selectItemAt(items.length - 1);
+        break;
+      case 'Enter':
+        editEntry(accountId);
+        break;
+      case 'Delete':
+        deleteEntry(accountId);
+        break;
+      case 'Escape':
+        elements.aliasSearchInput.focus();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  /**
+   * キーボード操作からのエイリアス編集（ロックされたエイリアスは編集しない）
+   */
+  function editEntry(accountId) {
+    const entry = currentAliases[accountId];
+    if (entry.locked) {
+      showMessage(
+        'このエイリアスは管理者ポリシーによりロックされています',
+        'error'
+      );
+      return;
+    }
+    selectedAccountId = accountId;
+    handleEditAlias(accountId);
+  }
+
+  /**
+   * キーボード操作からのエイリアス削除（個人のエイリアスのみ削除できる）
+   */
+  function deleteEntry(accountId) {
+    if (currentAliases[accountId].layer !== 'personal') {
+      showMessage(
+        '共有ソース・管理者ポリシーのエイリアスは削除できません',
+        'error'
+      );
+      return;
+    }
+    handleDeleteAlias(accountId);
+  }
+
+  /**
+   * エイリアス項目を作成
+   */
+  function createAliasItem(accountId, entry) {
     const item = document.createElement('div');
     item.className = 'alias-item';
+    item.dataset.accountId = accountId;
+    item.tabIndex = -1;
+    item.addEventListener('focus', () => {
+      selectedAccountId = accountId;
+      updateSelection(false);
+    });
 
     // アカウントIDをハイフン区切り形式で表示
     const displayAccountId = formatAccountId(accountId);
+    const color = AliasManager.getEntryColor(entry);
+    const environment = AliasManager.ENVIRONMENTS[entry.environment];
+    const layerLabel = getLayerLabel(entry);
 
     item.innerHTML = `
+      <span class="alias-color-swatch"></span>
       <div class="alias-info">
-        <div class="alias-account-id">${displayAccountId}</div>
-        <div class="alias-name">${escapeHtml(aliasName)}</div>
+        <div class="alias-account-id">
+          ${displayAccountId}
+          ${
+            environment
+              ? `<span class="alias-env-badge">${environment.label}</span>`
+              : ''
+          }
+          ${
+            layerLabel
+              ? `<span class="alias-layer-badge ${entry.layer}">${escapeHtml(
+                  layerLabel
+                )}</span>`
+              : ''
+          }
+        </div>
+        <div class="alias-name">${escapeHtml(entry.alias)}</div>
+        ${
+          entry.description || entry.tags.length > 0
+            ? `<div class="alias-meta">${escapeHtml(
+                [entry.description, ...entry.tags.map((tag) => `#${tag}`)]
+                  .filter(Boolean)
+                  .join(' ')
+              )}</div>`
+            : ''
+        }
       </div>
       <div class="alias-actions">
+        <button class="alias-action-btn highlight" title="このタブのページで強調表示">🔍</button>
         <button class="alias-action-btn edit" title="編集">✏️</button>
         <button class="alias-action-btn delete" title="削除">🗑️</button>
       </div>
     `;
 
+    // 環境カラーを反映
+    const swatch = item.querySelector('.alias-color-swatch');
+    const badge = item.querySelector('.alias-env-badge');
+    if (color) {
+      swatch.style.background = color;
+      if (badge) {
+        badge.style.background = color;
+      }
+    } else {
+      swatch.classList.add('empty');
+    }
+
     // イベントリスナーを設定
     const editBtn = item.querySelector('.edit');
     const deleteBtn = item.querySelector('.delete');
 
+    // 強調表示はロックされたエイリアスでも使用できる
+    item
+      .querySelector('.highlight')
+      .addEventListener('click', () => handleHighlightAlias(accountId));
+
+    // ポリシーでロックされたエイリアスは編集・削除できない
+    if (entry.locked) {
+      editBtn.disabled = true;
+      editBtn.title = '管理者ポリシーによりロックされています';
+      deleteBtn.remove();
+      return item;
+    }
+
     editBtn.addEventListener('click', () => handleEditAlias(accountId));
-    deleteBtn.addEventListener('click', () => handleDeleteAlias(accountId));
+
+    // 共有ソース・ポリシーのエイリアスは削除できない（編集すると個人のエイリアスとして上書き）
+    if (entry.layer !== 'personal') {
+      editBtn.title = '個人のエイリアスとして上書き';
+      deleteBtn.remove();
+    } else {
+      deleteBtn.addEventListener('click', () => handleDeleteAlias(accountId));
+    }
 
     return item;
   }
@@ -14,11 +14,20 @@ class AliasManager {
 
   /**
    * ハイフン区切りのアカウントIDを12桁の形式に正規化
+   * スプレッドシート経由で先頭のゼロが失われたID（区切りのない10〜11桁の数字）はゼロで補完する
+   * 4-4-4以外のハイフン区切りや桁数の足りない値は補完せずにそのまま返す（呼び出し側の12桁の検証で不正とする）
    * @param {string} accountId - アカウントID（ハイフン区切りまたは12桁）
-   * @returns {string} 12桁のアカウントID
+   * @returns {string} 12桁のアカウントID（正規化できない場合は前後の空白を除いた元の値）
    */
   static normalizeAccountId(accountId) {
-    return accountId.replace(/-/g, '');
+    const value = String(accountId).trim();
+    if (/^\d{4}-\d{4}-\d{4}$/.test(value)) {
+      return value.replace(/-/g, '');
+    }
+    if (/^\d{10,11}$/.test(value)) {
+      return value.padStart(12, '0');
+    }
+    return value;
   }
 
   /**
@@ -36,12 +45,231 @@ class AliasManager {
     return accountId;
   }
 
-  // エイリアスを適用すべきでない要素のセレクタ
+  // アカウントIDを検出する選択テキストの最大文字数
+  static MAX_SELECTION_LENGTH = 100;
+
+  // ナビゲーションのアカウントメニューのセレクタ（アカウントIDの表示箇所）
+  static NAV_ACCOUNT_SELECTORS = [
+    '[data-testid="awsc-copy-accountid"]',
+    '[data-testid="awsc-nav-account-menu-button"]',
+    '[data-testid="account-menu-button"]',
+    '#menu--account',
+  ];
+
+  // 環境区分の定義（表示ラベルとデフォルトカラー）
+  // badgeはツールバーのバッジ用の短縮表記（4文字以内）
+  static ENVIRONMENTS = {
+    prod: { label: 'PROD', badge: 'PROD', name: '本番', color: '#d13212' },
+    staging: {
+      label: 'STAGING',
+      badge: 'STG',
+      name: 'ステージング',
+      color: '#ff9900',
+    },
+    dev: { label: 'DEV', badge: 'DEV', name: '開発', color: '#1d8102' },
+    sandbox: {
+      label: 'SANDBOX',
+      badge: 'SBX',
+      name: 'サンドボックス',
+      color: '#0073bb',
+    },
+  };
+
+  // エイリアスのカラーコードのパターン（ポップアップのカラーピッカーと同じ#rrggbb形式）
+  static COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+  // リージョン名のパターン（例: us-east-1, us-gov-west-1）
+  static REGION_PATTERN = /^[a-z]{2}(?:-[a-z]+)+-\d+$/;
+
+  // タブタイトルのテンプレートで使用できるプレースホルダー
+  // alias: エイリアス名, accountId: ハイフン区切りのアカウントID,
+  // environment: 環境区分の表示名, region: リージョン, original: コンソールが設定した元のタイトル
+  static TITLE_PLACEHOLDERS = [
+    'alias',
+    'accountId',
+    'environment',
+    'region',
+    'original',
+  ];
+
+  // アカウントIDの注釈の表示形式
+  // position: 注釈を挿入する位置（アカウントIDの前後）, hideId: ページのアカウントIDを非表示にするか,
+  // badge: バッジとして表示するか, template: 注釈のテンプレート（customは表示設定のテンプレートを使用）
+  static DISPLAY_FORMATS = {
+    append: {
+      name: 'IDの後ろに追加',
+      template: ' ({alias})',
+      position: 'after',
+      hideId: false,
+      badge: false,
+    },
+    prepend: {
+      name: 'IDの前に追加',
+      template: '({alias}) ',
+      position: 'before',
+      hideId: false,
+      badge: false,
+    },
+    replace: {
+      name: 'IDをエイリアスに置き換え',
+      template: '{alias}',
+      position: 'after',
+      hideId: true,
+      badge: false,
+    },
+    badge: {
+      name: 'エイリアスのバッジのみ',
+      template: '{alias}',
+      position: 'after',
+      hideId: true,
+      badge: true,
+    },
+    custom: {
+      name: 'カスタム',
+      template: null,
+      position: 'after',
+      hideId: true,
+      badge: false,
+    },
+  };
+
+  // 表示形式の既定値（表示設定を読み込む前やcontent.js以外から呼び出す場合）
+  static DEFAULT_DISPLAY = {
+    format: 'append',
+    template: '{formattedId} ({alias})',
+  };
+
+  // カスタムの表示形式のテンプレートで使用できるプレースホルダー
+  // id: 12桁のアカウントID, formattedId: ハイフン区切りのアカウントID, alias: エイリアス名
+  static DISPLAY_PLACEHOLDERS = ['id', 'formattedId', 'alias'];
+
+  // ページコンテンツへのエイリアスの適用範囲（適用範囲のルールのmode）
+  // on: ページ全体, nav: ナビゲーション・セッション情報のみ, off: 表示しない
+  static SCOPE_MODES = {
+    on: 'ページ全体',
+    nav: 'ナビゲーションのみ',
+    off: '表示しない',
+  };
+
+  // 適用範囲のルールの種類
+  // path: サービスのパス（パスの区切りで前方一致）,
+  // host: ホスト名（*はワイルドカード。*を含まない場合はサブドメインにも一致）, regex: URL全体の正規表現
+  static SCOPE_RULE_TYPES = {
+    path: 'パス',
+    host: 'ホスト名',
+    regex: 'URLの正規表現',
+  };
+
+  // どのルールにも一致しない場合の適用範囲
+  static DEFAULT_SCOPE_MODE = 'nav';
+
+  // 適用範囲のルールの既定値（表示設定の既定値・ポップアップの「既定に戻す」で使用）
+  static DEFAULT_SCOPE_RULES = [
+    // コンソールホーム・マルチセッション選択画面・サインイン
+    { type: 'path', pattern: '/console', mode: 'on' },
+    { type: 'path', pattern: '/sessions/selector', mode: 'on' },
+    { type: 'host', pattern: 'signin.aws.amazon.com', mode: 'on' },
+    // アカウントIDを一覧・参照するサービス
+    { type: 'path', pattern: '/organizations', mode: 'on' },
+    { type: 'path', pattern: '/billing', mode: 'on' },
+    { type: 'path', pattern: '/costmanagement', mode: 'on' },
+    { type: 'path', pattern: '/iam', mode: 'on' },
+    { type: 'path', pattern: '/ram', mode: 'on' },
+    // テンプレート・コードのエディタを含むサービス
+    { type: 'path', pattern: '/cloudformation', mode: 'nav' },
+    { type: 'path', pattern: '/lambda', mode: 'nav' },
+  ];
+
+  // ツールバーのバッジに表示できる最大文字数
+  static BADGE_MAX_LENGTH = 4;
+
+  /**
+   * エイリアスマップの値からエイリアス名を取得
+   * @param {string|Object} entry - エイリアス名またはエイリアスレコード
+   * @returns {string|null} エイリアス名
+   */
+  static getAliasName(entry) {
+    if (!entry) {
+      return null;
+    }
+    return typeof entry === 'string' ? entry : entry.alias || null;
+  }
+
+  /**
+   * エイリアスレコードの表示カラーを取得
+   * 個別カラーが未設定の場合は環境区分のデフォルトカラーを使用
+   * @param {string|Object} entry - エイリアス名またはエイリアスレコード
+   * @returns {string|null} カラーコードまたはnull
+   */
+  static getEntryColor(entry) {
+    if (!entry || typeof entry !== 'object') {
+      return null;
+    }
+    if (entry.color) {
+      return entry.color;
+    }
+    const environment = this.ENVIRONMENTS[entry.environment];
+    return environment ? environment.color : null;
+  }
+
+  /**
+   * エイリアスレコードの環境区分とカラーを検証
+   * 環境区分はENVIRONMENTSのキー、カラーはCOLOR_PATTERNの形式のみ受け付ける（未設定は可）
+   * @param {Object} entry - エイリアスレコード
+   * @throws {Error} 環境区分またはカラーが不正な場合
+   */
+  static validateEntryMetadata(entry) {
+    const environments = Object.keys(this.ENVIRONMENTS);
+    if (entry.environment && !environments.includes(entry.environment)) {
+      throw new Error(
+        `Invalid environment: ${
+          entry.environment
+        } (expected one of ${environments.join(', ')})`
+      );
+    }
+    if (entry.color && !this.COLOR_PATTERN.test(entry.color)) {
+      throw new Error(`Invalid color: ${entry.color} (expected #rrggbb)`);
+    }
+  }
+
+  /**
+   * エイリアス名をツールバーのバッジ用に短縮
+   * 区切り文字で複数の単語に分かれる場合は頭文字を、それ以外は先頭の文字を使用する
+   * @param {string} alias - エイリアス名
+   * @returns {string} 短縮したエイリアス名（BADGE_MAX_LENGTH文字以内）
+   */
+  static abbreviateAlias(alias) {
+    const name = String(alias || '').trim();
+    if (name.length <= this.BADGE_MAX_LENGTH) {
+      return name;
+    }
+
+    const words = name.split(/[\s\-_./:]+/).filter(Boolean);
+    const abbreviated =
+      words.length > 1
+        ? words.map((word) => word[0].toUpperCase()).join('')
+        : name;
+    return abbreviated.slice(0, this.BADGE_MAX_LENGTH);
+  }
+
+  // アカウントIDの前後に挿入する注釈（エイリアスのspan要素）のクラス名
+  static ANNOTATION_CLASS = 'aws-custom-alias';
+
+  // 表示形式でアカウントIDを非表示にする場合に、アカウントIDのテキストノードを囲む要素のクラス名
+  static HIDDEN_ID_CLASS = 'aws-custom-alias-id';
+
+  // 注釈ごとの分割前のテキストノードの情報（注釈の削除時に元のテキストノードへ戻すため）
+  static annotations = new WeakMap();
+
+  // アカウントIDを含むテキストノードと、そのテキストノードに挿入した注釈
+  static annotatedNodes = new WeakMap();
+
+  // エイリアスを適用すべきでない要素のセレクタ（組み込みの除外ルール）
+  // 属性名のワイルドカード（[data-*=...]）はCSSセレクタとして不正なため使用しない
   static EXCLUDE_SELECTORS = [
     // ARNを含む要素
     '[class*="arn"]',
     '[id*="arn"]',
-    '[data-*="arn"]',
     // リソースIDを含む要素
     '[class*="resource-id"]',
     '[class*="resourceId"]',
@@ -54,25 +282,154 @@ class AliasManager {
     '.template-editor',
     '.json-viewer',
     '.yaml-viewer',
+    // 拡張機能自身が挿入する注釈・環境バナー・オーバーレイ
+    '.aws-custom-alias',
+    '#aws-custom-alias-env-banner',
+    '#aws-custom-alias-overlay',
+    '#aws-custom-alias-toast',
+    '#aws-custom-alias-diagnostics',
   ];
 
+  // ユーザー定義の除外ルールの種類
+  // selector: CSSセレクタ（要素自身または祖先が一致する場合に除外）,
+  // text: 正規表現（アカウントIDを含む要素のテキストが一致する場合に除外）
+  static EXCLUDE_RULE_TYPES = {
+    selector: 'CSSセレクタ',
+    text: 'テキストの正規表現',
+  };
+
+  // 組み込みの除外ルールのみをコンパイルした結果（compileExclusions参照）
+  static defaultExclusions = null;
+
   // 注意: TARGET_SELECTORS は使用しません（ブラウザ互換性のため）
-  // 代わりに applyAliasesToPage で全要素をスキャンします
+  // 代わりに applyAliasesToNode でテキストノードを走査します
+
+  /**
+   * セレクタに一致する最も近い祖先要素を、シャドウルートの境界を越えて検索
+   * シャドウルート内の要素ではclosestがホスト側の祖先を検索しないため、ホストをたどって検索する
+   * @param {Element} element - 検索を開始する要素
+   * @param {string} selector - セレクタ
+   * @returns {Element|null} 一致した要素またはnull
+   */
+  static closestComposed(element, selector) {
+    let current = element;
+    while (current) {
+      const found = current.closest(selector);
+      if (found) {
+        return found;
+      }
+
+      const root = current.getRootNode();
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+    return null;
+  }
+
+  /**
+   * 除外ルールを1件検証
+   * CSSセレクタの構文の検証にはDOMが必要なため、documentがない環境（サービスワーカー）では形式のみを検証する
+   * @param {Object} rule - { type: EXCLUDE_RULE_TYPESのキー, pattern: セレクタまたは正規表現 }
+   * @throws {Error} 不正なルールの場合
+   */
+  static validateExcludeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Exclusion rule must be an object');
+    }
+    if (!Object.keys(this.EXCLUDE_RULE_TYPES).includes(rule.type)) {
+      throw new Error(`Unknown exclusion rule type: ${rule.type}`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      throw new Error('Exclusion rule pattern is required');
+    }
+
+    if (rule.type === 'selector' && typeof document !== 'undefined') {
+      try {
+        document.createDocumentFragment().querySelector(rule.pattern);
+      } catch (error) {
+        throw new Error(`Invalid selector: ${rule.pattern}`);
+      }
+    }
+    if (rule.type === 'text') {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${rule.pattern}`);
+      }
+    }
+  }
+
+  /**
+   * 組み込みの除外セレクタとユーザー定義の除外ルールをコンパイル
+   * ルールごとに検証し、不正なルールは除外した上でerrorsに報告する（1件の不正なルールで判定全体が失敗しないようにする）
+   * ユーザー定義のセレクタは結合しない（閉じていない括弧やコメントは単独では有効でも、結合すると後続のセレクタを無効にするため）
+   * @param {Array<Object>} rules - ユーザー定義の除外ルール（validateExcludeRule参照）
+   * @returns {Object} { selector: 組み込みのセレクタを結合したセレクタ, customSelectors: ユーザー定義のセレクタの一覧,
+   *                     selectors: すべてのセレクタの一覧, textPatterns: 正規表現の一覧,
+   *                     errors: 不正なルールの一覧（{ rule, index: rulesの位置（組み込みはnull）, message }） }
+   */
+  static compileExclusions(rules = []) {
+    const builtInSelectors = [];
+    const customSelectors = [];
+    const textPatterns = [];
+    const errors = [];
+
+    const builtIn = this.EXCLUDE_SELECTORS.map((pattern) => ({
+      type: 'selector',
+      pattern,
+    }));
+    [...builtIn, ...rules].forEach((rule, position) => {
+      const index =
+        position < builtIn.length ? null : position - builtIn.length;
+      try {
+        this.validateExcludeRule(rule);
+      } catch (error) {
+        errors.push({ rule, index, message: error.message });
+        return;
+      }
+
+      if (rule.type === 'selector') {
+        (index === null ? builtInSelectors : customSelectors).push(
+          rule.pattern
+        );
+      } else {
+        textPatterns.push(new RegExp(rule.pattern));
+      }
+    });
+
+    return {
+      selector: builtInSelectors.join(','),
+      customSelectors,
+      selectors: [...builtInSelectors, ...customSelectors],
+      textPatterns,
+      errors,
+    };
+  }
+
+  /**
+   * 組み込みの除外ルールのみをコンパイルした結果を取得（初回のみコンパイル）
+   * @returns {Object} compileExclusionsの結果
+   */
+  static getDefaultExclusions() {
+    if (!this.defaultExclusions) {
+      this.defaultExclusions = this.compileExclusions();
+    }
+    return this.defaultExclusions;
+  }
 
   /**
    * 要素がエイリアス適用対象外かどうかを判定
    * @param {Element} element - 判定対象の要素
+   * @param {Object} exclusions - compileExclusionsでコンパイルした除外ルール（省略時は組み込みのルールのみ）
    * @returns {boolean} 適用対象外の場合true
    */
-  static isExcludedElement(element) {
-    // 除外セレクタに一致する場合
-    if (element.matches && element.matches(this.EXCLUDE_SELECTORS.join(','))) {
-      return true;
-    }
-
-    // 親要素が除外対象の場合
-    const excludedParent = element.closest(this.EXCLUDE_SELECTORS.join(','));
-    if (excludedParent) {
+  static isExcludedElement(element, exclusions = this.getDefaultExclusions()) {
+    // 要素自身または親要素（シャドウルートのホストを含む）が除外セレクタに一致する場合
+    if (
+      this.closestComposed(element, exclusions.selector) ||
+      exclusions.customSelectors.some((selector) =>
+        this.closestComposed(element, selector)
+      )
+    ) {
       return true;
     }
 
@@ -82,185 +439,390 @@ class AliasManager {
       return true;
     }
 
+    // ユーザー定義の正規表現に一致するテキストの場合
+    if (exclusions.textPatterns.some((pattern) => pattern.test(text))) {
+      return true;
+    }
+
     return false;
   }
 
   /**
-   * テキスト内のアカウントIDを検出してエイリアス付きテキストに変換
-   * @param {string} text - 元のテキスト
-   * @param {Object} aliasMap - アカウントIDとエイリアスのマッピング（12桁形式をキーとする）
-   * @returns {string} エイリアスが適用されたテキスト
+   * 要素がエイリアス適用対象外となる理由を取得（診断表示用）
+   * isExcludedElementと同じ順序で判定し、一致した除外ルールを特定する
+   * @param {Element} element - 判定対象の要素
+   * @param {Object} exclusions - compileExclusionsでコンパイルした除外ルール（省略時は組み込みのルールのみ）
+   * @returns {string|null} 除外の理由（適用対象の場合null）
+   */
+  static getExclusionReason(element, exclusions = this.getDefaultExclusions()) {
+    const selector = exclusions.selectors.find((candidate) =>
+      this.closestComposed(element, candidate)
+    );
+    if (selector) {
+      return `セレクタ ${selector} に一致`;
+    }
+
+    const text = element.textContent || '';
+    if (text.includes('arn:aws:') || text.includes('arn:aws-cn:')) {
+      return 'ARNを含むテキスト';
+    }
+
+    const pattern = exclusions.textPatterns.find((candidate) =>
+      candidate.test(text)
+    );
+    return pattern ? `正規表現 ${pattern} に一致` : null;
+  }
+
+  /**
+   * テキストにアカウントIDが含まれるかどうかを判定
+   * ACCOUNT_ID_PATTERNのtestは前回の検索位置（lastIndex）の影響を受けるため、常に先頭から検索するsearchを使用する
+   * @param {string} text - 判定対象のテキスト
+   * @returns {boolean} アカウントIDを含む場合true
+   */
+  static containsAccountId(text) {
+    return String(text).search(this.ACCOUNT_ID_PATTERN) !== -1;
+  }
+
+  /**
+   * アカウントIDの前後に挿入する注釈（エイリアスのspan要素）かどうかを判定
+   * @param {Node} node - 判定対象のノード
+   * @returns {boolean} 注釈の場合true
+   */
+  static isAliasAnnotation(node) {
+    return (
+      !!node &&
+      node.nodeType === Node.ELEMENT_NODE &&
+      node.classList.contains(this.ANNOTATION_CLASS)
+    );
+  }
+
+  /**
+   * 表示形式の設定から、注釈の挿入位置・テンプレートなどを解決
+   * @param {Object} display - { format: DISPLAY_FORMATSのキー, template: カスタムのテンプレート }
+   * @returns {Object} 表示形式（DISPLAY_FORMATS参照。templateは解決済み）
+   */
+  static resolveDisplayFormat(display) {
+    const { format, template } = display || {};
+    const resolved = Object.keys(this.DISPLAY_FORMATS).includes(format)
+      ? this.DISPLAY_FORMATS[format]
+      : this.DISPLAY_FORMATS[this.DEFAULT_DISPLAY.format];
+    return {
+      ...resolved,
+      template: resolved.template || template || this.DEFAULT_DISPLAY.template,
+    };
+  }
+
+  /**
+   * テンプレートから注釈に表示するテキストを作成
+   * 前後の空白もアカウントIDとの区切りとして使用するため、空白は詰めない
+   * @param {string} template - 注釈のテンプレート
+   * @param {Object} values - プレースホルダーの値（DISPLAY_PLACEHOLDERS参照）
+   * @returns {string} 注釈に表示するテキスト
    */
-  static applyAliasesToText(text, aliasMap) {
-    // 既にエイリアスが適用されているかチェック
-    if (text.includes('(') && text.includes(')')) {
-      // エイリアスが既に含まれている可能性が高い場合は処理をスキップ
-      const hasAlreadyProcessed = Object.values(aliasMap).some((alias) =>
-        text.includes(`(${alias})`)
+  static formatDisplayLabel(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+      this.DISPLAY_PLACEHOLDERS.includes(name)
+        ? values[name] || ''
+        : placeholder
+    );
+  }
+
+  /**
+   * テキストノードのアカウントIDの前後にエイリアスの注釈を挿入
+   * テキストノードはアカウントIDの前後で分割し、注釈は独立したspan要素として挿入する
+   * 注釈のテキストはCSSの疑似要素（data-alias-label属性）で表示するため、コピーしたテキストにはページのアカウントIDのみが含まれる
+   * アカウントIDを非表示にする表示形式では、アカウントIDのテキストノードを非表示の要素で囲む（テキストは削除しない）
+   * @param {Text} textNode - 対象のテキストノード
+   * @param {Object} aliasMap - アカウントIDとエイリアスレコードのマッピング（12桁形式をキーとする）
+   * @param {Object} display - 表示形式の設定（resolveDisplayFormat参照）
+   * @returns {number} 挿入した注釈の数
+   */
+  static annotateTextNode(textNode, aliasMap, display = this.DEFAULT_DISPLAY) {
+    const format = this.resolveDisplayFormat(display);
+    let current = textNode;
+    let count = 0;
+
+    while (current) {
+      const text = current.nodeValue;
+      // ACCOUNT_ID_PATTERNはgフラグ付きでlastIndexを持つため、新しいインスタンスで検索する
+      const pattern = new RegExp(this.ACCOUNT_ID_PATTERN.source, 'g');
+      const match = Array.from(text.matchAll(pattern)).find((candidate) =>
+        this.getAliasName(aliasMap[this.normalizeAccountId(candidate[1])])
       );
-      if (hasAlreadyProcessed) {
-        return text; // 既に処理済みなのでそのまま返す
+      if (!match) {
+        break;
       }
-    }
 
-    return text.replace(this.ACCOUNT_ID_PATTERN, (match, accountId) => {
-      // アカウントIDを12桁形式に正規化してエイリアスを検索
-      const normalizedId = this.normalizeAccountId(accountId);
-      const alias = aliasMap[normalizedId];
+      // 12桁形式とハイフン区切り形式の両方に対応（元の表示形式を保持する）
+      const accountId = match[1];
+      const entry = aliasMap[this.normalizeAccountId(accountId)];
+      const start = match.index;
+      const end = start + accountId.length;
+
+      // アカウントIDの前後で分割（先頭・末尾の場合は分割しない）。分割したノードは削除時に結合する
+      // 注釈をアカウントIDの後ろに挿入し、アカウントIDを表示したままの場合は直前で分割する必要はない
+      const splitsBefore =
+        start > 0 && (format.position === 'before' || format.hideId);
+      const idNode = splitsBefore ? current.splitText(start) : current;
+      const tail =
+        end < text.length
+          ? idNode.splitText(splitsBefore ? accountId.length : end)
+          : null;
 
-      if (alias) {
-        // 元の表示形式を保持してエイリアスを追加
-        return `${accountId} (${alias})`;
+      let wrapper = null;
+      if (format.hideId) {
+        wrapper = document.createElement('span');
+        wrapper.className = this.HIDDEN_ID_CLASS;
+        idNode.parentNode.insertBefore(wrapper, idNode);
+        wrapper.appendChild(idNode);
       }
-      return match;
-    });
+
+      const annotation = this.createAnnotation(accountId, entry, format);
+      const anchor = wrapper || idNode;
+      anchor.parentNode.insertBefore(
+        annotation,
+        format.position === 'before' ? anchor : anchor.nextSibling
+      );
+
+      const pieces = [current, idNode, tail].filter(
+        (piece, index, all) => piece && all.indexOf(piece) === index
+      );
+      this.annotations.set(annotation, {
+        pieces,
+        texts: pieces.map((piece) => piece.nodeValue),
+        idNode,
+        wrapper,
+      });
+      this.annotatedNodes.set(idNode, annotation);
+
+      count++;
+      current = tail;
+    }
+
+    return count;
   }
 
   /**
-   * DOM要素にエイリアスを適用
-   * @param {Element} element - 対象要素
-   * @param {Object} aliasMap - アカウントIDとエイリアスのマッピング
+   * エイリアスの注釈（span要素）を作成
+   * エイリアス名はHTMLとして解釈させないよう、属性値として設定してCSSで表示する
+   * @param {string} accountId - ページに表示されているアカウントID
+   * @param {string|Object} entry - エイリアス名またはエイリアスレコード
+   * @param {Object} format - 解決済みの表示形式（resolveDisplayFormat参照）
+   * @returns {Element} 注釈のspan要素
    */
-  static applyAliasToElement(element, aliasMap) {
-    // 除外対象の場合は何もしない
-    if (this.isExcludedElement(element)) {
-      return;
-    }
+  static createAnnotation(accountId, entry, format) {
+    const normalized = this.normalizeAccountId(accountId);
+    const formattedId = this.formatAccountId(normalized);
 
-    // 既に処理済みの場合はスキップ
-    if (element.dataset.aliasApplied === 'true') {
-      return;
+    const annotation = document.createElement('span');
+    annotation.className = this.ANNOTATION_CLASS;
+    annotation.dataset.aliasLabel = this.formatDisplayLabel(format.template, {
+      id: normalized,
+      formattedId,
+      alias: this.getAliasName(entry),
+    });
+
+    // アカウントIDを非表示にする場合は、ホバーでアカウントIDを表示する
+    if (format.hideId) {
+      annotation.title = formattedId;
     }
 
-    // エイリアススパンが既に存在する場合もスキップ
-    if (element.querySelector('.aws-custom-alias')) {
-      element.dataset.aliasApplied = 'true';
-      return;
+    if (format.badge) {
+      annotation.classList.add(`${this.ANNOTATION_CLASS}-badge`);
+      const color = this.getEntryColor(entry);
+      if (color) {
+        annotation.style.setProperty('--aws-custom-alias-badge-color', color);
+      }
     }
+    return annotation;
+  }
 
-    // テキストノードを直接含む要素の処理
-    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
-      acceptNode: (node) => {
-        // 空白のみのテキストノードは除外
-        if (!node.nodeValue.trim()) {
-          return NodeFilter.FILTER_REJECT;
-        }
+  /**
+   * エイリアスの注釈を削除して元のテキストノードに戻す
+   * アカウントIDを囲んだ要素を外し、分割したテキストノードがページ側で変更されていない場合は元のノードに結合する
+   * @param {Element} annotation - annotateTextNodeで挿入したspan要素
+   */
+  static removeAliasAnnotation(annotation) {
+    const record = this.annotations.get(annotation);
+    this.annotations.delete(annotation);
+    annotation.remove();
 
-        // 親要素が除外対象の場合は除外
-        if (this.isExcludedElement(node.parentElement)) {
-          return NodeFilter.FILTER_REJECT;
-        }
+    if (!record) {
+      return;
+    }
 
-        // アカウントIDを含む場合のみ処理
-        if (this.ACCOUNT_ID_PATTERN.test(node.nodeValue)) {
-          return NodeFilter.FILTER_ACCEPT;
-        }
+    const { pieces, texts, idNode, wrapper } = record;
+    if (this.annotatedNodes.get(idNode) === annotation) {
+      this.annotatedNodes.delete(idNode);
+    }
+    if (wrapper) {
+      wrapper.replaceWith(...wrapper.childNodes);
+    }
 
-        return NodeFilter.FILTER_REJECT;
-      },
-    });
+    const unchanged = pieces.every(
+      (piece, index) =>
+        piece.nodeValue === texts[index] &&
+        (index === 0 || pieces[index - 1].nextSibling === piece)
+    );
+    if (pieces.length > 1 && unchanged) {
+      pieces[0].nodeValue = texts.join('');
+      pieces.slice(1).forEach((piece) => piece.remove());
+    }
+  }
 
-    const textNodes = [];
-    let node;
-    while ((node = walker.nextNode())) {
-      textNodes.push(node);
-    }
-
-    // テキストノードの更新
-    textNodes.forEach((textNode) => {
-      const originalText = textNode.nodeValue;
-      const newText = this.applyAliasesToText(originalText, aliasMap);
-
-      if (originalText !== newText) {
-        // エイリアス部分をspan要素で囲むための処理
-        // 12桁形式とハイフン区切り形式の両方に対応
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = newText.replace(
-          /(\d{4}-\d{4}-\d{4}|\d{12}) \(([^)]+)\)/g,
-          '$1 <span class="aws-custom-alias">($2)</span>'
-        );
+  /**
+   * テキストノードに注釈を挿入したことがあるかどうかを判定（DOM変更の監視用）
+   * @param {Text} textNode - 判定対象のテキストノード
+   * @returns {boolean} 注釈を挿入したことがある場合true
+   */
+  static hasAnnotation(textNode) {
+    return this.annotatedNodes.has(textNode);
+  }
 
-        // テキストノードを新しいノードで置換
-        const fragment = document.createDocumentFragment();
-        while (tempDiv.firstChild) {
-          fragment.appendChild(tempDiv.firstChild);
-        }
-        textNode.parentNode.replaceChild(fragment, textNode);
-      }
-    });
+  /**
+   * テキストノードに有効な注釈があるかどうかを判定
+   * 注釈の挿入後にページ側でテキストが書き換えられた場合や、注釈が削除された場合は無効とする
+   * @param {Text} textNode - 判定対象のテキストノード
+   * @returns {boolean} 有効な注釈がある場合true
+   */
+  static isAnnotated(textNode) {
+    const annotation = this.annotatedNodes.get(textNode);
+    const record = annotation && this.annotations.get(annotation);
+    return (
+      !!record &&
+      annotation.isConnected &&
+      record.texts[record.pieces.indexOf(textNode)] === textNode.nodeValue
+    );
+  }
 
-    // 処理済みマークを付与
-    element.dataset.aliasApplied = 'true';
+  /**
+   * ページ側でテキストが書き換えられ、内容と合わなくなった注釈を削除
+   * @param {Text} textNode - 対象のテキストノード
+   */
+  static removeStaleAnnotation(textNode) {
+    const annotation = this.annotatedNodes.get(textNode);
+    if (annotation && !this.isAnnotated(textNode)) {
+      this.removeAliasAnnotation(annotation);
+    }
   }
 
   /**
-   * ページ全体にエイリアスを適用
+   * ノード配下のテキストノードにエイリアスの注釈を挿入
+   * MutationObserverで検出したノードごとに呼び出し、ページ全体の走査は初回とエイリアス変更時のみ行う
+   * openなシャドウルートがある場合はその中も走査する
+   * @param {Node} root - 対象のノード（要素・シャドウルートまたはテキストノード）
    * @param {Object} aliasMap - アカウントIDとエイリアスのマッピング
+   * @param {Object} options - { isInScope: 親要素を受け取り、適用対象の場合trueを返す関数（省略時はすべて対象）,
+   *                            onShadowRoot: 走査したシャドウルートを受け取る関数（変更の監視用）,
+   *                            display: 表示形式の設定（resolveDisplayFormat参照）,
+   *                            exclusions: compileExclusionsでコンパイルした除外ルール（省略時は組み込みのルールのみ） }
+   * @returns {number} 挿入した注釈の数
    */
-  static applyAliasesToPage(aliasMap) {
-    try {
-      // 安全なquerySelectorAll（セレクタエラーを避けるため）
-      const allElements = document.querySelectorAll('*');
-      let processedCount = 0;
-
-      allElements.forEach((element) => {
-        try {
-          // 既に処理済みでない場合のみ処理
-          if (element.dataset.aliasApplied !== 'true') {
-            const text = element.textContent || '';
-
-            // アカウントIDパターンを含む要素のみ処理
-            if (this.ACCOUNT_ID_PATTERN.test(text)) {
-              this.applyAliasToElement(element, aliasMap);
-              processedCount++;
-            }
-          }
-        } catch (error) {
-          console.error('❌ Error processing element:', error, element);
-        }
-      });
+  static applyAliasesToNode(
+    root,
+    aliasMap,
+    {
+      isInScope = () => true,
+      onShadowRoot = () => {},
+      display = this.DEFAULT_DISPLAY,
+      exclusions = this.getDefaultExclusions(),
+    } = {}
+  ) {
+    const shouldAnnotate = (textNode) => {
+      // 空白のみ・アカウントIDを含まないテキストノードは除外（安価な判定を先に行う）
+      if (
+        textNode.nodeValue.trim() === '' ||
+        !this.containsAccountId(textNode.nodeValue) ||
+        // 有効な注釈がある場合は処理済み
+        this.isAnnotated(textNode)
+      ) {
+        return false;
+      }
+
+      // 親要素が除外対象（注釈自身を含む）・適用範囲外の場合は除外
+      // シャドウルート直下のテキストはホスト要素で判定する
+      const parent =
+        textNode.parentElement ||
+        (textNode.parentNode instanceof ShadowRoot
+          ? textNode.parentNode.host
+          : null);
+      return (
+        !!parent &&
+        !this.isExcludedElement(parent, exclusions) &&
+        isInScope(parent)
+      );
+    };
+
+    const textNodes = [];
+    const shadowRoots = [];
+    if (root.nodeType === Node.TEXT_NODE) {
+      this.removeStaleAnnotation(root);
+      if (shouldAnnotate(root)) {
+        textNodes.push(root);
+      }
+    } else {
+      if (root.shadowRoot) {
+        shadowRoots.push(root.shadowRoot);
+      }
 
-      // ページタイトルも更新
-      if (document.title) {
-        const newTitle = this.applyAliasesToText(document.title, aliasMap);
-        if (document.title !== newTitle) {
-          document.title = newTitle;
+      // TreeWalkerはシャドウルートの中に入らないため、ホスト要素を集めて個別に走査する
+      const walker = document.createTreeWalker(
+        root,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+        {
+          acceptNode: (node) => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+              if (node.shadowRoot) {
+                shadowRoots.push(node.shadowRoot);
+              }
+              return NodeFilter.FILTER_SKIP;
+            }
+            return shouldAnnotate(node)
+              ? NodeFilter.FILTER_ACCEPT
+              : NodeFilter.FILTER_REJECT;
+          },
         }
+      );
+      let node;
+      while ((node = walker.nextNode())) {
+        textNodes.push(node);
       }
-    } catch (error) {
-      console.error('❌ Critical error in applyAliasesToPage:', error);
     }
+
+    // テキストノードに注釈を挿入
+    let count = textNodes.reduce(
+      (sum, textNode) =>
+        sum + this.annotateTextNode(textNode, aliasMap, display),
+      0
+    );
+
+    // シャドウルートの中を走査
+    shadowRoots.forEach((shadowRoot) => {
+      onShadowRoot(shadowRoot);
+      count += this.applyAliasesToNode(shadowRoot, aliasMap, {
+        isInScope,
+        onShadowRoot,
+        display,
+        exclusions,
+      });
+    });
+    return count;
   }
 
   /**
    * 特定の要素配下のエイリアスをクリア
-   * @param {Element} element - 対象要素
+   * シャドウルートの中の注釈は、シャドウルートを指定して個別にクリアする
+   * @param {Element|ShadowRoot} element - 対象要素またはシャドウルート
    */
   static clearAliasesFromElement(element) {
-    // エイリアススパンを削除
-    const aliasSpans = element.querySelectorAll('.aws-custom-alias');
-    aliasSpans.forEach((span) => {
-      // spanの親ノードからspan内容を削除し、アカウントIDのみ残す
-      const parent = span.parentNode;
-      if (parent) {
-        // spanの直前のテキストノードを探してアカウントIDの後ろの空白とspanを削除
-        let prevNode = span.previousSibling;
-        if (prevNode && prevNode.nodeType === Node.TEXT_NODE) {
-          const text = prevNode.textContent;
-          // " (エイリアス)" パターンを削除
-          prevNode.textContent = text.replace(/ \([^)]+\)$/, '');
-        }
-        span.remove();
-      }
-    });
-
-    // 処理済みマークを削除
-    const processedElements = element.querySelectorAll(
-      '[data-alias-applied="true"]'
-    );
-    processedElements.forEach((el) => {
-      delete el.dataset.aliasApplied;
-    });
+    // 注釈を削除し、分割したテキストノードを元に戻す
+    // 同じテキストノードを複数回分割している場合に備え、後ろの注釈から順に戻す
+    const annotations = element.querySelectorAll(`.${this.ANNOTATION_CLASS}`);
+    Array.from(annotations)
+      .reverse()
+      .forEach((annotation) => {
+        this.removeAliasAnnotation(annotation);
+      });
   }
 
   /**
@@ -283,6 +845,186 @@ class AliasManager {
     // ただし、これは通常URLには含まれないため、基本的にnullを返す
     return null;
   }
+
+  /**
+   * URLからリージョンを抽出
+   * クエリのregionパラメータを優先し、ない場合はホスト名のリージョン部分を使用する
+   * @param {string} url - URL文字列
+   * @returns {string|null} リージョン（例: us-east-1）またはnull
+   */
+  static extractRegionFromUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const queryRegion = parsed.searchParams.get('region');
+    if (queryRegion && this.REGION_PATTERN.test(queryRegion)) {
+      return queryRegion;
+    }
+
+    // https://<アカウントID>-xxxxxxx.<リージョン>.console.aws.amazon.com/ または
+    // https://<リージョン>.console.aws.amazon.com/
+    const hostRegion = parsed.hostname
+      .split('.')
+      .find((label) => this.REGION_PATTERN.test(label));
+    return hostRegion || null;
+  }
+
+  /**
+   * テンプレートに含まれる未対応のプレースホルダーを取得
+   * @param {string} template - タブタイトルのテンプレート
+   * @returns {Array<string>} 未対応のプレースホルダー（例: ['{foo}']）
+   */
+  static findUnknownTitlePlaceholders(template) {
+    return this.findUnknownPlaceholders(template, this.TITLE_PLACEHOLDERS);
+  }
+
+  /**
+   * 注釈のテンプレートに含まれる未対応のプレースホルダーを取得
+   * @param {string} template - 注釈のテンプレート
+   * @returns {Array<string>} 未対応のプレースホルダー（例: ['{foo}']）
+   */
+  static findUnknownDisplayPlaceholders(template) {
+    return this.findUnknownPlaceholders(template, this.DISPLAY_PLACEHOLDERS);
+  }
+
+  /**
+   * テンプレートに含まれる、使用できるプレースホルダー以外のプレースホルダーを取得
+   * @param {string} template - テンプレート
+   * @param {Array<string>} names - 使用できるプレースホルダー名
+   * @returns {Array<string>} 未対応のプレースホルダー（例: ['{foo}']）
+   */
+  static findUnknownPlaceholders(template, names) {
+    const placeholders = String(template).match(/\{[^{}]*\}/g) || [];
+    return placeholders.filter(
+      (placeholder) => !names.includes(placeholder.slice(1, -1))
+    );
+  }
+
+  /**
+   * タブタイトルをdocument.titleの取得値と同じ形式に正規化
+   * document.titleはASCIIの空白（タブ・改行を含む）の連続を1つの空白に詰めて返すため、
+   * 設定した値と取得した値を比較する前に同じ正規化を行う（NBSPなどはdocument.titleと同様にそのまま残す）
+   * @param {string} title - タブタイトル
+   * @returns {string} 正規化したタブタイトル
+   */
+  static normalizeTitle(title) {
+    return String(title)
+      .replace(/[\t\n\f\r ]+/g, ' ')
+      .replace(/^ | $/g, '');
+  }
+
+  /**
+   * テンプレートからタブタイトルを作成
+   * 値が空のプレースホルダーによる余分な空白や、エイリアス名に含まれる改行・タブは1つの空白に詰める
+   * @param {string} template - タブタイトルのテンプレート
+   * @param {Object} values - プレースホルダーの値（TITLE_PLACEHOLDERS参照）
+   * @returns {string} タブタイトル（normalizeTitleで正規化済み）
+   */
+  static formatTitle(template, values) {
+    return this.normalizeTitle(
+      String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+        this.TITLE_PLACEHOLDERS.includes(name)
+          ? values[name] || ''
+          : placeholder
+      )
+    );
+  }
+
+  /**
+   * URLが適用範囲のルールに一致するかどうかを判定
+   * @param {Object} rule - { type: SCOPE_RULE_TYPESのキー, pattern: パターン, mode: SCOPE_MODESのキー }
+   * @param {URL|Location} location - 判定対象のURL
+   * @returns {boolean} 一致する場合true
+   * @throws {Error} 正規表現が不正な場合
+   */
+  static matchesScopeRule(rule, location) {
+    const { type, pattern } = rule;
+
+    if (type === 'path') {
+      const prefix = pattern.endsWith('/') ? pattern : `${pattern}/`;
+      return (
+        location.pathname === pattern || location.pathname.startsWith(prefix)
+      );
+    }
+
+    if (type === 'host') {
+      const hostname = location.hostname.toLowerCase();
+      const host = pattern.toLowerCase();
+      if (host.includes('*')) {
+        const source = host
+          .split('*')
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('.*');
+        return new RegExp(`^${source}$`).test(hostname);
+      }
+      return hostname === host || hostname.endsWith(`.${host}`);
+    }
+
+    if (type === 'regex') {
+      return new RegExp(pattern).test(location.href);
+    }
+
+    return false;
+  }
+
+  /**
+   * URLに対するエイリアスの適用範囲を取得
+   * ルールは先頭から順に評価し、最初に一致したルールの適用範囲を使用する
+   * @param {Array<Object>} rules - 適用範囲のルール（matchesScopeRule参照）
+   * @param {URL|Location} location - 判定対象のURL
+   * @returns {string} 適用範囲（SCOPE_MODESのキー）
+   */
+  static resolveScopeMode(rules, location) {
+    const matched = (rules || []).find((rule) => {
+      try {
+        return this.matchesScopeRule(rule, location);
+      } catch (error) {
+        console.warn('Invalid scope rule:', rule, error);
+        return false;
+      }
+    });
+    return matched ? matched.mode : this.DEFAULT_SCOPE_MODE;
+  }
+
+  /**
+   * 選択テキストなどの短いテキストからアカウントIDを1件抽出
+   * 複数のアカウントIDを含む場合や長いテキストの場合は対象外とする
+   * @param {string} text - テキスト
+   * @returns {string|null} 12桁のアカウントIDまたはnull
+   */
+  static extractAccountIdFromText(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed || trimmed.length > this.MAX_SELECTION_LENGTH) {
+      return null;
+    }
+
+    const matches = trimmed.match(this.ACCOUNT_ID_PATTERN) || [];
+    return matches.length === 1 ? this.normalizeAccountId(matches[0]) : null;
+  }
+
+  /**
+   * ナビゲーションのアカウントメニューからアカウントIDを抽出
+   * マルチセッション無効時のコンソールではURLにアカウントIDが含まれないため使用する
+   * @param {Document|Element} root - 検索対象のルート要素
+   * @returns {string|null} 12桁のアカウントIDまたはnull
+   */
+  static extractAccountIdFromNavigation(root = document) {
+    for (const selector of this.NAV_ACCOUNT_SELECTORS) {
+      for (const element of root.querySelectorAll(selector)) {
+        const match = (element.textContent || '').match(
+          /\b(\d{4}-\d{4}-\d{4}|\d{12})\b/
+        );
+        if (match) {
+          return this.normalizeAccountId(match[1]);
+        }
+      }
+    }
+    return null;
+  }
 }
 
 // グローバルスコープに公開（content scriptから使用するため）
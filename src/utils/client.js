@@ -0,0 +1,237 @@
+/**
+ * エイリアスデータアクセスクライアント
+ * ポップアップ・コンテンツスクリプトからのエイリアスの読み書きは
+ * すべてバックグラウンドのメッセージAPI経由で行う
+ */
+
+class AliasClient {
+  // 表示設定のストレージキー
+  static SETTINGS_STORAGE_KEY = 'aws_alias_settings';
+
+  /**
+   * バックグラウンドにメッセージを送信してレスポンスデータを取得
+   * @param {string} action - アクション名
+   * @param {Object} payload - アクションの引数
+   * @returns {Promise<*>} レスポンスのdata
+   */
+  static async send(action, payload = {}) {
+    const response = await chrome.runtime.sendMessage({ action, ...payload });
+
+    if (!response) {
+      throw new Error('No response from background');
+    }
+    if (!response.success) {
+      throw new Error(response.error || `Failed to ${action}`);
+    }
+    return response.data;
+  }
+
+  /**
+   * 有効なすべてのエイリアスを取得（管理者ポリシー・共有ソース・個人のエイリアスを統合済み）
+   * @returns {Promise<Object>} アカウントIDをキー、レイヤー情報付きエイリアスレコードを値とするオブジェクト
+   */
+  static async getAliases() {
+    return this.send('getAliases');
+  }
+
+  /**
+   * エイリアスを保存
+   * @param {string} accountId - AWSアカウントID（12桁）
+   * @param {string|Object} alias - エイリアス名またはエイリアスレコード
+   * @returns {Promise<Object>} 保存されたエイリアスレコード
+   */
+  static async setAlias(accountId, alias) {
+    const data = await this.send('setAlias', { accountId, alias });
+    return data.alias;
+  }
+
+  /**
+   * エイリアスを削除
+   * @param {string} accountId - AWSアカウントID（12桁）
+   * @returns {Promise<void>}
+   */
+  static async removeAlias(accountId) {
+    await this.send('removeAlias', { accountId });
+  }
+
+  /**
+   * すべてのエイリアスを削除
+   * @returns {Promise<void>}
+   */
+  static async clearAllAliases() {
+    await this.send('clearAllAliases');
+  }
+
+  /**
+   * エイリアスデータをエクスポート
+   * @param {string} format - 'json'、'csv' または 'tsv'
+   * @returns {Promise<string>} エクスポートデータ
+   */
+  static async exportAliases(format) {
+    return this.send('exportAliases', { format });
+  }
+
+  /**
+   * インポートの差分をプレビュー（保存は行わない）
+   * @param {string} data - インポートするファイルの内容
+   * @param {string} mode - インポートモード
+   * @param {string} format - インポート形式（AliasFormats.IMPORT_FORMATS参照）
+   * @returns {Promise<Object>} 差分（added, changed, removed, kept, unchanged）と行ごとのエラー（errors）
+   */
+  static async previewImport(data, mode, format) {
+    return this.send('previewImport', { data, mode, format });
+  }
+
+  /**
+   * エイリアスデータをインポート
+   * @param {string} data - インポートするファイルの内容
+   * @param {string} mode - インポートモード
+   * @param {string} format - インポート形式（AliasFormats.IMPORT_FORMATS参照）
+   * @returns {Promise<Object>} { aliases: 保存後のマップ, diff: 適用した差分, errors: スキップした行 }
+   */
+  static async importAliases(data, mode, format) {
+    return this.send('importAliases', { data, mode, format });
+  }
+
+  /**
+   * 共有ソース一覧を取得状況付きで取得
+   * @returns {Promise<Array<Object>>} ソース一覧
+   */
+  static async getSources() {
+    return this.send('getSources');
+  }
+
+  /**
+   * 共有ソースを追加（追加時に即時取得する）
+   * @param {string} name - 表示名
+   * @param {string} url - エイリアスJSONファイルのURL
+   * @returns {Promise<Object>} 追加されたソース
+   */
+  static async addSource(name, url) {
+    return this.send('addSource', { name, url });
+  }
+
+  /**
+   * 共有ソースを削除
+   * @param {string} sourceId - ソースID
+   * @returns {Promise<void>}
+   */
+  static async removeSource(sourceId) {
+    await this.send('removeSource', { sourceId });
+  }
+
+  /**
+   * すべての共有ソースを再取得
+   * @returns {Promise<Array<Object>>} 更新後のソース一覧
+   */
+  static async refreshSources() {
+    return this.send('refreshSources');
+  }
+
+  /**
+   * アカウントごとの最終利用日時を取得
+   * @returns {Promise<Object>} アカウントIDをキー、最終利用日時を値とするオブジェクト
+   */
+  static async getUsage() {
+    return this.send('getUsage');
+  }
+
+  /**
+   * 現在表示しているアカウントの利用を記録
+   * @param {string} accountId - AWSアカウントID（12桁）
+   * @returns {Promise<void>}
+   */
+  static async recordUsage(accountId) {
+    await this.send('recordUsage', { accountId });
+  }
+
+  /**
+   * 端末間同期の状況を取得
+   * @returns {Promise<Object>} { enabled, lastSyncedAt, error, bytesInUse, quotaBytes }
+   */
+  static async getSyncStatus() {
+    return this.send('getSyncStatus');
+  }
+
+  /**
+   * 端末間同期の有効・無効を切り替え
+   * @param {boolean} enabled - 有効にする場合true
+   * @returns {Promise<Object>} 更新後の同期状況
+   */
+  static async setSyncEnabled(enabled) {
+    return this.send('setSyncEnabled', { enabled });
+  }
+
+  /**
+   * 表示設定を取得
+   * @returns {Promise<Object>} 表示設定（SettingsManager.DEFAULTS参照）
+   */
+  static async getSettings() {
+    return this.send('getSettings');
+  }
+
+  /**
+   * 表示設定を更新
+   * @param {Object} settings - 更新するフィールド
+   * @returns {Promise<Object>} 更新後の表示設定
+   */
+  static async updateSettings(settings) {
+    return this.send('updateSettings', { settings });
+  }
+
+  /**
+   * 選択中のテキストのアカウントIDを通知（コンテキストメニューの表示切り替え）
+   * @param {string|null} accountId - 選択されたアカウントID（選択がない場合はnull）
+   * @returns {Promise<void>}
+   */
+  static async notifySelection(accountId) {
+    await this.send('selectionChanged', { accountId });
+  }
+
+  /**
+   * アクティブなタブで表示しているAWSアカウントを取得
+   * コンテンツスクリプトに問い合わせ、応答がない場合はタブのURLから判定する
+   * @returns {Promise<Object|null>} { accountId, source: 'url'|'navigation' } またはnull
+   */
+  static async getActiveTabAccount() {
+    const tab = await TabClient.getActiveTab();
+    if (!tab) {
+      return null;
+    }
+
+    try {
+      const account = await TabClient.send(tab.id, 'getCurrentAccount');
+      if (account) {
+        return account;
+      }
+    } catch (error) {
+      // AWSコンソール以外のタブなど、コンテンツスクリプトが読み込まれていない場合
+    }
+
+    const accountId = tab.url
+      ? AliasManager.extractAccountIdFromUrl(tab.url)
+      : null;
+    return accountId ? { accountId, source: 'url' } : null;
+  }
+
+  /**
+   * 表示設定の変更を監視
+   * @param {Function} callback - 変更時に最新の表示設定を引数に呼ばれるコールバック関数
+   */
+  static watchSettings(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.SETTINGS_STORAGE_KEY]) {
+        this.getSettings()
+          .then(callback)
+          .catch((error) => {
+            console.error('Failed to reload settings:', error);
+          });
+      }
+    });
+  }
+}
+
+// グローバルスコープに公開（content scriptから使用するため）
+if (typeof window !== 'undefined') {
+  window.AliasClient = AliasClient;
+}
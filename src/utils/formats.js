@@ -0,0 +1,468 @@
+/**
+ * インポート/エクスポート形式ユーティリティ
+ * CSV/TSV形式、AWS CLI設定ファイル、AWS Organizationsのアカウント一覧と
+ * エイリアスマップの相互変換を管理
+ */
+
+class AliasFormats {
+  // インポート可能な形式（JSONはStorageManagerが直接解析する）
+  static IMPORT_FORMATS = ['json', 'csv', 'tsv', 'aws-config', 'organizations'];
+
+  // 区切り文字形式の定義
+  static DELIMITERS = {
+    csv: ',',
+    tsv: '\t',
+  };
+
+  // エクスポート時の列（先頭2列は必須、残りはメタデータ）
+  static COLUMNS = [
+    'account_id',
+    'alias',
+    'environment',
+    'color',
+    'owner',
+    'tags',
+    'description',
+  ];
+
+  // 表計算ソフトが数式として解釈するセルの先頭文字（エクスポート時に'を付けて無効化する）
+  static FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+  // ヘッダーの表記ゆれを列名に対応付ける
+  static HEADER_ALIASES = {
+    accountid: 'account_id',
+    account: 'account_id',
+    account_number: 'account_id',
+    id: 'account_id',
+    name: 'alias',
+    alias_name: 'alias',
+    env: 'environment',
+    tier: 'environment',
+    notes: 'description',
+  };
+
+  /**
+   * 区切り文字形式のテキストを行・列の配列に分解
+   * ダブルクォートで囲まれた区切り文字・改行・エスケープ（""）に対応
+   * @param {string} text - CSV/TSVテキスト
+   * @param {string} delimiter - 区切り文字
+   * @returns {Array<{line: number, cells: Array<string>}>} 行番号付きのセル配列
+   */
+  static splitRows(text, delimiter) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // 先頭のBOMを除去（Excelで保存したファイル対策）
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') {
+          i++;
+        }
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+        cells = [];
+        cell = '';
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || cells.length > 0) {
+      cells.push(cell);
+      rows.push({ line: rowLine, cells });
+    }
+
+    // 空行は除外
+    return rows.filter((row) => row.cells.some((value) => value.trim()));
+  }
+
+  /**
+   * エクスポート時に数式の無効化のため付けた先頭の'を除去
+   * 'の次がFORMULA_PREFIXESの文字の場合のみ除去し、'で始まる通常の値はそのまま残す
+   * @param {string} cell - セルの値
+   * @returns {string} 元の値
+   */
+  static unescapeCell(cell) {
+    return cell.startsWith("'") &&
+      this.FORMULA_PREFIXES.includes(cell.charAt(1))
+      ? cell.slice(1)
+      : cell;
+  }
+
+  /**
+   * ヘッダーのセルを列名に正規化
+   * @param {string} header - ヘッダーのセル
+   * @returns {string} 列名
+   */
+  static normalizeHeader(header) {
+    const key = header
+      .trim()
+      .toLowerCase()
+      .replace(/[\s-]+/g, '_');
+    return this.HEADER_ALIASES[key] || key;
+  }
+
+  /**
+   * ファイル名と内容からインポート形式を判定
+   * @param {string} fileName - ファイル名
+   * @param {string} text - ファイルの内容
+   * @returns {string} IMPORT_FORMATSのいずれか
+   */
+  static detectFormat(fileName, text) {
+    const extension = fileName.includes('.')
+      ? fileName.split('.').pop().toLowerCase()
+      : '';
+    if (extension === 'csv' || extension === 'tsv') {
+      return extension;
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[{')) {
+      try {
+        const data = JSON.parse(trimmed);
+        // `aws organizations list-accounts` の出力（または --query Accounts の配列）
+        if (Array.isArray(data) || Array.isArray(data.Accounts)) {
+          return 'organizations';
+        }
+        return 'json';
+      } catch (error) {
+        // JSONとして不正な場合は以降の判定に進む
+      }
+    }
+
+    // ~/.aws/config 形式（[profile xxx] または [default] セクション）
+    if (/^\s*\[(profile\s+[^\]]+|default)\]\s*$/m.test(trimmed)) {
+      return 'aws-config';
+    }
+
+    if (extension === 'json') {
+      return 'json';
+    }
+
+    const firstLine = trimmed.split(/\r?\n/)[0];
+    return firstLine.includes('\t') ? 'tsv' : 'csv';
+  }
+
+  /**
+   * インポート形式に応じてテキストを解析
+   * @param {string} text - ファイルの内容
+   * @param {string} format - 'csv'、'tsv'、'aws-config' または 'organizations'
+   * @param {Function} [validate] - エントリごとの追加検証（不正な場合は例外を投げる）
+   * @returns {Object} { aliases: アカウントIDをキーとするマップ, errors: [{ line, message }] }
+   */
+  static parse(text, format, validate) {
+    switch (format) {
+      case 'csv':
+      case 'tsv':
+        return this.parseDelimited(text, format, validate);
+      case 'aws-config':
+        return this.parseAwsConfig(text, validate);
+      case 'organizations':
+        return this.parseOrganizations(text, validate);
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+  }
+
+  /**
+   * 解析したエントリを検証して結果に追加
+   * 不正なエントリは例外にせずエラーとして記録する
+   * @param {Object} result - { aliases, errors }
+   * @param {number|null} line - 元データの行番号（行の概念がない場合はnull）
+   * @param {string} rawAccountId - 元データのアカウントID
+   * @param {Object} entry - エイリアスレコード
+   * @param {Function} [validate] - 追加検証
+   */
+  static collectEntry(result, line, rawAccountId, entry, validate) {
+    const accountId = AliasManager.normalizeAccountId(rawAccountId || '');
+    if (!/^\d{12}$/.test(accountId)) {
+      result.errors.push({
+        line,
+        message: `Invalid account ID: ${rawAccountId}`,
+      });
+      return;
+    }
+    if (!entry.alias) {
+      result.errors.push({ line, message: `Alias is empty for ${accountId}` });
+      return;
+    }
+    if (result.aliases[accountId]) {
+      result.errors.push({
+        line,
+        message: `Duplicate account ID: ${accountId} (already imported as "${result.aliases[accountId].alias}")`,
+      });
+      return;
+    }
+
+    try {
+      AliasManager.validateEntryMetadata(entry);
+      if (validate) {
+        validate(accountId, entry);
+      }
+      result.aliases[accountId] = entry;
+    } catch (error) {
+      result.errors.push({ line, message: error.message });
+    }
+  }
+
+  /**
+   * CSV/TSVテキストを解析してエイリアスマップに変換
+   * 不正な行は全体を失敗させずに行ごとのエラーとして報告する
+   * @param {string} text - CSV/TSVテキスト（1行目はヘッダー）
+   * @param {string} format - 'csv' または 'tsv'
+   * @param {Function} [validate] - 行ごとの追加検証（不正な場合は例外を投げる）
+   * @returns {Object} { aliases: アカウントIDをキーとするマップ, errors: [{ line, message }] }
+   */
+  static parseDelimited(text, format, validate) {
+    const delimiter = this.DELIMITERS[format];
+    if (!delimiter) {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+
+    const rows = this.splitRows(text, delimiter);
+    if (rows.length === 0) {
+      throw new Error('File is empty');
+    }
+
+    const headers = rows[0].cells.map((cell) => this.normalizeHeader(cell));
+    if (!headers.includes('account_id') || !headers.includes('alias')) {
+      throw new Error('Header row must contain account_id and alias columns');
+    }
+
+    const result = { aliases: {}, errors: [] };
+
+    rows.slice(1).forEach(({ line, cells }) => {
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = this.unescapeCell(cells[index] || '').trim();
+      });
+
+      const entry = {
+        alias: record.alias,
+        // スプレッドシートでの表記ゆれ（Prod, PRODなど）は小文字に揃える
+        environment: (record.environment || '').toLowerCase() || null,
+        color: record.color || null,
+        owner: record.owner || '',
+        tags: record.tags || '',
+        description: record.description || '',
+      };
+      this.collectEntry(result, line, record.account_id, entry, validate);
+    });
+
+    return result;
+  }
+
+  /**
+   * AWS CLI設定ファイル（~/.aws/config）を解析してエイリアスを提案
+   * sso_account_id または role_arn を持つプロファイルのプロファイル名をエイリアスとする
+   * 同じアカウントを指す複数のプロファイルは最初のものを採用する
+   * @param {string} text - 設定ファイルの内容
+   * @param {Function} [validate] - エントリごとの追加検証
+   * @returns {Object} { aliases, errors }
+   */
+  static parseAwsConfig(text, validate) {
+    const profiles = [];
+    let current = null;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith(';')) {
+        return;
+      }
+
+      const section = line.match(/^\[\s*(.+?)\s*\]$/);
+      if (section) {
+        // sso-session 等のプロファイル以外のセクションは対象外
+        const name = section[1];
+        const profile = name.match(/^profile\s+(.+)$/);
+        current =
+          profile || name === 'default'
+            ? {
+                name: profile ? profile[1] : name,
+                line: index + 1,
+                settings: {},
+              }
+            : null;
+        if (current) {
+          profiles.push(current);
+        }
+        return;
+      }
+
+      const setting = line.match(/^([\w.-]+)\s*=\s*(.*)$/);
+      if (current && setting) {
+        current.settings[setting[1].toLowerCase()] = setting[2].trim();
+      }
+    });
+
+    if (profiles.length === 0) {
+      throw new Error('No profiles found in AWS CLI config');
+    }
+
+    const result = { aliases: {}, errors: [] };
+
+    profiles.forEach((profile) => {
+      const { settings } = profile;
+      const roleArnMatch = (settings.role_arn || '').match(
+        /^arn:aws[\w-]*:iam::(\d{12}):/
+      );
+      const accountId =
+        settings.sso_account_id || (roleArnMatch && roleArnMatch[1]);
+
+      // アカウントを特定できないプロファイル（アクセスキーのみ等）は対象外
+      if (!accountId) {
+        return;
+      }
+
+      const entry = {
+        alias: profile.name,
+        description: settings.sso_role_name
+          ? `AWS CLI profile (${settings.sso_role_name})`
+          : 'AWS CLI profile',
+        tags: ['aws-cli'],
+      };
+      this.collectEntry(result, profile.line, accountId, entry, validate);
+    });
+
+    return result;
+  }
+
+  /**
+   * `aws organizations list-accounts` のJSON出力を解析してエイリアスを提案
+   * アカウント名をエイリアス、メールアドレスを説明として使用する
+   * @param {string} text - JSON文字列（{ Accounts: [...] } または配列）
+   * @param {Function} [validate] - エントリごとの追加検証
+   * @returns {Object} { aliases, errors }
+   */
+  static parseOrganizations(text, validate) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseError) {
+      throw new Error('Invalid JSON format');
+    }
+
+    const accounts = Array.isArray(data) ? data : data && data.Accounts;
+    if (!Array.isArray(accounts)) {
+      throw new Error('Accounts list not found');
+    }
+
+    const result = { aliases: {}, errors: [] };
+
+    accounts.forEach((account, index) => {
+      if (!account || typeof account !== 'object') {
+        result.errors.push({
+          line: null,
+          message: `Accounts[${index}] is not an account object`,
+        });
+        return;
+      }
+
+      const entry = {
+        alias: typeof account.Name === 'string' ? account.Name.trim() : '',
+        description: account.Email || '',
+        tags:
+          account.Status && account.Status !== 'ACTIVE'
+            ? ['organizations', account.Status.toLowerCase()]
+            : ['organizations'],
+      };
+      this.collectEntry(result, null, account.Id, entry, validate);
+    });
+
+    return result;
+  }
+
+  /**
+   * セルの値を区切り文字形式用にクォート
+   * 共有ソースやインポートしたファイル由来の値が数式として実行されないよう、
+   * FORMULA_PREFIXESで始まる値は先頭に'を付ける（インポート時にunescapeCellで除去する）
+   * @param {*} value - セルの値
+   * @param {string} delimiter - 区切り文字
+   * @returns {string} クォート済みのセル
+   */
+  static quoteCell(value, delimiter) {
+    let text = value == null ? '' : String(value);
+    if (this.FORMULA_PREFIXES.includes(text.charAt(0))) {
+      text = `'${text}`;
+    }
+    if (
+      text.includes(delimiter) ||
+      text.includes('"') ||
+      text.includes('\n') ||
+      text.includes('\r')
+    ) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * エイリアスマップをCSV/TSVテキストに変換
+   * アカウントIDは先頭ゼロが落ちないようハイフン区切り形式で出力する
+   * @param {Object} aliases - アカウントIDをキー、レコードを値とするオブジェクト
+   * @param {string} format - 'csv' または 'tsv'
+   * @returns {string} ヘッダー行付きのCSV/TSVテキスト
+   */
+  static toDelimited(aliases, format) {
+    const delimiter = this.DELIMITERS[format];
+    if (!delimiter) {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+
+    const lines = [this.COLUMNS.join(delimiter)];
+
+    Object.keys(aliases)
+      .sort()
+      .forEach((accountId) => {
+        const entry = aliases[accountId];
+        const values = {
+          account_id: AliasManager.formatAccountId(accountId),
+          alias: entry.alias,
+          environment: entry.environment,
+          color: entry.color,
+          owner: entry.owner,
+          tags: (entry.tags || []).join(','),
+          description: entry.description,
+        };
+        lines.push(
+          this.COLUMNS.map((column) =>
+            this.quoteCell(values[column], delimiter)
+          ).join(delimiter)
+        );
+      });
+
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+// グローバルスコープに公開（ポップアップ等から使用するため）
+if (typeof window !== 'undefined') {
+  window.AliasFormats = AliasFormats;
+}
@@ -0,0 +1,103 @@
+/**
+ * ログ出力ユーティリティ
+ * 表示設定のログレベル以上のログのみをコンソールに出力する（既定では出力しない）
+ * メッセージは固定の文字列とし、状況に応じた値はデータとして別に渡す
+ */
+
+class Logger {
+  // ログレベル（値が大きいほど詳細なログを出力する）
+  static LEVELS = {
+    off: 0,
+    error: 1,
+    warn: 2,
+    info: 3,
+    debug: 4,
+  };
+
+  // ログレベルの既定値
+  static DEFAULT_LEVEL = 'off';
+
+  // ログの先頭に付ける拡張機能名
+  static PREFIX = '[AWS Custom Alias]';
+
+  // 現在のログレベル
+  static level = Logger.DEFAULT_LEVEL;
+
+  /**
+   * ログレベルを設定（不明なレベルの場合は既定値）
+   * @param {string} level - LEVELSのキー
+   */
+  static setLevel(level) {
+    this.level = Object.keys(this.LEVELS).includes(level)
+      ? level
+      : this.DEFAULT_LEVEL;
+  }
+
+  /**
+   * 指定したレベルのログを出力するかどうかを判定
+   * @param {string} level - LEVELSのキー（offを除く）
+   * @returns {boolean} 出力する場合true
+   */
+  static isEnabled(level) {
+    return this.LEVELS[level] <= this.LEVELS[this.level];
+  }
+
+  /**
+   * ログを出力
+   * @param {string} level - LEVELSのキー（offを除く）
+   * @param {string} message - メッセージ
+   * @param {Object} data - メッセージに関連する値（省略可）
+   */
+  static write(level, message, data) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const args = [`${this.PREFIX} ${message}`];
+    if (data !== undefined) {
+      args.push(data);
+    }
+    console[level](...args);
+  }
+
+  /**
+   * エラー（処理に失敗した場合）のログを出力
+   * @param {string} message - メッセージ
+   * @param {Object} data - メッセージに関連する値（省略可）
+   */
+  static error(message, data) {
+    this.write('error', message, data);
+  }
+
+  /**
+   * 警告（処理は継続できる問題）のログを出力
+   * @param {string} message - メッセージ
+   * @param {Object} data - メッセージに関連する値（省略可）
+   */
+  static warn(message, data) {
+    this.write('warn', message, data);
+  }
+
+  /**
+   * 情報（初期化・設定の変更など）のログを出力
+   * @param {string} message - メッセージ
+   * @param {Object} data - メッセージに関連する値（省略可）
+   */
+  static info(message, data) {
+    this.write('info', message, data);
+  }
+
+  /**
+   * デバッグ情報（DOMの変更ごとの処理など）のログを出力
+   * @param {string} message - メッセージ
+   * @param {Object} data - メッセージに関連する値（省略可）
+   */
+  static debug(message, data) {
+    this.write('debug', message, data);
+  }
+}
+
+// グローバルスコープに公開（他のユーティリティと同様）
+if (typeof window !== 'undefined') {
+  window.Logger = Logger;
+}
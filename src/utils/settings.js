@@ -0,0 +1,275 @@
+/**
+ * 表示設定ユーティリティ
+ * コンテンツスクリプトの表示に関する設定をchrome.storage.localに保存する
+ * バックグラウンドのサービスワーカーからのみ使用する（他はAliasClient経由）
+ */
+
+// 表示設定を保存するキー（chrome.storage.local）
+const SETTINGS_KEY = 'aws_alias_settings';
+
+class SettingsManager {
+  // タブタイトルのテンプレートの最大文字数
+  static MAX_TITLE_TEMPLATE_LENGTH = 200;
+
+  // 注釈のテンプレートの最大文字数
+  static MAX_DISPLAY_TEMPLATE_LENGTH = 100;
+
+  // 適用範囲のルールの最大件数とパターンの最大文字数
+  static MAX_SCOPE_RULES = 100;
+  static MAX_SCOPE_PATTERN_LENGTH = 200;
+
+  // 除外ルールの最大件数とパターンの最大文字数
+  static MAX_EXCLUDE_RULES = 100;
+  static MAX_EXCLUDE_PATTERN_LENGTH = 500;
+
+  // 設定の既定値
+  static DEFAULTS = {
+    // タブタイトルにエイリアスを表示するか（既存の利用者のタブタイトルを変えないよう、ポップアップで有効にした場合のみ）
+    titleEnabled: false,
+    // タブタイトルのテンプレート（AliasManager.TITLE_PLACEHOLDERS参照）
+    titleTemplate: '[{alias}] {region} – {original}',
+    // アカウントIDの注釈の表示形式（AliasManager.DISPLAY_FORMATS参照）
+    displayFormat: AliasManager.DEFAULT_DISPLAY.format,
+    // 表示形式がcustomの場合の注釈のテンプレート（AliasManager.DISPLAY_PLACEHOLDERS参照）
+    displayTemplate: AliasManager.DEFAULT_DISPLAY.template,
+    // ページコンテンツへの適用範囲のルール（AliasManager.resolveScopeMode参照）
+    scopeRules: AliasManager.DEFAULT_SCOPE_RULES,
+    // ユーザー定義の除外ルール（AliasManager.compileExclusions参照）
+    excludeRules: [],
+    // 検出したアカウントIDをページ上で色分けして表示するか（AliasDiagnostics参照）
+    debugMode: false,
+    // コンテンツスクリプトのログレベル（Logger.LEVELS参照）
+    logLevel: Logger.DEFAULT_LEVEL,
+  };
+
+  /**
+   * 保存された設定を既定値で補完して正規化
+   * @param {Object} value - 保存された設定
+   * @returns {Object} 正規化した設定
+   */
+  static normalizeSettings(value) {
+    const settings = { ...this.DEFAULTS };
+    if (!value || typeof value !== 'object') {
+      return settings;
+    }
+
+    if (typeof value.titleEnabled === 'boolean') {
+      settings.titleEnabled = value.titleEnabled;
+    }
+    if (typeof value.titleTemplate === 'string' && value.titleTemplate.trim()) {
+      settings.titleTemplate = value.titleTemplate.trim();
+    }
+    if (
+      Object.keys(AliasManager.DISPLAY_FORMATS).includes(value.displayFormat)
+    ) {
+      settings.displayFormat = value.displayFormat;
+    }
+    // 前後の空白はアカウントIDとの区切りとして使用するため、空白のみの場合を除いてそのまま保存する
+    if (
+      typeof value.displayTemplate === 'string' &&
+      value.displayTemplate.trim()
+    ) {
+      settings.displayTemplate = value.displayTemplate;
+    }
+    // 不正なルールは無視する（保存時に検証済みのため通常は発生しない）
+    if (Array.isArray(value.scopeRules)) {
+      settings.scopeRules = value.scopeRules
+        .filter((rule) => {
+          try {
+            this.validateScopeRule(rule);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        })
+        .map(({ type, pattern, mode }) => ({ type, pattern, mode }));
+    }
+    // 除外ルールは不正なものも保持し、コンテンツスクリプトとポップアップで報告する
+    if (Array.isArray(value.excludeRules)) {
+      settings.excludeRules = value.excludeRules
+        .filter((rule) => rule && typeof rule === 'object')
+        .map(({ type, pattern }) => ({ type, pattern }));
+    }
+    if (typeof value.debugMode === 'boolean') {
+      settings.debugMode = value.debugMode;
+    }
+    if (Object.keys(Logger.LEVELS).includes(value.logLevel)) {
+      settings.logLevel = value.logLevel;
+    }
+    return settings;
+  }
+
+  /**
+   * 更新する設定を検証
+   * @param {Object} changes - 更新するフィールド
+   * @throws {Error} 不正な値の場合
+   */
+  static validateSettings(changes) {
+    if (
+      'titleEnabled' in changes &&
+      typeof changes.titleEnabled !== 'boolean'
+    ) {
+      throw new Error('titleEnabled must be a boolean');
+    }
+
+    if ('titleTemplate' in changes) {
+      const template = changes.titleTemplate;
+      if (typeof template !== 'string' || !template.trim()) {
+        throw new Error('Title template is required');
+      }
+      if (template.length > this.MAX_TITLE_TEMPLATE_LENGTH) {
+        throw new Error(
+          `Title template must be ${this.MAX_TITLE_TEMPLATE_LENGTH} characters or less`
+        );
+      }
+
+      const unknown = AliasManager.findUnknownTitlePlaceholders(template);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown placeholder: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (
+      'displayFormat' in changes &&
+      !Object.keys(AliasManager.DISPLAY_FORMATS).includes(changes.displayFormat)
+    ) {
+      throw new Error(`Unknown display format: ${changes.displayFormat}`);
+    }
+
+    if ('displayTemplate' in changes) {
+      const template = changes.displayTemplate;
+      if (typeof template !== 'string' || !template.trim()) {
+        throw new Error('Display template is required');
+      }
+      if (template.length > this.MAX_DISPLAY_TEMPLATE_LENGTH) {
+        throw new Error(
+          `Display template must be ${this.MAX_DISPLAY_TEMPLATE_LENGTH} characters or less`
+        );
+      }
+
+      const unknown = AliasManager.findUnknownDisplayPlaceholders(template);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown placeholder: ${unknown.join(', ')}`);
+      }
+      if (!template.includes('{alias}')) {
+        throw new Error('Display template must include {alias}');
+      }
+    }
+
+    if ('scopeRules' in changes) {
+      const rules = changes.scopeRules;
+      if (!Array.isArray(rules)) {
+        throw new Error('scopeRules must be an array');
+      }
+      if (rules.length > this.MAX_SCOPE_RULES) {
+        throw new Error(`Scope rules must be ${this.MAX_SCOPE_RULES} or less`);
+      }
+      rules.forEach((rule) => this.validateScopeRule(rule));
+    }
+
+    if ('excludeRules' in changes) {
+      const rules = changes.excludeRules;
+      if (!Array.isArray(rules)) {
+        throw new Error('excludeRules must be an array');
+      }
+      if (rules.length > this.MAX_EXCLUDE_RULES) {
+        throw new Error(
+          `Exclusion rules must be ${this.MAX_EXCLUDE_RULES} or less`
+        );
+      }
+      // CSSセレクタの構文はサービスワーカーでは検証できないため、ポップアップで保存前に検証する
+      // （インポートなどで保存された不正なセレクタは、コンテンツスクリプトがルールごとに報告して無視する）
+      rules.forEach((rule) => {
+        AliasManager.validateExcludeRule(rule);
+        if (rule.pattern.length > this.MAX_EXCLUDE_PATTERN_LENGTH) {
+          throw new Error(
+            `Exclusion rule pattern must be ${this.MAX_EXCLUDE_PATTERN_LENGTH} characters or less`
+          );
+        }
+      });
+    }
+
+    if ('debugMode' in changes && typeof changes.debugMode !== 'boolean') {
+      throw new Error('debugMode must be a boolean');
+    }
+
+    if (
+      'logLevel' in changes &&
+      !Object.keys(Logger.LEVELS).includes(changes.logLevel)
+    ) {
+      throw new Error(`Unknown log level: ${changes.logLevel}`);
+    }
+  }
+
+  /**
+   * 適用範囲のルールを検証
+   * @param {Object} rule - { type, pattern, mode }（AliasManager.matchesScopeRule参照）
+   * @throws {Error} 不正な値の場合
+   */
+  static validateScopeRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Scope rule must be an object');
+    }
+    if (!Object.keys(AliasManager.SCOPE_RULE_TYPES).includes(rule.type)) {
+      throw new Error(`Unknown scope rule type: ${rule.type}`);
+    }
+    if (!Object.keys(AliasManager.SCOPE_MODES).includes(rule.mode)) {
+      throw new Error(`Unknown scope mode: ${rule.mode}`);
+    }
+
+    const pattern = rule.pattern;
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      throw new Error('Scope rule pattern is required');
+    }
+    if (pattern.length > this.MAX_SCOPE_PATTERN_LENGTH) {
+      throw new Error(
+        `Scope rule pattern must be ${this.MAX_SCOPE_PATTERN_LENGTH} characters or less`
+      );
+    }
+    if (rule.type === 'path' && !pattern.startsWith('/')) {
+      throw new Error(`Path must start with "/": ${pattern}`);
+    }
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${pattern}`);
+      }
+    }
+  }
+
+  /**
+   * 表示設定を取得
+   * @returns {Promise<Object>} 表示設定（DEFAULTS参照）
+   */
+  static async getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([SETTINGS_KEY], (result) => {
+        resolve(this.normalizeSettings(result[SETTINGS_KEY]));
+      });
+    });
+  }
+
+  /**
+   * 表示設定を更新
+   * @param {Object} changes - 更新するフィールド
+   * @returns {Promise<Object>} 更新後の表示設定
+   */
+  static async updateSettings(changes) {
+    this.validateSettings(changes);
+
+    const settings = this.normalizeSettings({
+      ...(await this.getSettings()),
+      ...changes,
+    });
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [SETTINGS_KEY]: settings }, resolve);
+    });
+    return settings;
+  }
+}
+
+// グローバルスコープに公開（他のユーティリティと同様）
+if (typeof window !== 'undefined') {
+  window.SettingsManager = SettingsManager;
+}
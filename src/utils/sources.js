@@ -0,0 +1,223 @@
+/**
+ * 共有エイリアスソース管理ユーティリティ
+ * チームで共有するエイリアスファイル（URL）の購読・取得・キャッシュを管理
+ * バックグラウンドのサービスワーカーからのみ使用する
+ */
+
+// 購読中のソース一覧を保存するキー
+const SOURCES_KEY = 'aws_alias_sources';
+
+// ソースごとの最終取得結果を保存するキー
+const SOURCE_CACHE_KEY = 'aws_alias_source_cache';
+
+class SourceManager {
+  // 定期取得の間隔（分）
+  static REFRESH_INTERVAL_MINUTES = 60;
+
+  // 定期取得用のアラーム名
+  static REFRESH_ALARM = 'refresh-alias-sources';
+
+  /**
+   * 購読中のソース一覧を取得
+   * @returns {Promise<Array<Object>>} [{ id, name, url, enabled }]
+   */
+  static async getSources() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([SOURCES_KEY], (result) => {
+        resolve(result[SOURCES_KEY] || []);
+      });
+    });
+  }
+
+  /**
+   * ソースごとの最終取得結果を取得
+   * @returns {Promise<Object>} ソースIDをキーとする { aliases, fetchedAt, lastAttemptAt, error }
+   */
+  static async getCache() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([SOURCE_CACHE_KEY], (result) => {
+        resolve(result[SOURCE_CACHE_KEY] || {});
+      });
+    });
+  }
+
+  /**
+   * ソースURLを検証
+   * HTTPSのURL、または動作確認用にlocalhostのHTTPのみ許可する
+   * @param {string} url - ソースのURL
+   * @throws {Error} 許可されないURLの場合
+   */
+  static validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid URL: ${url}`);
+    }
+
+    const isLocalhost = ['localhost', '127.0.0.1'].includes(parsed.hostname);
+    if (
+      parsed.protocol !== 'https:' &&
+      !(parsed.protocol === 'http:' && isLocalhost)
+    ) {
+      throw new Error('Source URL must use HTTPS');
+    }
+  }
+
+  /**
+   * ソースを追加して即時に取得
+   * @param {Object} source - { name, url }
+   * @returns {Promise<Object>} 追加されたソース
+   */
+  static async addSource({ name, url }) {
+    this.validateUrl(url);
+
+    const sources = await this.getSources();
+    if (sources.some((source) => source.url === url)) {
+      throw new Error(`Source already exists: ${url}`);
+    }
+
+    const source = {
+      id: `src_${Date.now().toString(36)}`,
+      name: (name || '').trim() || new URL(url).hostname,
+      url,
+      enabled: true,
+    };
+    sources.push(source);
+    await this.saveSources(sources);
+
+    await this.refreshSource(source);
+    return source;
+  }
+
+  /**
+   * ソースを削除（キャッシュも削除）
+   * @param {string} sourceId - ソースID
+   * @returns {Promise<void>}
+   */
+  static async removeSource(sourceId) {
+    const sources = await this.getSources();
+    await this.saveSources(sources.filter((source) => source.id !== sourceId));
+
+    const cache = await this.getCache();
+    delete cache[sourceId];
+    await this.saveCache(cache);
+  }
+
+  /**
+   * ソース一覧を保存
+   * @param {Array<Object>} sources - ソース一覧
+   * @returns {Promise<void>}
+   */
+  static async saveSources(sources) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [SOURCES_KEY]: sources }, resolve);
+    });
+  }
+
+  /**
+   * キャッシュを保存
+   * @param {Object} cache - ソースIDをキーとする取得結果
+   * @returns {Promise<void>}
+   */
+  static async saveCache(cache) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [SOURCE_CACHE_KEY]: cache }, resolve);
+    });
+  }
+
+  /**
+   * ソースを取得してキャッシュを更新
+   * 取得・解析に失敗した場合は前回取得できたエイリアスを保持し、エラーのみ記録する
+   * @param {Object} source - ソース
+   * @returns {Promise<Object>} 更新後のキャッシュエントリ
+   */
+  static async refreshSource(source) {
+    const cache = await this.getCache();
+    const previous = cache[source.id] || { aliases: {}, fetchedAt: null };
+    const now = new Date().toISOString();
+    let entry;
+
+    try {
+      const response = await fetch(source.url, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const aliases = StorageManager.parseJsonImportData(await response.text());
+      entry = { aliases, fetchedAt: now, lastAttemptAt: now, error: null };
+    } catch (error) {
+      console.warn(`Failed to fetch alias source ${source.url}:`, error);
+      entry = { ...previous, lastAttemptAt: now, error: error.message };
+    }
+
+    // 取得中に他のソースが更新されている可能性があるため再読み込みしてから保存
+    const latest = await this.getCache();
+    latest[source.id] = entry;
+    await this.saveCache(latest);
+    return entry;
+  }
+
+  /**
+   * 有効なすべてのソースを取得
+   * @returns {Promise<void>}
+   */
+  static async refreshAll() {
+    const sources = await this.getSources();
+    for (const source of sources.filter((source) => source.enabled)) {
+      await this.refreshSource(source);
+    }
+  }
+
+  /**
+   * 定期取得のアラームを登録
+   */
+  static scheduleRefresh() {
+    chrome.alarms.create(this.REFRESH_ALARM, {
+      periodInMinutes: this.REFRESH_INTERVAL_MINUTES,
+    });
+  }
+
+  /**
+   * 有効なソースのエイリアスをレイヤーとして取得
+   * @returns {Promise<Array<Object>>} [{ layer: 'team', sourceId, sourceName, aliases }]（登録順）
+   */
+  static async getLayers() {
+    const sources = await this.getSources();
+    const cache = await this.getCache();
+
+    return sources
+      .filter((source) => source.enabled && cache[source.id])
+      .map((source) => ({
+        layer: 'team',
+        sourceId: source.id,
+        sourceName: source.name,
+        aliases: cache[source.id].aliases || {},
+      }));
+  }
+
+  /**
+   * ソース一覧を取得状況付きで取得（ポップアップ表示用）
+   * @returns {Promise<Array<Object>>} [{ id, name, url, enabled, count, fetchedAt, lastAttemptAt, error }]
+   */
+  static async getSourceStatuses() {
+    const sources = await this.getSources();
+    const cache = await this.getCache();
+
+    return sources.map((source) => {
+      const entry = cache[source.id] || {};
+      return {
+        ...source,
+        count: Object.keys(entry.aliases || {}).length,
+        fetchedAt: entry.fetchedAt || null,
+        lastAttemptAt: entry.lastAttemptAt || null,
+        error: entry.error || null,
+      };
+    });
+  }
+}
+
+// グローバルスコープに公開（他のユーティリティと同様）
+if (typeof window !== 'undefined') {
+  window.SourceManager = SourceManager;
+}
@@ -1,19 +1,351 @@
 /**
  * ストレージ管理ユーティリティ
  * Chrome拡張機能のローカルストレージを使用してエイリアスデータを管理
+ * 読み書きはバックグラウンドのメッセージAPIからのみ行う（client.js参照）
+ * JSON以外の形式の変換にはformats.js（AliasFormats）を使用する
  */
 
 const STORAGE_KEY = 'aws_account_aliases';
 
+// エイリアスデータのスキーマバージョンを保存するキー
+const SCHEMA_VERSION_KEY = 'aws_account_aliases_schema_version';
+
+// 削除したアカウントIDと削除日時を保存するキー（同期時の削除の伝播に使用）
+const DELETED_KEY = 'aws_account_aliases_deleted';
+
+// アカウントごとの最終利用日時を保存するキー（ポップアップの並べ替えに使用）
+const USAGE_KEY = 'aws_alias_usage';
+
+// chrome.storage.syncに保存する同期データのキーの接頭辞（sync.js参照）
+const SYNC_KEY_PREFIX = 'aws_alias_sync_';
+
 class StorageManager {
+  // 現在のエイリアスレコードのスキーマバージョン
+  // v1: アカウントID -> エイリアス名（文字列）のフラットなマップ
+  // v2: アカウントID -> エイリアスレコード（メタデータ付き）のマップ
+  static SCHEMA_VERSION = 2;
+
+  // エイリアス名の最大文字数（ポップアップの入力制限と同じ）
+  static MAX_ALIAS_LENGTH = 50;
+
+  // 最終利用日時を更新する最小間隔（ミリ秒）。ページ遷移ごとの書き込みを抑える
+  static USAGE_RECORD_INTERVAL_MS = 60 * 1000;
+
+  // 削除記録の保持日数（これより長く同期していない端末では削除が伝播しない）
+  static DELETED_RETENTION_DAYS = 90;
+
+  // インポートモード
+  // replace: 既存データをすべて置き換える
+  // merge-keep-existing: 新規アカウントのみ追加し、既存のエイリアスは保持する
+  // merge-overwrite: 新規アカウントを追加し、既存のエイリアスは上書きする
+  static IMPORT_MODES = ['replace', 'merge-keep-existing', 'merge-overwrite'];
+
+  // 差分判定で比較するレコードのフィールド（タイムスタンプは除外）
+  static COMPARED_FIELDS = [
+    'alias',
+    'description',
+    'tags',
+    'owner',
+    'color',
+    'environment',
+  ];
+
+  // バージョンごとの移行処理（キーのバージョンから次のバージョンへ変換）
+  static MIGRATIONS = {
+    1: (aliases, now) => {
+      const migrated = {};
+      for (const [accountId, value] of Object.entries(aliases || {})) {
+        const entry = StorageManager.normalizeEntry(value);
+        if (entry) {
+          migrated[accountId] = {
+            ...entry,
+            createdAt: entry.createdAt || now,
+            updatedAt: entry.updatedAt || now,
+          };
+        }
+      }
+      return migrated;
+    },
+  };
+
+  /**
+   * 保存値をエイリアスレコードに正規化
+   * 旧形式（エイリアス名の文字列）と新形式（レコード）の両方を受け付ける
+   * @param {string|Object} value - 保存されている値
+   * @returns {Object|null} エイリアスレコードまたはnull
+   */
+  static normalizeEntry(value) {
+    if (typeof value === 'string') {
+      value = { alias: value };
+    }
+
+    if (
+      !value ||
+      typeof value !== 'object' ||
+      typeof value.alias !== 'string' ||
+      !value.alias.trim()
+    ) {
+      return null;
+    }
+
+    return {
+      alias: value.alias.trim(),
+      description:
+        typeof value.description === 'string' ? value.description : '',
+      tags: this.normalizeTags(value.tags),
+      owner: typeof value.owner === 'string' ? value.owner : '',
+      color: value.color || null,
+      environment: value.environment || null,
+      createdAt: value.createdAt || null,
+      updatedAt: value.updatedAt || null,
+    };
+  }
+
+  /**
+   * アカウントIDを検証
+   * @param {string} accountId - AWSアカウントID
+   * @throws {Error} 12桁の数字でない場合
+   */
+  static validateAccountId(accountId) {
+    if (typeof accountId !== 'string' || !/^\d{12}$/.test(accountId)) {
+      throw new Error(`Invalid account ID: ${accountId}`);
+    }
+  }
+
+  /**
+   * エイリアスの値を検証してレコードに正規化
+   * 書き込み経路（保存・インポート）はすべてこの検証を通す
+   * @param {string} accountId - AWSアカウントID（12桁）
+   * @param {string|Object} value - エイリアス名またはエイリアスレコード
+   * @returns {Object} 正規化されたエイリアスレコード
+   * @throws {Error} アカウントID・エイリアス・環境区分またはカラーが不正な場合
+   */
+  static validateEntry(accountId, value) {
+    this.validateAccountId(accountId);
+
+    const entry = this.normalizeEntry(value);
+    if (!entry) {
+      throw new Error(`Invalid alias for account ${accountId}`);
+    }
+    if (entry.alias.length > this.MAX_ALIAS_LENGTH) {
+      throw new Error(
+        `Alias for account ${accountId} exceeds ${this.MAX_ALIAS_LENGTH} characters`
+      );
+    }
+    AliasManager.validateEntryMetadata(entry);
+    return entry;
+  }
+
+  /**
+   * タグを重複のない文字列配列に正規化
+   * @param {string|Array} tags - タグ配列またはカンマ区切り文字列
+   * @returns {Array<string>} 正規化されたタグ配列
+   */
+  static normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list)) {
+      return [];
+    }
+    const normalized = list
+      .filter((tag) => typeof tag === 'string')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * エイリアスマップ全体をレコード形式に正規化
+   * @param {Object} aliases - アカウントIDをキーとするマップ
+   * @returns {Object} アカウントIDをキー、レコードを値とするオブジェクト
+   */
+  static normalizeAliases(aliases) {
+    const normalized = {};
+    for (const [accountId, value] of Object.entries(aliases || {})) {
+      const entry = this.normalizeEntry(value);
+      if (entry) {
+        normalized[accountId] = entry;
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * 複数レイヤーのエイリアスを統合
+   * 配列の後ろのレイヤーほど優先され、同じアカウントのエイリアスを上書きする
+   * @param {Array<Object>} layers - [{ layer, sourceId, sourceName, locked, aliases }]（優先度の低い順）
+   * @returns {Object} アカウントIDをキー、レイヤー情報（layer, sourceId, sourceName, locked, overrides）付きレコードを値とするオブジェクト
+   */
+  static mergeLayers(layers) {
+    const merged = {};
+
+    layers.forEach(({ layer, sourceId, sourceName, locked, aliases }) => {
+      for (const [accountId, value] of Object.entries(aliases || {})) {
+        const entry = this.normalizeEntry(value);
+        if (!entry) {
+          continue;
+        }
+
+        const overridden = merged[accountId];
+        merged[accountId] = {
+          ...entry,
+          layer,
+          sourceId: sourceId || null,
+          sourceName: sourceName || null,
+          locked: !!locked,
+          overrides: overridden
+            ? {
+                layer: overridden.layer,
+                sourceName: overridden.sourceName,
+                alias: overridden.alias,
+              }
+            : null,
+        };
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * 管理者ポリシー（chrome.storage.managed）を取得
+   * スキーマはmanaged_schema.jsonを参照。ポリシーが未設定の環境では空の値を返す
+   * @returns {Promise<Object>} { aliases: 正規化済みマップ, lockedAccounts: ロックされたアカウントIDの配列 }
+   */
+  static async getManagedPolicy() {
+    const policy = await new Promise((resolve) => {
+      if (!chrome.storage.managed) {
+        resolve({});
+        return;
+      }
+      chrome.storage.managed.get(null, (result) => {
+        // ポリシー未対応のプラットフォームではエラーになるため空として扱う
+        resolve(chrome.runtime.lastError ? {} : result || {});
+      });
+    });
+
+    const aliases = {};
+    for (const [accountId, value] of Object.entries(policy.aliases || {})) {
+      const entry = /^\d{12}$/.test(accountId) && this.normalizeEntry(value);
+      if (entry) {
+        aliases[accountId] = { ...entry, locked: !!(value && value.locked) };
+      }
+    }
+
+    const lockedAccounts = new Set(
+      (policy.lockedAccounts || [])
+        .map((accountId) => String(accountId).replace(/-/g, ''))
+        .filter((accountId) => aliases[accountId])
+    );
+    Object.entries(aliases).forEach(([accountId, entry]) => {
+      if (entry.locked) {
+        lockedAccounts.add(accountId);
+      }
+    });
+
+    return { aliases, lockedAccounts: [...lockedAccounts] };
+  }
+
+  /**
+   * 管理者ポリシーのエイリアスをレイヤーとして取得
+   * ロックされていないエントリは最も優先度の低い既定値、
+   * ロックされたエントリは最も優先度の高いレイヤーとして統合する
+   * @returns {Promise<Object>} { baseline: 既定値レイヤー, locked: ロックレイヤー }
+   */
+  static async getPolicyLayers() {
+    const { aliases, lockedAccounts } = await this.getManagedPolicy();
+    const baseline = {};
+    const locked = {};
+
+    for (const [accountId, entry] of Object.entries(aliases)) {
+      if (lockedAccounts.includes(accountId)) {
+        locked[accountId] = entry;
+      } else {
+        baseline[accountId] = entry;
+      }
+    }
+
+    return {
+      baseline: { layer: 'policy', aliases: baseline },
+      locked: { layer: 'policy', locked: true, aliases: locked },
+    };
+  }
+
+  /**
+   * アカウントが管理者ポリシーでロックされていないことを確認
+   * @param {string} accountId - AWSアカウントID（12桁）
+   * @throws {Error} ロックされている場合
+   */
+  static async assertNotLocked(accountId) {
+    const { lockedAccounts } = await this.getManagedPolicy();
+    if (lockedAccounts.includes(accountId)) {
+      throw new Error(`Account ${accountId} is locked by policy`);
+    }
+  }
+
+  /**
+   * エイリアスデータを指定バージョンから現在のスキーマへ移行
+   * @param {Object} aliases - 保存されているエイリアスマップ
+   * @param {number} fromVersion - 保存データのスキーマバージョン
+   * @returns {Object} 現在のスキーマのエイリアスマップ
+   */
+  static migrateAliases(aliases, fromVersion) {
+    const now = new Date().toISOString();
+    let migrated = aliases || {};
+
+    for (let version = fromVersion; version < this.SCHEMA_VERSION; version++) {
+      const migration = this.MIGRATIONS[version];
+      if (!migration) {
+        throw new Error(`No migration from schema version ${version}`);
+      }
+      migrated = migration(migrated, now);
+    }
+
+    return this.normalizeAliases(migrated);
+  }
+
+  /**
+   * ストレージ内のエイリアスデータを現在のスキーマへ移行
+   * @returns {Promise<Object>} 移行結果（移行前後のバージョンと件数）
+   */
+  static async migrate() {
+    const result = await new Promise((resolve) => {
+      chrome.storage.local.get([STORAGE_KEY, SCHEMA_VERSION_KEY], resolve);
+    });
+
+    // バージョン未記録のデータはv1（文字列マップ）として扱う
+    const fromVersion = result[SCHEMA_VERSION_KEY] || 1;
+    if (fromVersion >= this.SCHEMA_VERSION) {
+      return { migrated: false, fromVersion, toVersion: fromVersion };
+    }
+
+    const aliases = this.migrateAliases(result[STORAGE_KEY], fromVersion);
+
+    await new Promise((resolve) => {
+      chrome.storage.local.set(
+        {
+          [STORAGE_KEY]: aliases,
+          [SCHEMA_VERSION_KEY]: this.SCHEMA_VERSION,
+        },
+        resolve
+      );
+    });
+
+    return {
+      migrated: true,
+      fromVersion,
+      toVersion: this.SCHEMA_VERSION,
+      count: Object.keys(aliases).length,
+    };
+  }
+
   /**
    * すべてのエイリアスを取得
-   * @returns {Promise<Object>} アカウントIDをキー、エイリアス名を値とするオブジェクト
+   * @returns {Promise<Object>} アカウントIDをキー、エイリアスレコードを値とするオブジェクト
    */
   static async getAllAliases() {
     return new Promise((resolve) => {
       chrome.storage.local.get([STORAGE_KEY], (result) => {
-        resolve(result[STORAGE_KEY] || {});
+        resolve(this.normalizeAliases(result[STORAGE_KEY]));
       });
     });
   }
@@ -21,7 +353,7 @@ class StorageManager {
   /**
    * 特定のアカウントIDのエイリアスを取得
    * @param {string} accountId - AWSアカウントID（12桁）
-   * @returns {Promise<string|null>} エイリアス名またはnull
+   * @returns {Promise<Object|null>} エイリアスレコードまたはnull
    */
   static async getAlias(accountId) {
     const aliases = await this.getAllAliases();
@@ -30,17 +362,25 @@ class StorageManager {
 
   /**
    * エイリアスを保存
+   * 作成日時は既存レコードから引き継ぎ、更新日時は保存時刻で上書きする
    * @param {string} accountId - AWSアカウントID（12桁）
-   * @param {string} alias - エイリアス名
-   * @returns {Promise<void>}
+   * @param {string|Object} entry - エイリアス名またはエイリアスレコード
+   * @returns {Promise<Object>} 保存されたエイリアスレコード
    */
-  static async setAlias(accountId, alias) {
+  static async setAlias(accountId, entry) {
+    const record = this.validateEntry(accountId, entry);
+    await this.assertNotLocked(accountId);
+
     const aliases = await this.getAllAliases();
-    aliases[accountId] = alias;
+    const now = new Date().toISOString();
+    const existing = aliases[accountId];
 
-    return new Promise((resolve) => {
-      chrome.storage.local.set({ [STORAGE_KEY]: aliases }, resolve);
-    });
+    record.createdAt = (existing && existing.createdAt) || now;
+    record.updatedAt = now;
+    aliases[accountId] = record;
+
+    await this.saveAliases(aliases);
+    return record;
   }
 
   /**
@@ -49,12 +389,13 @@ class StorageManager {
    * @returns {Promise<void>}
    */
   static async removeAlias(accountId) {
+    this.validateAccountId(accountId);
+    await this.assertNotLocked(accountId);
+
     const aliases = await this.getAllAliases();
     delete aliases[accountId];
 
-    return new Promise((resolve) => {
-      chrome.storage.local.set({ [STORAGE_KEY]: aliases }, resolve);
-    });
+    return this.saveAliases(aliases);
   }
 
   /**
@@ -62,44 +403,312 @@ class StorageManager {
    * @returns {Promise<void>}
    */
   static async clearAllAliases() {
+    return this.saveAliases({});
+  }
+
+  /**
+   * 削除記録を取得
+   * @returns {Promise<Object>} アカウントIDをキー、削除日時（ISO 8601）を値とするオブジェクト
+   */
+  static async getDeletedAliases() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([DELETED_KEY], (result) => {
+        resolve(result[DELETED_KEY] || {});
+      });
+    });
+  }
+
+  /**
+   * 削除記録を保存
+   * @param {Object} deleted - アカウントIDをキー、削除日時を値とするオブジェクト
+   * @returns {Promise<void>}
+   */
+  static async saveDeletedAliases(deleted) {
     return new Promise((resolve) => {
-      chrome.storage.local.remove([STORAGE_KEY], resolve);
+      chrome.storage.local.set({ [DELETED_KEY]: deleted }, resolve);
+    });
+  }
+
+  /**
+   * エイリアスマップをスキーマバージョンと共に保存
+   * 保存前のマップから消えたアカウントは削除記録に追加し、保存されたアカウントの削除記録は消す
+   * @param {Object} aliases - アカウントIDをキー、レコードを値とするオブジェクト
+   * @returns {Promise<void>}
+   */
+  static async saveAliases(aliases) {
+    const [previous, deleted] = await Promise.all([
+      this.getAllAliases(),
+      this.getDeletedAliases(),
+    ]);
+    const now = new Date();
+    const expiresBefore = new Date(
+      now.getTime() - this.DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    Object.keys(previous)
+      .filter((accountId) => !aliases[accountId] && !deleted[accountId])
+      .forEach((accountId) => {
+        deleted[accountId] = now.toISOString();
+      });
+    Object.keys(deleted)
+      .filter(
+        (accountId) => aliases[accountId] || deleted[accountId] < expiresBefore
+      )
+      .forEach((accountId) => {
+        delete deleted[accountId];
+      });
+
+    return new Promise((resolve) => {
+      chrome.storage.local.set(
+        {
+          [STORAGE_KEY]: aliases,
+          [SCHEMA_VERSION_KEY]: this.SCHEMA_VERSION,
+          [DELETED_KEY]: deleted,
+        },
+        resolve
+      );
+    });
+  }
+
+  /**
+   * アカウントごとの最終利用日時を取得
+   * @returns {Promise<Object>} アカウントIDをキー、最終利用日時（ISO 8601）を値とするオブジェクト
+   */
+  static async getUsage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([USAGE_KEY], (result) => {
+        resolve(result[USAGE_KEY] || {});
+      });
+    });
+  }
+
+  /**
+   * アカウントの利用を記録
+   * 前回の記録から一定時間経過していない場合は書き込まない
+   * @param {string} accountId - AWSアカウントID（12桁）
+   * @returns {Promise<void>}
+   */
+  static async recordUsage(accountId) {
+    this.validateAccountId(accountId);
+
+    const usage = await this.getUsage();
+    const now = new Date();
+    if (
+      usage[accountId] &&
+      now - new Date(usage[accountId]) < this.USAGE_RECORD_INTERVAL_MS
+    ) {
+      return;
+    }
+
+    usage[accountId] = now.toISOString();
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [USAGE_KEY]: usage }, resolve);
     });
   }
 
   /**
    * エイリアスデータをエクスポート
-   * @returns {Promise<string>} JSON形式のエイリアスデータ
+   * @param {string} format - 'json'（デフォルト）、'csv' または 'tsv'
+   * @returns {Promise<string>} JSON形式のエクスポートデータ（{ version, schemaVersion, exportedAt, aliases }）またはCSV/TSVテキスト
    */
-  static async exportAliases() {
+  static async exportAliases(format = 'json') {
     const aliases = await this.getAllAliases();
-    return JSON.stringify(aliases, null, 2);
+
+    if (format !== 'json') {
+      return AliasFormats.toDelimited(aliases, format);
+    }
+
+    const exportData = {
+      version: chrome.runtime.getManifest().version,
+      schemaVersion: this.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      aliases: aliases,
+    };
+
+    return JSON.stringify(exportData, null, 2);
   }
 
   /**
-   * エイリアスデータをインポート
+   * インポートデータを解析してエイリアスマップに変換
+   * @param {string} text - インポートするファイルの内容
+   * @param {string} format - 'json'（デフォルト）またはAliasFormats.IMPORT_FORMATSのいずれか
+   * @returns {Object} { aliases: アカウントIDをキー、レコードを値とするオブジェクト, errors: 行ごとのエラー }
+   */
+  static parseImportData(text, format = 'json') {
+    if (format === 'json') {
+      return { aliases: this.parseJsonImportData(text), errors: [] };
+    }
+
+    // JSON以外の形式は不正なエントリをスキップし、エントリごとのエラーとして報告する
+    const { aliases, errors } = AliasFormats.parse(
+      text,
+      format,
+      (accountId, entry) => this.validateEntry(accountId, entry)
+    );
+    return { aliases: this.normalizeAliases(aliases), errors };
+  }
+
+  /**
+   * JSON形式のインポートデータを解析してエイリアスマップに変換
+   * エクスポート形式（{ version, aliases }）と旧形式（直接のマップ）、
+   * 値が文字列のv1形式とレコードのv2形式のいずれも受け付ける
    * @param {string} jsonData - JSON形式のエイリアスデータ
-   * @returns {Promise<void>}
+   * @returns {Object} アカウントIDをキー、レコードを値とするオブジェクト
    */
-  static async importAliases(jsonData) {
+  static parseJsonImportData(jsonData) {
+    let data;
     try {
-      const aliases = JSON.parse(jsonData);
+      data = JSON.parse(jsonData);
+    } catch (parseError) {
+      throw new Error('Invalid JSON format');
+    }
+
+    // バリデーション: オブジェクトであることを確認
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      throw new Error('Invalid alias data format');
+    }
+
+    const rawAliases =
+      data.aliases && typeof data.aliases === 'object' ? data.aliases : data;
+    const fromVersion = data.schemaVersion || 1;
+
+    // バリデーション: キーが12桁の数字で、値が有効なエイリアスであることを確認
+    for (const [accountId, value] of Object.entries(rawAliases)) {
+      this.validateEntry(accountId, value);
+    }
+
+    return this.migrateAliases(
+      rawAliases,
+      Math.min(fromVersion, this.SCHEMA_VERSION)
+    );
+  }
+
+  /**
+   * 2つのエイリアスレコードの内容が同じかどうかを判定
+   * @param {Object} a - エイリアスレコード
+   * @param {Object} b - エイリアスレコード
+   * @returns {boolean} 同じ内容の場合true
+   */
+  static isSameEntry(a, b) {
+    return this.COMPARED_FIELDS.every(
+      (field) => JSON.stringify(a[field]) === JSON.stringify(b[field])
+    );
+  }
+
+  /**
+   * インポート結果と差分を計算（ストレージには書き込まない）
+   * @param {Object} current - 現在のエイリアスマップ
+   * @param {Object} incoming - インポートするエイリアスマップ
+   * @param {string} mode - インポートモード（IMPORT_MODES参照）
+   * @returns {Object} { aliases: 保存後のマップ, diff: { added, changed, removed, kept, unchanged } }
+   */
+  static planImport(current, incoming, mode) {
+    if (!this.IMPORT_MODES.includes(mode)) {
+      throw new Error(`Invalid import mode: ${mode}`);
+    }
+
+    const now = new Date().toISOString();
+    const aliases = mode === 'replace' ? {} : { ...current };
+    const diff = {
+      added: [],
+      changed: [],
+      removed: [],
+      kept: [],
+      unchanged: 0,
+    };
 
-      // バリデーション: オブジェクトであることを確認
-      if (typeof aliases !== 'object' || aliases === null) {
-        throw new Error('Invalid alias data format');
+    for (const [accountId, entry] of Object.entries(incoming)) {
+      const existing = current[accountId];
+
+      if (!existing) {
+        diff.added.push({ accountId, after: entry });
+        aliases[accountId] = {
+          ...entry,
+          createdAt: entry.createdAt || now,
+          updatedAt: entry.updatedAt || now,
+        };
+      } else if (this.isSameEntry(existing, entry)) {
+        diff.unchanged++;
+        aliases[accountId] = existing;
+      } else if (mode === 'merge-keep-existing') {
+        diff.kept.push({ accountId, before: existing, after: entry });
+      } else {
+        diff.changed.push({ accountId, before: existing, after: entry });
+        aliases[accountId] = {
+          ...entry,
+          createdAt: existing.createdAt,
+          updatedAt: now,
+        };
       }
+    }
 
-      // バリデーション: すべてのキーが12桁の数字であることを確認
-      for (const accountId in aliases) {
-        if (!/^\d{12}$/.test(accountId)) {
-          throw new Error(`Invalid account ID: ${accountId}`);
+    if (mode === 'replace') {
+      for (const [accountId, entry] of Object.entries(current)) {
+        if (!incoming[accountId]) {
+          diff.removed.push({ accountId, before: entry });
         }
       }
+    }
 
-      return new Promise((resolve) => {
-        chrome.storage.local.set({ [STORAGE_KEY]: aliases }, resolve);
-      });
+    return { aliases, diff };
+  }
+
+  /**
+   * インポートデータを解析して保存内容を計算
+   * 管理者ポリシーでロックされたアカウントは取り込まずエラーとして報告する
+   * @param {string} text - インポートするファイルの内容
+   * @param {string} mode - インポートモード
+   * @param {string} format - インポート形式
+   * @returns {Promise<Object>} { plan: planImportの結果, errors: スキップしたエントリ }
+   */
+  static async prepareImport(text, mode, format) {
+    const { aliases: parsed, errors } = this.parseImportData(text, format);
+    const { lockedAccounts } = await this.getManagedPolicy();
+
+    const incoming = {};
+    for (const [accountId, entry] of Object.entries(parsed)) {
+      if (lockedAccounts.includes(accountId)) {
+        errors.push({
+          line: null,
+          message: `Account ${accountId} is locked by policy`,
+        });
+      } else {
+        incoming[accountId] = entry;
+      }
+    }
+
+    const current = await this.getAllAliases();
+    return { plan: this.planImport(current, incoming, mode), errors };
+  }
+
+  /**
+   * インポートの差分をプレビュー
+   * @param {string} text - インポートするファイルの内容
+   * @param {string} mode - インポートモード
+   * @param {string} format - インポート形式
+   * @returns {Promise<Object>} 差分（added, changed, removed, kept, unchanged）と行ごとのエラー（errors）
+   */
+  static async previewImport(text, mode, format) {
+    try {
+      const { plan, errors } = await this.prepareImport(text, mode, format);
+      return { ...plan.diff, errors };
+    } catch (error) {
+      throw new Error(`Failed to preview import: ${error.message}`);
+    }
+  }
+
+  /**
+   * エイリアスデータをインポート
+   * @param {string} text - インポートするファイルの内容
+   * @param {string} mode - インポートモード（デフォルトはreplace）
+   * @param {string} format - インポート形式（デフォルトはjson）
+   * @returns {Promise<Object>} { aliases: 保存後のマップ, diff: 適用した差分, errors: スキップした行 }
+   */
+  static async importAliases(text, mode = 'replace', format = 'json') {
+    try {
+      const { plan, errors } = await this.prepareImport(text, mode, format);
+      await this.saveAliases(plan.aliases);
+      return { ...plan, errors };
     } catch (error) {
       throw new Error(`Failed to import aliases: ${error.message}`);
     }
@@ -107,12 +716,19 @@ class StorageManager {
 
   /**
    * ストレージの変更を監視
-   * @param {Function} callback - 変更時に呼ばれるコールバック関数
+   * ローカルのエイリアスに加え、他の端末からの同期データ（chrome.storage.sync）の変更も通知する
+   * 同期データの変更時はローカルへの反映前のため、現在のローカルのエイリアスを渡す
+   * @param {Function} callback - 変更時に呼ばれるコールバック関数（aliases, areaName）
    */
   static watchChanges(callback) {
     chrome.storage.onChanged.addListener((changes, areaName) => {
       if (areaName === 'local' && changes[STORAGE_KEY]) {
-        callback(changes[STORAGE_KEY].newValue || {});
+        callback(this.normalizeAliases(changes[STORAGE_KEY].newValue), 'local');
+      } else if (
+        areaName === 'sync' &&
+        Object.keys(changes).some((key) => key.startsWith(SYNC_KEY_PREFIX))
+      ) {
+        this.getAllAliases().then((aliases) => callback(aliases, 'sync'));
       }
     });
   }
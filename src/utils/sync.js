@@ -0,0 +1,411 @@
+/**
+ * 端末間同期ユーティリティ
+ * 個人のエイリアスをchrome.storage.syncに分割して保存し、複数の端末間で同期する
+ * 競合はエントリごとの更新日時（削除は削除日時）で後勝ちとする
+ * バックグラウンドのサービスワーカーからのみ使用する
+ */
+
+// 同期設定と最終同期結果を保存するキー（chrome.storage.local）
+const SYNC_SETTINGS_KEY = 'aws_alias_sync_settings';
+
+// 同期データの管理情報を保存するキー（chrome.storage.sync）
+const SYNC_META_KEY = `${SYNC_KEY_PREFIX}meta`;
+
+class SyncManager {
+  // chrome.storage.syncの項目ごとの上限（バイト）
+  static QUOTA_BYTES_PER_ITEM =
+    (chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES_PER_ITEM) || 8192;
+
+  // chrome.storage.syncの合計の上限（バイト）
+  static QUOTA_BYTES =
+    (chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES) || 102400;
+
+  // 実装ごとの計測の差を吸収するために上限から差し引く余裕（バイト）
+  static QUOTA_MARGIN_BYTES = 256;
+
+  // 実行中の同期（同時に複数の同期が走らないよう直列化する）
+  static queue = Promise.resolve();
+
+  /**
+   * 同期設定を取得
+   * @returns {Promise<Object>} { enabled, lastSyncedAt, error }
+   */
+  static async getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([SYNC_SETTINGS_KEY], (result) => {
+        resolve({
+          enabled: false,
+          lastSyncedAt: null,
+          error: null,
+          ...result[SYNC_SETTINGS_KEY],
+        });
+      });
+    });
+  }
+
+  /**
+   * 同期設定を更新
+   * @param {Object} changes - 更新するフィールド
+   * @returns {Promise<Object>} 更新後の同期設定
+   */
+  static async updateSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [SYNC_SETTINGS_KEY]: settings }, resolve);
+    });
+    return settings;
+  }
+
+  /**
+   * 同期の有効・無効を切り替え
+   * 有効にした場合は即時に同期する。無効にしても同期済みのデータは削除しない
+   * @param {boolean} enabled - 有効にする場合true
+   * @returns {Promise<Object>} 同期状況（getStatus参照）
+   */
+  static async setEnabled(enabled) {
+    await this.updateSettings({ enabled: !!enabled, error: null });
+    if (enabled) {
+      await this.sync();
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * 同期状況を取得（ポップアップ表示用）
+   * @returns {Promise<Object>} { enabled, lastSyncedAt, error, bytesInUse, quotaBytes }
+   */
+  static async getStatus() {
+    const settings = await this.getSettings();
+    const bytesInUse = await new Promise((resolve) => {
+      chrome.storage.sync.getBytesInUse(null, (bytes) => {
+        resolve(chrome.runtime.lastError ? null : bytes);
+      });
+    });
+    return { ...settings, bytesInUse, quotaBytes: this.QUOTA_BYTES };
+  }
+
+  /**
+   * 同期が有効な場合のみ同期
+   * @returns {Promise<void>}
+   */
+  static async syncIfEnabled() {
+    const { enabled } = await this.getSettings();
+    if (enabled) {
+      await this.sync();
+    }
+  }
+
+  /**
+   * ローカルと同期データを統合し、双方に反映
+   * 失敗した場合はエラーを同期設定に記録し、ローカルのデータは変更しない
+   * @returns {Promise<void>}
+   */
+  static async sync() {
+    this.queue = this.queue
+      .then(() => this.runSync())
+      .catch((error) => {
+        console.warn('Failed to sync aliases:', error);
+        return this.updateSettings({ error: error.message });
+      });
+    return this.queue;
+  }
+
+  /**
+   * 同期処理の本体
+   * @returns {Promise<void>}
+   */
+  static async runSync() {
+    const [aliases, deleted, remoteItems] = await Promise.all([
+      StorageManager.getAllAliases(),
+      StorageManager.getDeletedAliases(),
+      this.getRemoteItems(),
+    ]);
+
+    const local = this.toEntries(aliases, deleted);
+    const remote = this.readEntries(remoteItems);
+    const merged = this.mergeEntries(local, remote);
+
+    // 同期データに書き込めることを確認してからローカルに反映する
+    const items = this.toItems(merged);
+    await this.writeRemoteItems(items, remoteItems);
+
+    if (this.hasChanges(local, merged)) {
+      const result = this.fromEntries(merged);
+      // 削除記録を先に保存し、他の端末で削除されたエントリに新しい削除日時が付かないようにする
+      await StorageManager.saveDeletedAliases(result.deleted);
+      await StorageManager.saveAliases(result.aliases);
+    }
+
+    await this.updateSettings({
+      lastSyncedAt: new Date().toISOString(),
+      error: null,
+    });
+  }
+
+  /**
+   * エイリアスマップと削除記録を同期用のエントリに変換
+   * @param {Object} aliases - エイリアスマップ
+   * @param {Object} deleted - 削除記録
+   * @returns {Object} アカウントIDをキー、レコードまたは { deletedAt } を値とするオブジェクト
+   */
+  static toEntries(aliases, deleted) {
+    const entries = {};
+    for (const [accountId, deletedAt] of Object.entries(deleted)) {
+      entries[accountId] = { deletedAt };
+    }
+    return { ...entries, ...aliases };
+  }
+
+  /**
+   * 同期用のエントリをエイリアスマップと削除記録に戻す
+   * @param {Object} entries - 同期用のエントリ
+   * @returns {Object} { aliases, deleted }
+   */
+  static fromEntries(entries) {
+    const aliases = {};
+    const deleted = {};
+    for (const [accountId, entry] of Object.entries(entries)) {
+      if (entry.deletedAt) {
+        deleted[accountId] = entry.deletedAt;
+      } else {
+        aliases[accountId] = entry;
+      }
+    }
+    return { aliases, deleted };
+  }
+
+  /**
+   * エントリの更新日時（削除記録は削除日時）を取得
+   * @param {Object} entry - 同期用のエントリ
+   * @returns {string} ISO 8601形式の日時（不明な場合は空文字）
+   */
+  static getTimestamp(entry) {
+    return entry.deletedAt || entry.updatedAt || '';
+  }
+
+  /**
+   * ローカルと同期データのエントリを後勝ちで統合
+   * 日時が同じで内容が異なる場合は、どの端末でも同じ結果になるよう内容の文字列で比較する
+   * @param {Object} local - ローカルのエントリ
+   * @param {Object} remote - 同期データのエントリ
+   * @returns {Object} 統合後のエントリ
+   */
+  static mergeEntries(local, remote) {
+    const merged = { ...local };
+
+    for (const [accountId, theirs] of Object.entries(remote)) {
+      const ours = local[accountId];
+      if (!ours) {
+        merged[accountId] = theirs;
+        continue;
+      }
+
+      const oursAt = this.getTimestamp(ours);
+      const theirsAt = this.getTimestamp(theirs);
+      if (
+        theirsAt > oursAt ||
+        (theirsAt === oursAt && JSON.stringify(theirs) > JSON.stringify(ours))
+      ) {
+        merged[accountId] = theirs;
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * 統合結果がローカルと異なるか判定
+   * @param {Object} local - ローカルのエントリ
+   * @param {Object} merged - 統合後のエントリ
+   * @returns {boolean} ローカルへの反映が必要な場合true
+   */
+  static hasChanges(local, merged) {
+    const accountIds = new Set([...Object.keys(local), ...Object.keys(merged)]);
+    return [...accountIds].some(
+      (accountId) =>
+        JSON.stringify(local[accountId]) !== JSON.stringify(merged[accountId])
+    );
+  }
+
+  /**
+   * 文字列のUTF-8でのバイト数を取得
+   * @param {string} text - 文字列
+   * @returns {number} バイト数
+   */
+  static byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  /**
+   * 容量を節約するため、エントリから空の値のフィールドを除く
+   * 読み込み時はStorageManager.normalizeEntryで既定値に戻る
+   * @param {Object} entry - 同期用のエントリ
+   * @returns {Object} 空のフィールドを除いたエントリ
+   */
+  static compactEntry(entry) {
+    const compacted = {};
+    for (const [field, value] of Object.entries(entry)) {
+      const empty =
+        value === null ||
+        value === '' ||
+        (Array.isArray(value) && value.length === 0);
+      if (!empty) {
+        compacted[field] = value;
+      }
+    }
+    return compacted;
+  }
+
+  /**
+   * エントリを項目ごとの上限に収まるチャンクに分割して同期データの項目を作成
+   * chrome.storage.syncはキーの長さとJSON化した値の長さの合計で容量を計測する
+   * @param {Object} entries - 同期用のエントリ
+   * @returns {Object} キーを同期データのキー、値をチャンクとするオブジェクト（管理情報を含む）
+   * @throws {Error} 1件のエントリまたは合計が上限を超える場合
+   */
+  static toItems(entries) {
+    const limit = this.QUOTA_BYTES_PER_ITEM - this.QUOTA_MARGIN_BYTES;
+    const chunks = [];
+    let chunk = {};
+    let chunkBytes = 0;
+
+    // キーの順序を固定し、変更のないチャンクを書き換えないようにする
+    for (const accountId of Object.keys(entries).sort()) {
+      const entry = this.compactEntry(entries[accountId]);
+      const entryBytes = this.byteLength(
+        `${JSON.stringify(accountId)}:${JSON.stringify(entry)},`
+      );
+      if (entryBytes > limit) {
+        throw new Error(`Alias for ${accountId} is too large to sync`);
+      }
+
+      if (chunkBytes + entryBytes > limit) {
+        chunks.push(chunk);
+        chunk = {};
+        chunkBytes = 0;
+      }
+      chunk[accountId] = entry;
+      chunkBytes += entryBytes;
+    }
+    if (chunkBytes > 0) {
+      chunks.push(chunk);
+    }
+
+    const items = {};
+    chunks.forEach((value, index) => {
+      items[`${SYNC_KEY_PREFIX}${index}`] = value;
+    });
+    items[SYNC_META_KEY] = {
+      schemaVersion: StorageManager.SCHEMA_VERSION,
+      chunkCount: chunks.length,
+    };
+
+    const totalBytes = Object.entries(items).reduce(
+      (sum, [key, value]) => sum + this.byteLength(key + JSON.stringify(value)),
+      0
+    );
+    if (totalBytes > this.QUOTA_BYTES - this.QUOTA_MARGIN_BYTES) {
+      throw new Error(
+        `Sync storage quota exceeded (${totalBytes} / ${this.QUOTA_BYTES} bytes)`
+      );
+    }
+
+    return items;
+  }
+
+  /**
+   * 同期データの項目をすべて取得
+   * @returns {Promise<Object>} 同期データのキーを持つ項目
+   */
+  static async getRemoteItems() {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.get(null, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        const items = {};
+        for (const [key, value] of Object.entries(result || {})) {
+          if (key.startsWith(SYNC_KEY_PREFIX)) {
+            items[key] = value;
+          }
+        }
+        resolve(items);
+      });
+    });
+  }
+
+  /**
+   * 同期データの項目からエントリを復元
+   * @param {Object} items - 同期データの項目
+   * @returns {Object} 同期用のエントリ
+   * @throws {Error} 新しいスキーマバージョンで保存されている場合
+   */
+  static readEntries(items) {
+    const meta = items[SYNC_META_KEY];
+    if (!meta) {
+      return {};
+    }
+    if (meta.schemaVersion > StorageManager.SCHEMA_VERSION) {
+      throw new Error(
+        `Synced aliases use a newer schema version (v${meta.schemaVersion}). Update the extension on this device.`
+      );
+    }
+
+    const entries = {};
+    for (let index = 0; index < meta.chunkCount; index++) {
+      const chunk = items[`${SYNC_KEY_PREFIX}${index}`] || {};
+      for (const [accountId, value] of Object.entries(chunk)) {
+        if (value && value.deletedAt) {
+          entries[accountId] = { deletedAt: value.deletedAt };
+          continue;
+        }
+        const entry = StorageManager.normalizeEntry(value);
+        if (entry) {
+          entries[accountId] = entry;
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * 変更のある項目のみ同期データに書き込み、不要になったチャンクを削除
+   * 書き込み回数の制限があるため、変更がない場合は何も書き込まない
+   * @param {Object} items - 書き込む項目（toItems参照）
+   * @param {Object} remoteItems - 現在の同期データの項目
+   * @returns {Promise<void>}
+   */
+  static async writeRemoteItems(items, remoteItems) {
+    const changed = {};
+    for (const [key, value] of Object.entries(items)) {
+      if (JSON.stringify(value) !== JSON.stringify(remoteItems[key])) {
+        changed[key] = value;
+      }
+    }
+    const stale = Object.keys(remoteItems).filter((key) => !(key in items));
+
+    if (Object.keys(changed).length > 0) {
+      await new Promise((resolve, reject) => {
+        chrome.storage.sync.set(changed, () => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+
+    if (stale.length > 0) {
+      await new Promise((resolve) => {
+        chrome.storage.sync.remove(stale, resolve);
+      });
+    }
+  }
+}
+
+// グローバルスコープに公開（他のユーティリティと同様）
+if (typeof window !== 'undefined') {
+  window.SyncManager = SyncManager;
+}
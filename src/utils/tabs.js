@@ -0,0 +1,153 @@
+/**
+ * コンテンツスクリプト操作クライアント
+ * バックグラウンド・ポップアップから、AWSコンソールのタブのコンテンツスクリプトへメッセージを送信する
+ *
+ * メッセージは { action, ...引数 } の形式で、タブのすべてのフレームに届く（frameIdを指定した場合はそのフレームのみ）
+ * すべてのフレームが操作を実行し、応答はトップフレームのみが返す（バックグラウンドと同じ { success, data, error } 形式）
+ *
+ * 応答を返すアクション:
+ * - getCurrentAccount: 表示中のアカウントを取得
+ *     → { accountId, source: 'url'|'navigation' } またはnull
+ * - getStatus: エイリアスの表示状況を取得
+ *     → { paused, scopeMode, annotationCount, debugMode }
+ * - applyAliases: ページ全体のエイリアスを作り直す（アイドル時に処理するため、応答の件数は作り直す前） → getStatusと同じ
+ * - clearAliases: 表示中のエイリアスをクリア（以降に追加された要素には表示される） → getStatusと同じ
+ * - setPaused { paused }: エイリアスの表示を一時停止・再開（pausedを省略すると切り替え） → getStatusと同じ
+ * - highlightAccount { accountId }: アカウントIDを強調表示し、最初の位置までスクロール
+ *     → { count: トップフレームで見つかった件数 }
+ * - runDiagnostics: アカウントIDの検出状況を集計（AliasDiagnostics.summarize参照）
+ *     → { scope, paused, total, counts, reasons, invalidRules }
+ *
+ * 通知（応答なし）:
+ * - aliasesChanged { aliases }: 有効なエイリアスが変更された
+ * - tabUpdated { url }: タブのURLが変わった・読み込みが完了した
+ * - selectionCommand { command, accountId }: 選択テキストのコンテキストメニューの操作（frameIdで選択したフレームを指定）
+ */
+
+class TabClient {
+  // コンテンツスクリプトが動作するページ（manifest.jsonのcontent_scriptsと同じ）
+  static CONSOLE_URL_PATTERNS = [
+    'https://*.console.aws.amazon.com/*',
+    'https://console.aws.amazon.com/*',
+    'https://*.signin.aws.amazon.com/sessions/selector*',
+  ];
+
+  // chrome.tabs.sendMessageのエラーメッセージ
+  // 受信側のコンテンツスクリプトがない（未読み込み・読み込み中・拡張機能の更新直後など）
+  static MISSING_RECEIVER_ERROR = 'Receiving end does not exist';
+  // 受信側が応答を返さなかった（通知のアクションは応答しない）
+  static NO_RESPONSE_ERROR =
+    'The message port closed before a response was received';
+
+  /**
+   * URLがコンテンツスクリプトの動作するページかどうかを判定（CONSOLE_URL_PATTERNSのマッチパターンで判定）
+   * @param {string} url - URL文字列
+   * @returns {boolean} AWSコンソールのページの場合true
+   */
+  static isConsoleUrl(url) {
+    // ホスト名のワイルドカードはパスの区切りを含まない（別のホストのパスに一致させない）
+    const toSource = (text, wildcard) =>
+      text
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+        .join(wildcard);
+
+    return this.CONSOLE_URL_PATTERNS.some((pattern) => {
+      const [, host, path] = pattern.match(/^https:\/\/([^/]+)(\/.*)$/);
+      return new RegExp(
+        `^https://${toSource(host, '[^/]*')}${toSource(path, '.*')}$`
+      ).test(url);
+    });
+  }
+
+  /**
+   * タブのコンテンツスクリプトにメッセージを送信してレスポンスデータを取得
+   * @param {number} tabId - タブのID
+   * @param {string} action - アクション名
+   * @param {Object} payload - アクションの引数
+   * @param {Object} options - chrome.tabs.sendMessageのオプション（frameIdなど）
+   * @returns {Promise<*>} レスポンスのdata
+   * @throws {Error} コンテンツスクリプトが読み込まれていない場合、または操作に失敗した場合
+   */
+  static async send(tabId, action, payload = {}, options = {}) {
+    const response = await chrome.tabs.sendMessage(
+      tabId,
+      { action, ...payload },
+      options
+    );
+
+    if (!response) {
+      throw new Error('No response from content script');
+    }
+    if (!response.success) {
+      throw new Error(response.error || `Failed to ${action}`);
+    }
+    return response.data;
+  }
+
+  /**
+   * タブのコンテンツスクリプトに通知を送信（応答は待たない）
+   * 通知のアクションには応答しないため、応答がないことによるエラーは成功として扱う
+   * @param {number} tabId - タブのID
+   * @param {string} action - アクション名
+   * @param {Object} payload - アクションの引数
+   * @param {Object} options - chrome.tabs.sendMessageのオプション（frameIdなど）
+   * @returns {Promise<void>} コンテンツスクリプトが読み込まれていない場合、または送信に失敗した場合はreject
+   */
+  static async notify(tabId, action, payload = {}, options = {}) {
+    try {
+      await chrome.tabs.sendMessage(tabId, { action, ...payload }, options);
+    } catch (error) {
+      if (!String(error && error.message).includes(this.NO_RESPONSE_ERROR)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 送信先のコンテンツスクリプトがないことによるエラーかどうかを判定
+   * @param {Error} error - chrome.tabs.sendMessageのエラー
+   * @returns {boolean} コンテンツスクリプトが読み込まれていない場合true
+   */
+  static isMissingReceiver(error) {
+    return String(error && error.message).includes(this.MISSING_RECEIVER_ERROR);
+  }
+
+  /**
+   * 開いているすべてのAWSコンソールのタブに通知を送信
+   * コンテンツスクリプトが読み込まれていないタブ（読み込み中・拡張機能の更新直後など）は無視し、
+   * それ以外の送信の失敗はタブごとにログに記録する（他のタブへの送信は続ける）
+   * @param {string} action - アクション名
+   * @param {Object} payload - アクションの引数
+   * @returns {Promise<void>}
+   */
+  static async broadcast(action, payload = {}) {
+    const tabs = await chrome.tabs.query({ url: this.CONSOLE_URL_PATTERNS });
+    await Promise.all(
+      tabs.map((tab) =>
+        this.notify(tab.id, action, payload).catch((error) => {
+          if (!this.isMissingReceiver(error)) {
+            console.warn(`Failed to notify tab ${tab.id} of ${action}:`, error);
+          }
+        })
+      )
+    );
+  }
+
+  /**
+   * アクティブなタブを取得
+   * @returns {Promise<Object|null>} タブ（chrome.tabs.Tab）またはnull
+   */
+  static async getActiveTab() {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    return tab || null;
+  }
+}
+
+// グローバルスコープに公開（他のユーティリティと同様）
+if (typeof window !== 'undefined') {
+  window.TabClient = TabClient;
+}
@@ -0,0 +1,459 @@
+/**
+ * AliasManagerのテスト
+ * 保存したコンソールのHTMLに対して注釈の挿入・除外・削除を検証する
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAliasPage } = require('./helpers/dom');
+
+const ALIASES = {
+  123456789012: { alias: 'Prod', environment: 'prod', color: '#d13212' },
+  111122223333: { alias: 'Dev', environment: 'dev', color: null },
+};
+
+/**
+ * 要素配下のテキストノードを列挙
+ * @param {Node} root - 対象のノード
+ * @returns {Array<Text>} テキストノードの配列
+ */
+function collectTextNodes(root) {
+  const walker = root.ownerDocument.createTreeWalker(root, 4);
+  const nodes = [];
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+/**
+ * 要素配下の注釈のラベルを列挙
+ * @param {Element} root - 対象の要素
+ * @returns {Array<string>} data-alias-label属性の値の配列
+ */
+function labelsOf(root) {
+  return Array.from(root.querySelectorAll('.aws-custom-alias')).map(
+    (annotation) => annotation.dataset.aliasLabel
+  );
+}
+
+describe('normalizeAccountId', () => {
+  const { AliasManager } = createAliasPage();
+
+  it('4-4-4のハイフン区切り・12桁のアカウントIDを12桁に正規化する', () => {
+    assert.equal(
+      AliasManager.normalizeAccountId('1234-5678-9012'),
+      '123456789012'
+    );
+    assert.equal(
+      AliasManager.normalizeAccountId(' 123456789012 '),
+      '123456789012'
+    );
+  });
+
+  it('先頭のゼロが失われた10〜11桁の数字をゼロで補完する', () => {
+    assert.equal(
+      AliasManager.normalizeAccountId('12345678901'),
+      '012345678901'
+    );
+    assert.equal(AliasManager.normalizeAccountId(1234567890), '001234567890');
+  });
+
+  it('4-4-4以外のハイフン区切り・短い数字は補完しない', () => {
+    [
+      '1234-5678-901',
+      '12-3456-789012',
+      '123456-789012',
+      '42',
+      '123456789',
+    ].forEach((value) => {
+      assert.doesNotMatch(
+        AliasManager.normalizeAccountId(value),
+        /^\d{12}$/,
+        value
+      );
+    });
+  });
+});
+
+describe('extractAccountIdFromUrl', () => {
+  const { AliasManager } = createAliasPage();
+
+  it('マルチセッションのホスト名からアカウントIDを抽出する', () => {
+    assert.equal(
+      AliasManager.extractAccountIdFromUrl(
+        'https://123456789012-abcd1234.ap-northeast-1.console.aws.amazon.com/ec2/home?region=ap-northeast-1'
+      ),
+      '123456789012'
+    );
+    assert.equal(
+      AliasManager.extractAccountIdFromUrl(
+        'https://111122223333-x7y8z9.console.aws.amazon.com/console/home'
+      ),
+      '111122223333'
+    );
+  });
+
+  it('マルチセッション以外のURLではnullを返す', () => {
+    [
+      'https://console.aws.amazon.com/console/home',
+      'https://ap-northeast-1.console.aws.amazon.com/ec2/home',
+      'https://ap-northeast-1.signin.aws.amazon.com/sessions/selector',
+      'https://12345678901-abcd.console.aws.amazon.com/console/home',
+    ].forEach((url) => {
+      assert.equal(AliasManager.extractAccountIdFromUrl(url), null, url);
+    });
+  });
+});
+
+describe('formatTitle', () => {
+  const { document, AliasManager } = createAliasPage();
+
+  it('エイリアス名の改行・タブをdocument.titleと同じく1つの空白に詰める', () => {
+    const title = AliasManager.formatTitle('[{alias}] {region} – {original}', {
+      alias: 'Dev\n\tTeam',
+      region: '',
+      original: 'Console Home',
+    });
+
+    assert.equal(title, '[Dev Team] – Console Home');
+    document.title = title;
+    assert.equal(document.title, title);
+  });
+
+  it('ASCII以外の空白はdocument.titleと同じくそのまま残す', () => {
+    const title = AliasManager.formatTitle('{alias} {original}', {
+      alias: 'Dev\u00a0Team',
+      original: ' EC2 ',
+    });
+
+    assert.equal(title, 'Dev\u00a0Team EC2');
+    document.title = title;
+    assert.equal(document.title, title);
+  });
+});
+
+describe('annotateTextNode', () => {
+  it('アカウントIDの後ろに注釈を挿入し、ページのテキストは変更しない', () => {
+    const { document, AliasManager } = createAliasPage();
+    document.body.innerHTML = '<p>Account 1234-5678-9012 (owner)</p>';
+    const paragraph = document.querySelector('p');
+
+    const count = AliasManager.annotateTextNode(paragraph.firstChild, ALIASES);
+
+    assert.equal(count, 1);
+    assert.equal(paragraph.textContent, 'Account 1234-5678-9012 (owner)');
+    assert.deepEqual(labelsOf(paragraph), [' (Prod)']);
+    assert.equal(
+      paragraph.querySelector('.aws-custom-alias').previousSibling.nodeValue,
+      'Account 1234-5678-9012'
+    );
+  });
+
+  it('12桁形式・複数のアカウントIDに対応する', () => {
+    const { document, AliasManager } = createAliasPage();
+    document.body.innerHTML =
+      '<p>111122223333 / 999988887777 / 123456789012</p>';
+    const paragraph = document.querySelector('p');
+
+    const count = AliasManager.annotateTextNode(paragraph.firstChild, ALIASES);
+
+    assert.equal(count, 2);
+    assert.deepEqual(labelsOf(paragraph), [' (Dev)', ' (Prod)']);
+    assert.equal(
+      paragraph.textContent,
+      '111122223333 / 999988887777 / 123456789012'
+    );
+  });
+
+  it('エイリアスのないアカウントIDは変更しない', () => {
+    const { document, AliasManager } = createAliasPage();
+    document.body.innerHTML = '<p>Account 9999-8888-7777</p>';
+    const paragraph = document.querySelector('p');
+    const textNode = paragraph.firstChild;
+
+    assert.equal(AliasManager.annotateTextNode(textNode, ALIASES), 0);
+    assert.equal(paragraph.childNodes.length, 1);
+    assert.equal(paragraph.firstChild, textNode);
+  });
+
+  it('表示形式の設定に従って注釈を作成する', () => {
+    const { document, AliasManager } = createAliasPage();
+    document.body.innerHTML = '<p>1234-5678-9012</p>';
+    const paragraph = document.querySelector('p');
+
+    AliasManager.annotateTextNode(paragraph.firstChild, ALIASES, {
+      format: 'replace',
+    });
+
+    const annotation = paragraph.querySelector('.aws-custom-alias');
+    assert.equal(annotation.dataset.aliasLabel, 'Prod');
+    assert.equal(annotation.title, '1234-5678-9012');
+    // アカウントIDはコピーできるよう非表示の要素で囲むだけで削除しない
+    assert.equal(
+      paragraph.querySelector('.aws-custom-alias-id').textContent,
+      '1234-5678-9012'
+    );
+  });
+});
+
+describe('applyAliasesToNode', () => {
+  it('ナビゲーションのアカウントメニューに注釈を挿入する', () => {
+    const { document, AliasManager } = createAliasPage('console-nav.html');
+    const header = document.getElementById('consoleNavHeader');
+
+    const count = AliasManager.applyAliasesToNode(document.body, ALIASES);
+
+    assert.equal(count, 3);
+    assert.deepEqual(labelsOf(header), [' (Prod)', ' (Prod)', ' (Dev)']);
+    assert.deepEqual(labelsOf(document.getElementById('app')), []);
+  });
+
+  it('セッション選択画面の各セッションに注釈を挿入する', () => {
+    const { document, AliasManager } = createAliasPage(
+      'sessions-selector.html'
+    );
+
+    AliasManager.applyAliasesToNode(document.body, ALIASES);
+
+    const labels = Array.from(document.querySelectorAll('.session-card')).map(
+      (card) => labelsOf(card)
+    );
+    assert.deepEqual(labels, [[' (Prod)'], [' (Dev)'], []]);
+  });
+
+  it('コンソールホームの表・テキスト中のアカウントIDに注釈を挿入する', () => {
+    const { document, AliasManager } = createAliasPage('console-home.html');
+
+    const count = AliasManager.applyAliasesToNode(document.body, ALIASES);
+
+    assert.equal(count, 5);
+    const cells = Array.from(document.querySelectorAll('tbody td:last-child'));
+    assert.deepEqual(
+      cells.map((cell) => labelsOf(cell)),
+      [[' (Prod)'], [' (Dev)'], []]
+    );
+    assert.deepEqual(labelsOf(document.querySelector('.widget + .widget')), [
+      ' (Prod)',
+      ' (Dev)',
+    ]);
+  });
+
+  it('ARN・コードブロック内のアカウントIDには注釈を挿入しない', () => {
+    const { document, AliasManager } = createAliasPage('arn-code.html');
+
+    const count = AliasManager.applyAliasesToNode(document.body, ALIASES);
+
+    assert.equal(count, 2);
+    const annotated = Array.from(
+      document.querySelectorAll('.aws-custom-alias')
+    ).map((annotation) => annotation.parentElement.id);
+    assert.deepEqual(annotated, ['trusted', 'caller']);
+  });
+
+  it('適用範囲外の要素には注釈を挿入しない', () => {
+    const { document, AliasManager } = createAliasPage('console-nav.html');
+
+    const count = AliasManager.applyAliasesToNode(document.body, ALIASES, {
+      isInScope: (element) => !element.closest('[role="menu"]'),
+    });
+
+    assert.equal(count, 1);
+    assert.deepEqual(labelsOf(document.body), [' (Prod)']);
+  });
+});
+
+describe('isExcludedElement', () => {
+  const { document, AliasManager } = createAliasPage('arn-code.html');
+  const find = (selector) => document.querySelector(selector);
+
+  it('ARN・リソースID・コード表示の要素を除外する', () => {
+    [
+      '.role-arn-value',
+      '#resource-arn',
+      'pre',
+      'code',
+      '.code-block .line',
+    ].forEach((selector) => {
+      assert.equal(AliasManager.isExcludedElement(find(selector)), true);
+    });
+  });
+
+  it('ARNを含むテキストの要素を除外する', () => {
+    assert.equal(AliasManager.isExcludedElement(find('main p')), true);
+    assert.equal(
+      AliasManager.getExclusionReason(find('main p')),
+      'ARNを含むテキスト'
+    );
+  });
+
+  it('通常のテキストの要素は除外しない', () => {
+    ['#trusted', '#caller', 'h1'].forEach((selector) => {
+      assert.equal(AliasManager.isExcludedElement(find(selector)), false);
+      assert.equal(AliasManager.getExclusionReason(find(selector)), null);
+    });
+  });
+
+  it('ユーザー定義の除外ルールを適用する', () => {
+    const exclusions = AliasManager.compileExclusions([
+      { type: 'selector', pattern: '#trusted' },
+      { type: 'text', pattern: '^\\d{12}$' },
+    ]);
+
+    assert.equal(exclusions.errors.length, 0);
+    assert.equal(
+      AliasManager.isExcludedElement(find('#trusted'), exclusions),
+      true
+    );
+    assert.equal(
+      AliasManager.isExcludedElement(find('#caller'), exclusions),
+      true
+    );
+    assert.equal(AliasManager.isExcludedElement(find('h1'), exclusions), false);
+  });
+});
+
+describe('clearAliasesFromElement', () => {
+  ['console-nav.html', 'sessions-selector.html', 'console-home.html'].forEach(
+    (fixture) => {
+      it(`元のDOMに戻す（${fixture}）`, () => {
+        const { document, AliasManager } = createAliasPage(fixture);
+        const originalHtml = document.body.innerHTML;
+        const originalTextNodes = collectTextNodes(document.body);
+
+        assert.ok(AliasManager.applyAliasesToNode(document.body, ALIASES) > 0);
+        assert.notEqual(document.body.innerHTML, originalHtml);
+
+        AliasManager.clearAliasesFromElement(document.body);
+
+        assert.equal(document.body.innerHTML, originalHtml);
+        // 分割したテキストノードは元のノードに結合される
+        const textNodes = collectTextNodes(document.body);
+        assert.equal(textNodes.length, originalTextNodes.length);
+        textNodes.forEach((node, index) => {
+          assert.equal(node, originalTextNodes[index]);
+        });
+      });
+    }
+  );
+
+  it('アカウントIDを非表示にする表示形式の注釈も元に戻す', () => {
+    const { document, AliasManager } = createAliasPage('console-home.html');
+    const originalHtml = document.body.innerHTML;
+
+    AliasManager.applyAliasesToNode(document.body, ALIASES, {
+      display: { format: 'badge' },
+    });
+    assert.ok(document.querySelector('.aws-custom-alias-id'));
+    AliasManager.clearAliasesFromElement(document.body);
+
+    assert.equal(document.body.innerHTML, originalHtml);
+  });
+
+  it('指定した要素配下の注釈のみを削除する', () => {
+    const { document, AliasManager } = createAliasPage('console-nav.html');
+    AliasManager.applyAliasesToNode(document.body, ALIASES);
+
+    AliasManager.clearAliasesFromElement(
+      document.querySelector('.session-menu-content')
+    );
+
+    assert.deepEqual(labelsOf(document.body), [' (Prod)']);
+  });
+});
+
+describe('繰り返しの適用', () => {
+  ['console-nav.html', 'sessions-selector.html', 'console-home.html'].forEach(
+    (fixture) => {
+      it(`2回目の適用ではDOMを変更しない（${fixture}）`, () => {
+        const { document, AliasManager } = createAliasPage(fixture);
+
+        AliasManager.applyAliasesToNode(document.body, ALIASES);
+        const appliedHtml = document.body.innerHTML;
+        const count = AliasManager.applyAliasesToNode(document.body, ALIASES);
+
+        assert.equal(count, 0);
+        assert.equal(document.body.innerHTML, appliedHtml);
+      });
+
+      it(`クリアと再適用を繰り返しても同じ結果になる（${fixture}）`, () => {
+        const { document, AliasManager } = createAliasPage(fixture);
+
+        AliasManager.applyAliasesToNode(document.body, ALIASES);
+        const appliedHtml = document.body.innerHTML;
+        for (let i = 0; i < 3; i++) {
+          AliasManager.clearAliasesFromElement(document.body);
+          AliasManager.applyAliasesToNode(document.body, ALIASES);
+        }
+
+        assert.equal(document.body.innerHTML, appliedHtml);
+      });
+    }
+  );
+});
+
+describe('エイリアス名のエスケープ', () => {
+  const HOSTILE_ALIASES = ['<img onerror=x>', 'a&b', '"q"', '(x)'];
+
+  HOSTILE_ALIASES.forEach((alias) => {
+    it(`HTMLとして解釈せずに表示する（${alias}）`, () => {
+      const { document, AliasManager } = createAliasPage('console-home.html');
+      const aliases = { 123456789012: { alias } };
+      const app = document.getElementById('app');
+      const originalText = app.textContent;
+      const originalElementCount = app.querySelectorAll('*').length;
+
+      const count = AliasManager.applyAliasesToNode(document.body, aliases);
+
+      assert.equal(count, 2);
+      const annotations = Array.from(app.querySelectorAll('.aws-custom-alias'));
+      annotations.forEach((annotation) => {
+        assert.equal(
+          annotation.getAttribute('data-alias-label'),
+          ` (${alias})`
+        );
+        // エイリアス名は属性値のみに設定し、子ノードを作成しない
+        assert.equal(annotation.childNodes.length, 0);
+        assert.equal(annotation.textContent, '');
+      });
+      // 注釈以外の要素は作成されず、ページのテキストも変わらない
+      assert.equal(
+        app.querySelectorAll('*').length,
+        originalElementCount + annotations.length
+      );
+      assert.equal(app.querySelector('img'), null);
+      assert.equal(app.textContent, originalText);
+    });
+  });
+
+  it('カスタムの表示形式でもエイリアス名をそのまま表示する', () => {
+    const { document, AliasManager } = createAliasPage();
+    document.body.innerHTML = '<p>1234-5678-9012</p>';
+    const paragraph = document.querySelector('p');
+
+    AliasManager.annotateTextNode(
+      paragraph.firstChild,
+      { 123456789012: { alias: '<b>&"(x)"</b>' } },
+      { format: 'custom', template: '[{alias}] {formattedId}' }
+    );
+
+    const annotation = paragraph.querySelector('.aws-custom-alias');
+    assert.equal(
+      annotation.dataset.aliasLabel,
+      '[<b>&"(x)"</b>] 1234-5678-9012'
+    );
+    assert.equal(paragraph.querySelector('b'), null);
+    assert.equal(annotation.childNodes.length, 0);
+  });
+
+  it('括弧を含むエイリアスもクリアして元のテキストに戻す', () => {
+    const { document, AliasManager } = createAliasPage('console-home.html');
+    const originalHtml = document.body.innerHTML;
+    const aliases = { 123456789012: { alias: '(x) <img onerror=x>' } };
+
+    AliasManager.applyAliasesToNode(document.body, aliases);
+    AliasManager.clearAliasesFromElement(document.body);
+
+    assert.equal(document.body.innerHTML, originalHtml);
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * コンテンツスクリプトのテスト
+ * 保存したコンソールのHTMLでコンテンツスクリプトを起動し、
+ * chrome.storageの代替から読み込んだエイリアスの表示とメッセージの処理を検証する
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createAliasPage,
+  startContentScript,
+  settle,
+} = require('./helpers/dom');
+
+// chrome.storage.localに保存されているエイリアス
+const STORED_ALIASES = {
+  123456789012: { alias: 'Prod', environment: 'prod', color: '#d13212' },
+  111122223333: { alias: 'Dev', environment: 'dev' },
+};
+
+const MULTI_SESSION_HOME =
+  'https://111122223333-abcd1234.ap-northeast-1.console.aws.amazon.com/console/home?region=ap-northeast-1';
+
+/**
+ * コンテンツスクリプトを起動し、テスト終了時にウィンドウを閉じる
+ * @param {TestContext} t - テストのコンテキスト
+ * @param {string} fixture - test/fixtures内のファイル名
+ * @param {Object} options - startContentScriptのオプション
+ * @returns {Promise<Object>} startContentScriptの結果
+ */
+async function start(t, fixture, options) {
+  const page = await startContentScript(fixture, {
+    aliases: STORED_ALIASES,
+    ...options,
+  });
+  t.after(page.close);
+  return page;
+}
+
+/**
+ * 要素配下の注釈のラベルを列挙
+ * @param {Element} root - 対象の要素
+ * @returns {Array<string>} data-alias-label属性の値の配列
+ */
+function labelsOf(root) {
+  return Array.from(root.querySelectorAll('.aws-custom-alias')).map(
+    (annotation) => annotation.dataset.aliasLabel
+  );
+}
+
+describe('コンテンツスクリプト', () => {
+  it('保存されたエイリアスをコンソールホームに表示する', async (t) => {
+    const { window, send } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+      settings: { titleEnabled: true },
+    });
+    const { document } = window;
+
+    assert.deepEqual(labelsOf(document.getElementById('app')), [
+      ' (Prod)',
+      ' (Dev)',
+      ' (Prod)',
+      ' (Dev)',
+    ]);
+    assert.deepEqual(labelsOf(document.getElementById('consoleNavHeader')), [
+      ' (Dev)',
+    ]);
+    assert.equal(
+      document.title,
+      '[Dev] ap-northeast-1 – Console Home',
+      'タブタイトルにURLのアカウントのエイリアスを表示する'
+    );
+
+    const status = await send({ action: 'getStatus' });
+    assert.equal(status.success, true);
+    assert.equal(status.data.scopeMode, 'on');
+    assert.equal(status.data.annotationCount, 5);
+  });
+
+  it('改行・タブを含むエイリアスでもタブタイトルを繰り返し適用しない', async (t) => {
+    const { window } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+      aliases: { 111122223333: { alias: 'Dev\nTeam\tA' } },
+      settings: { titleEnabled: true },
+    });
+    const { document } = window;
+    assert.equal(document.title, '[Dev Team A] ap-northeast-1 – Console Home');
+
+    // コンソールがSPAのページ遷移でタイトルを再設定した場合
+    document.title = 'EC2 Management Console';
+    await settle();
+    assert.equal(
+      document.title,
+      '[Dev Team A] ap-northeast-1 – EC2 Management Console'
+    );
+  });
+
+  it('タブタイトルは既定では変更しない', async (t) => {
+    const { window } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+
+    assert.equal(window.document.title, 'Console Home');
+  });
+
+  it('URL・ナビゲーションから表示中のアカウントを検出する', async (t) => {
+    const multiSession = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+    const fromUrl = await multiSession.send({ action: 'getCurrentAccount' });
+    assert.equal(fromUrl.data.accountId, '111122223333');
+    assert.equal(fromUrl.data.source, 'url');
+
+    const singleSession = await start(t, 'console-nav.html', {
+      url: 'https://ap-northeast-1.console.aws.amazon.com/ec2/home',
+    });
+    const fromNavigation = await singleSession.send({
+      action: 'getCurrentAccount',
+    });
+    assert.equal(fromNavigation.data.accountId, '123456789012');
+    assert.equal(fromNavigation.data.source, 'navigation');
+  });
+
+  it('適用範囲がナビゲーションのみのページではページ本文に表示しない', async (t) => {
+    const { window } = await start(t, 'console-nav.html', {
+      url: 'https://ap-northeast-1.console.aws.amazon.com/ec2/home',
+      aliases: {
+        ...STORED_ALIASES,
+        999988887777: { alias: 'Sandbox' },
+      },
+    });
+    const { document } = window;
+
+    assert.deepEqual(labelsOf(document.getElementById('consoleNavHeader')), [
+      ' (Prod)',
+      ' (Prod)',
+      ' (Dev)',
+    ]);
+    assert.deepEqual(labelsOf(document.getElementById('app')), []);
+  });
+
+  it('セッション選択画面に表示する', async (t) => {
+    const { window } = await start(t, 'sessions-selector.html', {
+      url: 'https://ap-northeast-1.signin.aws.amazon.com/sessions/selector',
+    });
+    const { document } = window;
+
+    assert.equal(document.body.dataset.page, 'sessions-selector');
+    const labels = Array.from(document.querySelectorAll('.session-card')).map(
+      (card) => labelsOf(card)
+    );
+    assert.deepEqual(labels, [[' (Prod)'], [' (Dev)'], []]);
+  });
+
+  it('ARN・コードブロック内には表示しない', async (t) => {
+    const { window } = await start(t, 'arn-code.html', {
+      url: 'https://111122223333-abcd1234.console.aws.amazon.com/iam/home#/roles/Admin',
+    });
+
+    const annotated = Array.from(
+      window.document.querySelectorAll('#app .aws-custom-alias')
+    ).map((annotation) => annotation.parentElement.id);
+    assert.deepEqual(annotated, ['trusted', 'caller']);
+  });
+
+  it('applyAliasesを繰り返してもページは変わらない', async (t) => {
+    const { window, send } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+    const app = window.document.getElementById('app');
+    const appliedHtml = app.innerHTML;
+
+    for (let i = 0; i < 3; i++) {
+      const response = await send({ action: 'applyAliases' });
+      assert.equal(response.success, true);
+      assert.equal(app.innerHTML, appliedHtml);
+    }
+    const status = await send({ action: 'getStatus' });
+    assert.equal(status.data.annotationCount, 5);
+  });
+
+  it('clearAliasesで元のページに戻す', async (t) => {
+    const original = createAliasPage('console-home.html');
+    const { window, send } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+
+    const response = await send({ action: 'clearAliases' });
+
+    assert.equal(response.data.annotationCount, 0);
+    assert.equal(
+      window.document.getElementById('app').innerHTML,
+      original.document.getElementById('app').innerHTML
+    );
+  });
+
+  it('aliasesChangedの通知でエイリアスを作り直す', async (t) => {
+    const { window, send } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+
+    await send({
+      action: 'aliasesChanged',
+      aliases: { 123456789012: { alias: 'Production' } },
+    });
+
+    assert.deepEqual(labelsOf(window.document.body), [
+      ' (Production)',
+      ' (Production)',
+    ]);
+  });
+
+  it('tabUpdatedの通知で遷移先のURLの適用範囲を再評価する', async (t) => {
+    const { window, send } = await start(t, 'console-nav.html', {
+      url: 'https://111122223333-abcd1234.console.aws.amazon.com/ec2/home',
+      aliases: {
+        ...STORED_ALIASES,
+        999988887777: { alias: 'Sandbox' },
+      },
+    });
+    const app = window.document.getElementById('app');
+    assert.deepEqual(labelsOf(app), []);
+
+    // コンソールのページ遷移はページの実行環境のhistory APIで行われ、コンテンツスクリプトからは検知しない
+    window.history.pushState({}, '', '/organizations/v2/home/accounts');
+    await settle();
+    assert.deepEqual(labelsOf(app), []);
+
+    await send({ action: 'tabUpdated', url: window.location.href });
+    assert.deepEqual(labelsOf(app), [' (Sandbox)']);
+    const status = await send({ action: 'getStatus' });
+    assert.equal(status.data.scopeMode, 'on');
+
+    // 戻るによる遷移はpopstateで検知する
+    window.history.pushState({}, '', '/lambda/home');
+    await send({ action: 'tabUpdated', url: window.location.href });
+    assert.deepEqual(labelsOf(app), []);
+    window.history.back();
+    await settle();
+    assert.deepEqual(labelsOf(app), [' (Sandbox)']);
+  });
+
+  it('フォーカスのないフレームの選択解除ではメニューの状態を通知しない', async (t) => {
+    const { window, chrome } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+    const { document } = window;
+    let focused = true;
+    document.hasFocus = () => focused;
+    const selections = () =>
+      chrome.sentMessages
+        .filter((message) => message.action === 'selectionChanged')
+        .map((message) => message.accountId);
+    const select = (element) => {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      if (element) {
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        selection.addRange(range);
+      }
+      document.dispatchEvent(new window.Event('selectionchange'));
+    };
+
+    select(document.querySelector('strong'));
+    assert.deepEqual(selections(), ['111122223333']);
+
+    // 別のフレームにフォーカスが移り、このフレームの選択が解除された
+    focused = false;
+    select(null);
+    assert.deepEqual(selections(), ['111122223333']);
+
+    // 再びこのフレームで選択・選択解除した場合は通知する
+    focused = true;
+    select(document.querySelector('strong'));
+    select(null);
+    assert.deepEqual(selections(), ['111122223333', '111122223333', null]);
+  });
+
+  it('コンテキストメニューのコピーでエイリアスをクリップボードにコピーする', async (t) => {
+    const { window, send } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+    const { document } = window;
+    const copied = [];
+    document.execCommand = (command) => {
+      const textarea = document.getElementById('aws-custom-alias-clipboard');
+      copied.push([command, textarea.value]);
+      return true;
+    };
+    const strong = document.querySelector('strong');
+    const range = document.createRange();
+    range.selectNodeContents(strong);
+    window.getSelection().addRange(range);
+
+    await send({
+      action: 'selectionCommand',
+      command: 'copy',
+      accountId: '123456789012',
+    });
+
+    assert.deepEqual(copied, [['copy', 'Prod']]);
+    assert.equal(document.getElementById('aws-custom-alias-clipboard'), null);
+    assert.equal(
+      window.getSelection().toString(),
+      strong.textContent,
+      'ページの選択範囲を元に戻す'
+    );
+    assert.match(
+      document.getElementById('aws-custom-alias-toast').textContent,
+      /Prod/
+    );
+  });
+
+  it('ページが作成したシャドウルートの中に表示する', async (t) => {
+    const { window } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+    const { document } = window;
+    // MAIN worldのattachShadowの置き換え（テストでは同じウィンドウで実行する）
+    window.eval(
+      fs.readFileSync(
+        path.resolve(__dirname, '../src/content/shadow.js'),
+        'utf8'
+      )
+    );
+    const bubbled = [];
+    document.addEventListener('aws-custom-alias-shadow-root', (event) =>
+      bubbled.push(event)
+    );
+
+    const host = document.createElement('div');
+    document.getElementById('app').appendChild(host);
+    const shadowRoot = host.attachShadow({ mode: 'open' });
+    shadowRoot.innerHTML = '<p>Account 1234-5678-9012</p><div></div>';
+    await settle();
+    assert.deepEqual(labelsOf(shadowRoot), [' (Prod)']);
+
+    // シャドウルートの中のホスト
+    const nestedHost = shadowRoot.querySelector('div');
+    const nestedRoot = nestedHost.attachShadow({ mode: 'open' });
+    nestedRoot.innerHTML = '<p>Account 111122223333</p>';
+    await settle();
+    assert.deepEqual(labelsOf(nestedRoot), [' (Dev)']);
+
+    assert.equal(bubbled.length, 0, 'ページのリスナーに通知が伝わらない');
+  });
+
+  it('診断モードのスクロールではページを再走査せず、枠の位置の更新を間引く', async (t) => {
+    const { window } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+      settings: { debugMode: true },
+    });
+    await settle();
+    const { AliasDiagnostics } = window;
+    const calls = { collect: 0, reposition: 0 };
+    ['collect', 'reposition'].forEach((name) => {
+      const original = AliasDiagnostics[name];
+      AliasDiagnostics[name] = function (...args) {
+        calls[name]++;
+        return original.apply(this, args);
+      };
+    });
+
+    for (let i = 0; i < 20; i++) {
+      window.document.dispatchEvent(new window.Event('scroll'));
+      await settle(10);
+    }
+    await settle(150);
+
+    assert.equal(calls.collect, 0);
+    assert.ok(calls.reposition > 0 && calls.reposition <= 4, calls.reposition);
+  });
+
+  it('保存された不正な除外ルールは報告して無視し、他のルールは適用する', async (t) => {
+    // インポート・管理ポリシーなど、ポップアップの検証を経ずに保存されたルール
+    const { window, send } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+      settings: {
+        excludeRules: [
+          { type: 'selector', pattern: '#app [' },
+          // 単独では有効だが、結合すると閉じていない文字列が後続のセレクタを含んでしまう
+          { type: 'selector', pattern: '[title="not-found' },
+          { type: 'selector', pattern: '#consoleNavHeader' },
+        ],
+      },
+    });
+    const { document } = window;
+
+    assert.deepEqual(labelsOf(document.getElementById('app')), [
+      ' (Prod)',
+      ' (Dev)',
+      ' (Prod)',
+      ' (Dev)',
+    ]);
+    assert.deepEqual(labelsOf(document.getElementById('consoleNavHeader')), []);
+
+    const diagnostics = await send({ action: 'runDiagnostics' });
+    assert.equal(diagnostics.data.invalidRules.length, 1);
+    assert.match(diagnostics.data.invalidRules[0], /#app \[/);
+  });
+
+  it('後から追加された要素に表示する', async (t) => {
+    const { window } = await start(t, 'console-home.html', {
+      url: MULTI_SESSION_HOME,
+    });
+    const { document } = window;
+
+    const row = document.createElement('p');
+    row.id = 'added';
+    row.textContent = 'Account 1234-5678-9012';
+    document.getElementById('app').appendChild(row);
+    await settle();
+
+    assert.deepEqual(labelsOf(document.getElementById('added')), [' (Prod)']);
+  });
+});
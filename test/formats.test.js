@@ -0,0 +1,156 @@
+/**
+ * AliasFormatsのテスト
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers/dom');
+
+const { AliasFormats } = createWindow({
+  scripts: [
+    'src/utils/logger.js',
+    'src/utils/alias.js',
+    'src/utils/formats.js',
+  ],
+});
+
+/**
+ * 解析結果のエラーを「行番号: メッセージ」の配列に変換
+ * @param {Object} result - AliasFormats.parseの結果
+ * @returns {Array<string>} エラーの一覧
+ */
+function errorsOf(result) {
+  return Array.from(
+    result.errors,
+    ({ line, message }) => `${line}: ${message}`
+  );
+}
+
+describe('parseDelimited', () => {
+  it('ハイフン区切り・先頭のゼロが失われたアカウントIDを正規化する', () => {
+    const result = AliasFormats.parse(
+      [
+        'account_id,alias',
+        '1234-5678-9012,Prod',
+        '11122223333,Dev',
+        '"111122224444",Staging',
+      ].join('\n'),
+      'csv'
+    );
+
+    assert.deepEqual(Object.keys(result.aliases), [
+      '123456789012',
+      '011122223333',
+      '111122224444',
+    ]);
+    assert.deepEqual(errorsOf(result), []);
+  });
+
+  it('不正なアカウントIDは行ごとのエラーとして報告する', () => {
+    const result = AliasFormats.parse(
+      [
+        'account_id\talias',
+        '1234-5678-901\tShort',
+        '42\tAnswer',
+        '1234-56789012\tMixed',
+        '123456789012\tProd',
+      ].join('\n'),
+      'tsv'
+    );
+
+    assert.deepEqual(Object.keys(result.aliases), ['123456789012']);
+    assert.deepEqual(errorsOf(result), [
+      '2: Invalid account ID: 1234-5678-901',
+      '3: Invalid account ID: 42',
+      '4: Invalid account ID: 1234-56789012',
+    ]);
+  });
+
+  it('環境区分・カラーを検証し、不正な値は行ごとのエラーとして報告する', () => {
+    const result = AliasFormats.parse(
+      [
+        'account_id,alias,environment,color',
+        '123456789012,Prod,Prod,#D13212',
+        '111122223333,Dev,development,',
+        '111122224444,Staging,staging,red',
+        '111122225555,Sandbox,,#0073bb;background:url(x)',
+        '111122226666,Shared,,',
+      ].join('\n'),
+      'csv'
+    );
+
+    assert.deepEqual(Object.keys(result.aliases), [
+      '123456789012',
+      '111122226666',
+    ]);
+    assert.equal(result.aliases['123456789012'].environment, 'prod');
+    assert.equal(result.aliases['123456789012'].color, '#D13212');
+    assert.equal(result.aliases['111122226666'].environment, null);
+    assert.deepEqual(errorsOf(result), [
+      '3: Invalid environment: development (expected one of prod, staging, dev, sandbox)',
+      '4: Invalid color: red (expected #rrggbb)',
+      '5: Invalid color: #0073bb;background:url(x) (expected #rrggbb)',
+    ]);
+  });
+});
+
+describe('数式の無効化', () => {
+  const DANGEROUS = {
+    111122223333: {
+      alias: '=HYPERLINK("https://example.com","x")',
+      description: '+1 cmd',
+      owner: '@team',
+      tags: ['-2'],
+    },
+    123456789012: {
+      alias: '\tTabbed',
+      description: '\rReturn',
+      owner: "'quoted'",
+      tags: [],
+    },
+  };
+
+  it("数式として解釈される値の先頭に'を付けてエクスポートする", () => {
+    const rows = AliasFormats.toDelimited(DANGEROUS, 'csv')
+      .trim()
+      .split('\r\n');
+
+    assert.equal(
+      rows[1],
+      '1111-2222-3333,"\'=HYPERLINK(""https://example.com"",""x"")",,,\'@team,\'-2,\'+1 cmd'
+    );
+    assert.equal(rows[2], "1234-5678-9012,'\tTabbed,,,'quoted',,\"'\rReturn\"");
+    // 区切り文字がタブのTSVでは、タブで始まる値はクォートして先頭に'を付ける
+    const tsv = AliasFormats.toDelimited(DANGEROUS, 'tsv').split('\r\n')[2];
+    assert.ok(tsv.startsWith('1234-5678-9012\t"\'\tTabbed"\t'), tsv);
+  });
+
+  ['csv', 'tsv'].forEach((format) => {
+    it(`エクスポートした値をインポートすると元の値に戻る（${format}）`, () => {
+      const result = AliasFormats.parse(
+        AliasFormats.toDelimited(DANGEROUS, format),
+        format
+      );
+
+      assert.deepEqual(errorsOf(result), []);
+      const imported = result.aliases['111122223333'];
+      assert.equal(imported.alias, '=HYPERLINK("https://example.com","x")');
+      assert.equal(imported.description, '+1 cmd');
+      assert.equal(imported.owner, '@team');
+      assert.equal(imported.tags, '-2');
+      // 数式の無効化以外の'は残す
+      assert.equal(result.aliases['123456789012'].owner, "'quoted'");
+      assert.equal(result.aliases['123456789012'].alias, 'Tabbed');
+    });
+  });
+
+  it("手作業で'を付けた数式のセルも元の値としてインポートする", () => {
+    const result = AliasFormats.parse(
+      "account_id,alias,description\n123456789012,'=Prod,'-note\n",
+      'csv'
+    );
+
+    assert.equal(result.aliases['123456789012'].alias, '=Prod');
+    assert.equal(result.aliases['123456789012'].description, '-note');
+  });
+});
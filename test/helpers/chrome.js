@@ -0,0 +1,133 @@
+/**
+ * テスト用のchrome APIの代替
+ * chrome.storageの各領域をメモリ上のオブジェクトで再現し、
+ * runtime.sendMessageは指定したハンドラー（バックグラウンドの代わり）に渡す
+ */
+
+/**
+ * メモリ上のストレージ領域を作成
+ * コールバック形式とPromise形式のどちらの呼び出しにも対応する
+ * @param {string} areaName - 領域名（local, sync, managed）
+ * @param {Object} initial - 初期データ
+ * @param {Function} notify - 変更時に (changes, areaName) で呼ばれる関数
+ * @returns {Object} chrome.storage.StorageAreaと同じインターフェースのオブジェクト
+ */
+function createStorageArea(areaName, initial, notify) {
+  const data = structuredClone(initial || {});
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) {
+      return structuredClone(data);
+    }
+    const result = {};
+    const list = typeof keys === 'string' ? [keys] : keys;
+    if (Array.isArray(list)) {
+      list.forEach((key) => {
+        if (key in data) {
+          result[key] = structuredClone(data[key]);
+        }
+      });
+      return result;
+    }
+    // 既定値付きのオブジェクト形式
+    for (const [key, fallback] of Object.entries(list)) {
+      result[key] = key in data ? structuredClone(data[key]) : fallback;
+    }
+    return result;
+  };
+
+  const reply = (value, callback) => {
+    if (callback) {
+      queueMicrotask(() => callback(value));
+      return undefined;
+    }
+    return Promise.resolve(value);
+  };
+
+  const update = (entries) => {
+    const changes = {};
+    entries.forEach(([key, newValue]) => {
+      const oldValue = data[key];
+      if (newValue === undefined) {
+        delete data[key];
+      } else {
+        data[key] = structuredClone(newValue);
+      }
+      changes[key] = { oldValue, newValue };
+    });
+    if (Object.keys(changes).length > 0) {
+      notify(changes, areaName);
+    }
+  };
+
+  return {
+    data,
+    get(keys, callback) {
+      return reply(pick(keys), callback);
+    },
+    set(items, callback) {
+      update(Object.entries(items));
+      return reply(undefined, callback);
+    },
+    remove(keys, callback) {
+      const list = typeof keys === 'string' ? [keys] : keys;
+      update(list.filter((key) => key in data).map((key) => [key]));
+      return reply(undefined, callback);
+    },
+  };
+}
+
+/**
+ * chrome APIの代替を作成
+ * @param {Object} options - { local, sync, managed: 各領域の初期データ, handlers: アクション名をキーとするメッセージハンドラー }
+ * @returns {Object} chromeオブジェクト（sentMessages: 送信されたメッセージ, tabListeners: コンテンツスクリプトの受信リスナー）
+ */
+function createChrome(options = {}) {
+  const changeListeners = [];
+  const notify = (changes, areaName) => {
+    changeListeners.forEach((listener) => listener(changes, areaName));
+  };
+  const handlers = options.handlers || {};
+  const sentMessages = [];
+  const tabListeners = [];
+
+  return {
+    sentMessages,
+    tabListeners,
+    storage: {
+      local: createStorageArea('local', options.local, notify),
+      sync: createStorageArea('sync', options.sync, notify),
+      managed: createStorageArea('managed', options.managed, notify),
+      onChanged: {
+        addListener: (listener) => changeListeners.push(listener),
+        removeListener: (listener) => {
+          const index = changeListeners.indexOf(listener);
+          if (index !== -1) {
+            changeListeners.splice(index, 1);
+          }
+        },
+      },
+    },
+    runtime: {
+      lastError: undefined,
+      getManifest: () => ({ version: '1.0.0' }),
+      async sendMessage(message) {
+        sentMessages.push(message);
+        const handler = handlers[message.action];
+        if (!handler) {
+          return { success: false, error: 'Unknown action' };
+        }
+        try {
+          return { success: true, data: await handler(message) };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      },
+      onMessage: {
+        addListener: (listener) => tabListeners.push(listener),
+      },
+    },
+  };
+}
+
+module.exports = { createChrome };
@@ -0,0 +1,167 @@
+/**
+ * テスト用のページ環境
+ * 保存したコンソールのHTML（test/fixtures）をjsdomで開き、拡張機能のスクリプトを読み込む
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { createChrome } = require('./chrome');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const FIXTURE_DIR = path.resolve(__dirname, '../fixtures');
+
+// コンテンツスクリプト（ISOLATED world）の読み込み順（manifest.jsonと同じ）
+const CONTENT_SCRIPTS = JSON.parse(
+  fs.readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8')
+).content_scripts.find((script) => !script.world).js;
+
+// バックグラウンドの代わりに読み込むストレージ・設定のユーティリティ
+const BACKGROUND_SCRIPTS = [
+  'src/utils/logger.js',
+  'src/utils/alias.js',
+  'src/utils/storage.js',
+  'src/utils/settings.js',
+];
+
+/**
+ * 保存したHTMLを読み込む
+ * @param {string} name - test/fixtures内のファイル名
+ * @returns {string} HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+}
+
+/**
+ * jsdomのウィンドウを作成して拡張機能のスクリプトを読み込む
+ * @param {Object} options - { html, url, chrome, scripts: リポジトリからの相対パスの配列 }
+ * @returns {Window} ウィンドウ（クラスはwindowのプロパティとして参照できる）
+ */
+function createWindow({
+  html = '<!DOCTYPE html><html><head></head><body></body></html>',
+  url = 'https://console.aws.amazon.com/console/home',
+  chrome = createChrome(),
+  scripts = [],
+} = {}) {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+  });
+  const window = dom.window;
+
+  // jsdomにないAPIを補う
+  window.requestIdleCallback = (callback) =>
+    window.setTimeout(() =>
+      callback({ didTimeout: false, timeRemaining: () => 50 })
+    );
+  window.cancelIdleCallback = (id) => window.clearTimeout(id);
+  window.Element.prototype.scrollIntoView = () => {};
+  window.chrome = chrome;
+
+  scripts.forEach((script) => {
+    window.eval(fs.readFileSync(path.join(ROOT_DIR, script), 'utf8'));
+  });
+  return window;
+}
+
+/**
+ * AliasManagerを読み込んだページを作成（コンテンツスクリプトは起動しない）
+ * @param {string} fixture - test/fixtures内のファイル名
+ * @param {string} url - ページのURL
+ * @returns {Window} ウィンドウ
+ */
+function createAliasPage(fixture, url) {
+  return createWindow({
+    html: fixture ? readFixture(fixture) : undefined,
+    url,
+    scripts: ['src/utils/logger.js', 'src/utils/alias.js'],
+  });
+}
+
+/**
+ * 保存したHTMLのページでコンテンツスクリプトを起動
+ * メッセージAPIはchrome.storageの代替を読み書きする最小限のバックグラウンドが処理する
+ * @param {string} fixture - test/fixtures内のファイル名
+ * @param {Object} options - { url, aliases: 個人のエイリアス, settings: 表示設定 }
+ * @returns {Promise<Object>} { window, chrome, send: コンテンツスクリプトへのメッセージ送信, close }
+ */
+async function startContentScript(fixture, options = {}) {
+  const handlers = {};
+  const chrome = createChrome({
+    local: {
+      aws_account_aliases: options.aliases || {},
+      aws_alias_settings: options.settings || {},
+    },
+    handlers,
+  });
+
+  const background = createWindow({ chrome, scripts: BACKGROUND_SCRIPTS });
+  const { StorageManager, SettingsManager } = background;
+  Object.assign(handlers, {
+    getAliases: async () => {
+      const [policyLayers, personalAliases] = await Promise.all([
+        StorageManager.getPolicyLayers(),
+        StorageManager.getAllAliases(),
+      ]);
+      return StorageManager.mergeLayers([
+        policyLayers.baseline,
+        { layer: 'personal', aliases: personalAliases },
+        policyLayers.locked,
+      ]);
+    },
+    getSettings: () => SettingsManager.getSettings(),
+    recordUsage: () => null,
+    selectionChanged: () => null,
+  });
+
+  const window = createWindow({
+    html: readFixture(fixture),
+    url: options.url,
+    chrome,
+    scripts: CONTENT_SCRIPTS,
+  });
+  await settle();
+
+  /**
+   * コンテンツスクリプトにメッセージを送信（トップフレームの応答を待つ）
+   * @param {Object} message - { action, ...引数 }
+   * @returns {Promise<Object|undefined>} 応答（応答しないアクションはundefined）
+   */
+  const send = async (message) => {
+    let response;
+    chrome.tabListeners.forEach((listener) =>
+      listener(message, {}, (value) => {
+        response = value;
+      })
+    );
+    await settle();
+    return response;
+  };
+
+  const close = () => {
+    window.close();
+    background.close();
+  };
+
+  return { window, chrome, send, close };
+}
+
+/**
+ * 非同期の初期化・アイドル時の処理が終わるまで待つ
+ * @param {number} ms - 待ち時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function settle(ms = 50) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  CONTENT_SCRIPTS,
+  readFixture,
+  createWindow,
+  createAliasPage,
+  startContentScript,
+  settle,
+};
@@ -0,0 +1,48 @@
+/**
+ * StorageManagerのテスト
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers/dom');
+
+const { StorageManager } = createWindow({
+  scripts: [
+    'src/utils/logger.js',
+    'src/utils/alias.js',
+    'src/utils/storage.js',
+  ],
+});
+
+describe('validateEntry', () => {
+  it('環境区分・カラー付きのレコードを正規化する', () => {
+    const entry = StorageManager.validateEntry('123456789012', {
+      alias: ' Prod ',
+      environment: 'prod',
+      color: '#d13212',
+    });
+
+    assert.equal(entry.alias, 'Prod');
+    assert.equal(entry.environment, 'prod');
+    assert.equal(entry.color, '#d13212');
+  });
+
+  it('不正な環境区分・カラーを拒否する', () => {
+    assert.throws(
+      () =>
+        StorageManager.validateEntry('123456789012', {
+          alias: 'Prod',
+          environment: 'production',
+        }),
+      /Invalid environment: production/
+    );
+    assert.throws(
+      () =>
+        StorageManager.validateEntry('123456789012', {
+          alias: 'Prod',
+          color: 'red',
+        }),
+      /Invalid color: red/
+    );
+  });
+});
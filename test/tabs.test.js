@@ -0,0 +1,90 @@
+/**
+ * TabClientのテスト
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers/dom');
+
+describe('isConsoleUrl', () => {
+  const { TabClient } = createWindow({ scripts: ['src/utils/tabs.js'] });
+
+  it('コンテンツスクリプトが動作するページのURLを判定する', () => {
+    [
+      'https://console.aws.amazon.com/console/home',
+      'https://ap-northeast-1.console.aws.amazon.com/ec2/home#Instances:',
+      'https://123456789012-abcd1234.ap-northeast-1.console.aws.amazon.com/iam/home',
+      'https://ap-northeast-1.signin.aws.amazon.com/sessions/selector?region=ap-northeast-1',
+    ].forEach((url) => {
+      assert.equal(TabClient.isConsoleUrl(url), true, url);
+    });
+  });
+
+  it('AWSコンソール以外のURLは対象外とする', () => {
+    [
+      'https://example.com/',
+      'https://example.com/?next=https://console.aws.amazon.com/',
+      'https://example.com/x.console.aws.amazon.com/',
+      'https://console.aws.amazon.com.example.com/',
+      'http://console.aws.amazon.com/console/home',
+      'https://ap-northeast-1.signin.aws.amazon.com/oauth',
+    ].forEach((url) => {
+      assert.equal(TabClient.isConsoleUrl(url), false, url);
+    });
+  });
+});
+
+describe('notify・broadcast', () => {
+  /**
+   * chrome.tabs.sendMessageがタブごとに指定したエラーで失敗するTabClientを作成
+   * @param {Object} errors - タブのIDをキーとするエラーメッセージ（ないタブは送信に成功する）
+   * @returns {Object} { TabClient, sent: 送信したタブのID, warnings: console.warnの引数 }
+   */
+  function createClient(errors) {
+    const sent = [];
+    const warnings = [];
+    const window = createWindow({
+      chrome: {
+        tabs: {
+          query: async () => [{ id: 1 }, { id: 2 }, { id: 3 }],
+          sendMessage: async (tabId) => {
+            sent.push(tabId);
+            if (errors[tabId]) {
+              throw new Error(errors[tabId]);
+            }
+            return undefined;
+          },
+        },
+      },
+      scripts: ['src/utils/tabs.js'],
+    });
+    window.console.warn = (...args) => warnings.push(args);
+    return { TabClient: window.TabClient, sent, warnings };
+  }
+
+  it('応答のない通知は成功として扱う', async () => {
+    const { TabClient } = createClient({
+      1: 'The message port closed before a response was received.',
+      2: 'Could not establish connection. Receiving end does not exist.',
+    });
+
+    await TabClient.notify(1, 'tabUpdated');
+    await assert.rejects(
+      TabClient.notify(2, 'tabUpdated'),
+      /Receiving end does not exist/
+    );
+  });
+
+  it('コンテンツスクリプトのないタブは無視し、それ以外の失敗はログに記録する', async () => {
+    const { TabClient, sent, warnings } = createClient({
+      1: 'Could not establish connection. Receiving end does not exist.',
+      2: 'Message length exceeded maximum allowed length.',
+    });
+
+    await TabClient.broadcast('aliasesChanged', { aliases: {} });
+
+    assert.deepEqual(sent, [1, 2, 3]);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0][0], /tab 2/);
+  });
+});